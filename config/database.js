@@ -28,7 +28,26 @@ pool.on('error', (err) => {
 // Helper function to run queries
 const query = (text, params) => pool.query(text, params);
 
+// Run callback inside a transaction on a dedicated client. The callback
+// receives the client and must use it for every statement that should
+// commit or roll back together.
+const withTransaction = async (callback) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
 export {
   pool,
-  query
+  query,
+  withTransaction
 }; 
\ No newline at end of file
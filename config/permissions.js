@@ -0,0 +1,73 @@
+// Staff roles and the capabilities each one grants. Routes declare the
+// capability they need with requirePermission(); roles never appear in
+// route code, so changing what a role can do only touches this file.
+
+export const PERMISSIONS = [
+  'analytics.view',
+  'audit.view',
+  'deliveries.perform',
+  'events.view',
+  'jobs.view',
+  'jobs.manage',
+  'notifications.view',
+  'notifications.send',
+  'notifications.manage_templates',
+  'orders.view',
+  'orders.pack',
+  'orders.update_status',
+  'orders.approve_credit',
+  'orders.generate',
+  'packing.view',
+  'payments.view',
+  'payments.record',
+  'payments.update',
+  'products.manage',
+  'returns.view',
+  'returns.process',
+  'routes.manage',
+  'staff.manage',
+  'stock.view',
+  'stock.update',
+  'vendors.view',
+  'vendors.manage'
+];
+
+export const ROLE_PERMISSIONS = {
+  owner: PERMISSIONS,
+  manager: PERMISSIONS.filter((permission) => permission !== 'staff.manage'),
+  packer: [
+    'orders.view',
+    'orders.pack',
+    'packing.view',
+    'returns.view',
+    'stock.view'
+  ],
+  delivery: [
+    'deliveries.perform',
+    'orders.view',
+    'packing.view'
+  ],
+  accountant: [
+    'analytics.view',
+    'notifications.view',
+    'orders.view',
+    'orders.approve_credit',
+    'payments.view',
+    'payments.record',
+    'payments.update',
+    'vendors.view'
+  ]
+};
+
+export const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Staff created before roles were enforced used "admin"
+const ROLE_ALIASES = {
+  admin: 'owner'
+};
+
+export const normalizeRole = (role) => ROLE_ALIASES[role] || role;
+
+export const getRolePermissions = (role) => ROLE_PERMISSIONS[normalizeRole(role)] || [];
+
+export const hasPermission = (role, permission) => getRolePermissions(role).includes(permission);
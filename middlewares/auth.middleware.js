@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
 import { query } from '../config/database.js';
+import { getRolePermissions } from '../config/permissions.js';
 
 export const authenticateAdmin = async (req, res, next) => {
     try {
@@ -8,14 +9,21 @@ export const authenticateAdmin = async (req, res, next) => {
         return res.status(401).json({ error: 'Access denied. No token provided.' });
       }
   
+      // Tokens must belong to a session that has not been revoked
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const result = await query('SELECT * FROM staff WHERE id = $1 AND is_active = true', [decoded.staffId]);
+      const result = await query(`
+        SELECT st.* FROM staff st
+        JOIN auth_sessions s ON s.subject_id = st.id AND s.subject_type = 'staff'
+        WHERE st.id = $1 AND st.is_active = true AND s.id = $2 AND s.revoked_at IS NULL
+      `, [decoded.staffId, decoded.sid]);
       
       if (result.rows.length === 0) {
         return res.status(401).json({ error: 'Invalid token.' });
       }
   
       req.staff = result.rows[0];
+      req.sessionId = decoded.sid;
+      req.staff.permissions = getRolePermissions(req.staff.role);
       next();
     } catch (error) {
       res.status(401).json({ error: 'Invalid token.' });
@@ -23,6 +31,32 @@ export const authenticateAdmin = async (req, res, next) => {
   };
 
 
+// Use after authenticateAdmin: only staff whose role grants every listed
+// permission get through.
+export const requirePermission = (...permissions) => (req, res, next) => {
+    const granted = req.staff?.permissions || [];
+    const missing = permissions.filter((permission) => !granted.includes(permission));
+
+    if (missing.length > 0) {
+      return res.status(403).json({ error: 'Access denied. Insufficient permissions.', required: missing });
+    }
+
+    next();
+  };
+
+// Use after authenticateAdmin: staff whose role grants at least one of the
+// listed permissions get through. The route decides what each one allows.
+export const requireAnyPermission = (...permissions) => (req, res, next) => {
+    const granted = req.staff?.permissions || [];
+
+    if (!permissions.some((permission) => granted.includes(permission))) {
+      return res.status(403).json({ error: 'Access denied. Insufficient permissions.', required: permissions });
+    }
+
+    next();
+  };
+
+
 export const authenticateVendor = async (req, res, next) => {
     try {
       const token = req.header('Authorization')?.replace('Bearer ', '');
@@ -30,14 +64,20 @@ export const authenticateVendor = async (req, res, next) => {
         return res.status(401).json({ error: 'Access denied. No token provided.' });
       }
   
+      // Tokens must belong to a session that has not been revoked
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const result = await query('SELECT * FROM vendors WHERE id = $1 AND is_active = true', [decoded.vendorId]);
+      const result = await query(`
+        SELECT v.* FROM vendors v
+        JOIN auth_sessions s ON s.subject_id = v.id AND s.subject_type = 'vendor'
+        WHERE v.id = $1 AND v.is_active = true AND s.id = $2 AND s.revoked_at IS NULL
+      `, [decoded.vendorId, decoded.sid]);
       
       if (result.rows.length === 0) {
         return res.status(401).json({ error: 'Invalid token.' });
       }
   
       req.vendor = result.rows[0];
+      req.sessionId = decoded.sid;
       next();
     } catch (error) {
       res.status(401).json({ error: 'Invalid token.' });
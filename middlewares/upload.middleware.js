@@ -0,0 +1,103 @@
+import multer from 'multer';
+
+// Uploads are kept in memory (they are capped at MAX_FILE_SIZE) and
+// handed to the storage service or parsed by the route once validated.
+
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024;
+
+export const IMAGE_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp'
+};
+
+// The declared content type is only a hint, so check the file's magic bytes
+const detectImageType = (buffer) => {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+};
+
+const memoryUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE }
+});
+
+const uploadErrorMessage = (error) => {
+  if (error.code === 'LIMIT_FILE_SIZE') {
+    return `File is too large. Maximum size is ${Math.round(MAX_FILE_SIZE / 1024 / 1024 * 10) / 10} MB`;
+  }
+  if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+    return `Unexpected file field: ${error.field}`;
+  }
+  return error.message;
+};
+
+// Accept image files in the given multer fields ([{ name, maxCount }]).
+// Each accepted file gets its verified mimetype; anything that is not a
+// JPEG, PNG or WebP image is rejected with a 400.
+export const uploadImages = (fields) => (req, res, next) => {
+  memoryUpload.fields(fields)(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ error: uploadErrorMessage(error) });
+    }
+    if (error) {
+      return next(error);
+    }
+
+    const files = Object.values(req.files || {}).flat();
+    for (const file of files) {
+      const detected = detectImageType(file.buffer);
+      if (!detected) {
+        return res.status(400).json({ error: `${file.fieldname} must be a JPEG, PNG or WebP image` });
+      }
+      file.mimetype = detected;
+    }
+
+    next();
+  });
+};
+
+// XLSX files are zip archives; anything else named .csv is read as text
+const detectSpreadsheetFormat = (file) => {
+  const extension = file.originalname.split('.').pop().toLowerCase();
+  const isZip = file.buffer.length >= 4 && file.buffer.readUInt32LE(0) === 0x04034b50;
+  if (extension === 'xlsx' && isZip) {
+    return 'xlsx';
+  }
+  if (extension === 'csv' && !isZip) {
+    return 'csv';
+  }
+  return null;
+};
+
+// Accept a single CSV or XLSX file in the given field. The file gets a
+// format property of 'csv' or 'xlsx'.
+export const uploadSpreadsheet = (fieldName) => (req, res, next) => {
+  memoryUpload.single(fieldName)(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ error: uploadErrorMessage(error) });
+    }
+    if (error) {
+      return next(error);
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: `A CSV or XLSX file is required in the ${fieldName} field` });
+    }
+
+    req.file.format = detectSpreadsheetFormat(req.file);
+    if (!req.file.format) {
+      return res.status(400).json({ error: `${fieldName} must be a .csv or .xlsx file` });
+    }
+
+    next();
+  });
+};
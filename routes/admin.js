@@ -1,45 +1,344 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
-import { query } from '../config/database.js';
-import { authenticateAdmin } from '../middlewares/auth.middleware.js';
+import moment from 'moment';
+import { query, withTransaction } from '../config/database.js';
+import { authenticateAdmin, requirePermission } from '../middlewares/auth.middleware.js';
+import { restockReturn } from '../services/inventory.service.js';
+import { getRolePermissions, normalizeRole, ROLE_PERMISSIONS, ROLES } from '../config/permissions.js';
+import { emitToAdmins, emitToVendor } from '../services/realtime.service.js';
+import { getProvider } from '../services/notification-providers.js';
+import { generateToken, hashToken, passwordRule } from '../utils/password.js';
+import { AppError, handleRouteError } from '../utils/errors.js';
+import { createSession, refreshSession, revokeAllSessions, revokeSession } from '../services/session.service.js';
+import { recordAudit } from '../services/audit.service.js';
+import { buildPackingList } from '../services/packing.service.js';
+import { packingSlipsCsv, pickListCsv, renderPackingSlipsPdf, renderPickListPdf } from '../services/packing-documents.service.js';
 
 const router = express.Router();
 
-router.post('/register', [
-  body('id'),
-  body('name'),
-  body('email').isEmail(),
-  body('phone'),
-  body('password'),
-  body('role'),
-  body('birthday'),
-  body('is_active')
+const INVITE_EXPIRY_HOURS = parseInt(process.env.STAFF_INVITE_EXPIRY_HOURS) || 72;
+const PASSWORD_RESET_EXPIRY_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRY_MINUTES) || 30;
+
+const frontendUrl = (path) => `${process.env.FRONTEND_URL || 'http://localhost:3000'}${path}`;
+
+// Invite a new staff member (owner only). The invitee sets their own
+// password when accepting; the plain token is only ever shown here and
+// in the invitation email.
+router.post('/invitations', authenticateAdmin, requirePermission('staff.manage'), [
+  body('name').notEmpty().withMessage('Name is required'),
+  body('email').isEmail().withMessage('Valid email is required'),
+  body('phone').optional().isMobilePhone().withMessage('Valid phone number is required'),
+  body('role').isIn(ROLES).withMessage('Invalid role')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
-    const { id, name, email, phone, password, role, birthday, is_active } = req.body;
-    const hashedPassword = await bcrypt.hash(password, 10);
+
+    const { name, email, phone, role } = req.body;
+
+    const existingStaff = await query('SELECT id FROM staff WHERE email = $1', [email]);
+    if (existingStaff.rows.length > 0) {
+      return res.status(400).json({ error: 'Staff member with this email already exists' });
+    }
+
+    // A new invitation replaces any earlier pending one for the same email
+    await query(`
+      UPDATE staff_invitations SET revoked_at = CURRENT_TIMESTAMP
+      WHERE email = $1 AND accepted_at IS NULL AND revoked_at IS NULL
+    `, [email]);
+
+    const token = generateToken();
     const result = await query(`
-      INSERT INTO staff . VALUES (
-        $1, $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
-      ) RETURNING *;
-    `, [id, name, email, phone, hashedPassword, role, birthday, is_active]);
-    console.log("Registered successfully:", result.rows[0]);
+      INSERT INTO staff_invitations (name, email, phone, role, token_hash, invited_by, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP + $7 * INTERVAL '1 hour')
+      RETURNING id, name, email, phone, role, expires_at, created_at
+    `, [name, email, phone, role, hashToken(token), req.staff.id, INVITE_EXPIRY_HOURS]);
+
+    await recordAudit(req, { action: 'invitation.create', entityType: 'staff_invitation', entityId: result.rows[0].id, after: result.rows[0] });
+
+    // The link carries the single-use token, so it only goes to the invitee
+    const inviteUrl = frontendUrl(`/staff/accept-invite?token=${token}`);
+
+    let emailSent = true;
+    try {
+      await getProvider('email').send({
+        to: email,
+        subject: 'You have been invited to VendorCluster',
+        message: `Hi ${name}, ${req.staff.name} invited you to join VendorCluster as ${role}. Set your password here: ${inviteUrl} (valid for ${INVITE_EXPIRY_HOURS} hours).`
+      });
+    } catch (emailError) {
+      console.error('Invitation email error:', emailError);
+      emailSent = false;
+    }
+
     res.status(201).json({
-      message: 'Admin registered successfully',
-      admin: result.rows[0]
+      message: emailSent
+        ? 'Invitation created successfully'
+        : 'Invitation created, but the email could not be sent. Invite again to resend it',
+      invitation: result.rows[0],
+      email_sent: emailSent
     });
 
   } catch (error) {
-    console.error('Admin registration error: ', error)
+    console.error('Create invitation error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
-})
+});
+
+router.get('/invitations', authenticateAdmin, requirePermission('staff.manage'), async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT si.id, si.name, si.email, si.phone, si.role, si.expires_at, si.accepted_at, si.revoked_at,
+             si.created_at, s.name as invited_by_name,
+             si.accepted_at IS NULL AND si.revoked_at IS NULL AND si.expires_at > CURRENT_TIMESTAMP as is_pending
+      FROM staff_invitations si
+      LEFT JOIN staff s ON si.invited_by = s.id
+      ORDER BY si.created_at DESC
+    `);
+
+    res.json({
+      invitations: result.rows
+    });
+
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.delete('/invitations/:id', authenticateAdmin, requirePermission('staff.manage'), async (req, res) => {
+  try {
+    const result = await query(`
+      UPDATE staff_invitations SET revoked_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND accepted_at IS NULL AND revoked_at IS NULL
+      RETURNING id, email, revoked_at
+    `, [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Pending invitation not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'invitation.revoke',
+      entityType: 'staff_invitation',
+      entityId: result.rows[0].id,
+      after: { revoked_at: result.rows[0].revoked_at }
+    });
+
+    res.json({
+      message: 'Invitation revoked successfully',
+      invitation: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Accept an invitation and create the staff account
+router.post('/invitations/accept', [
+  body('token').notEmpty().withMessage('Invitation token is required'),
+  passwordRule('password')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token, password } = req.body;
+    const passwordHash = await bcrypt.hash(password, 10);
+
+    const staff = await withTransaction(async (client) => {
+      // Claiming the invitation in the UPDATE makes the token single-use
+      const invitationResult = await client.query(`
+        UPDATE staff_invitations SET accepted_at = CURRENT_TIMESTAMP
+        WHERE token_hash = $1 AND accepted_at IS NULL AND revoked_at IS NULL
+          AND expires_at > CURRENT_TIMESTAMP
+        RETURNING *
+      `, [hashToken(token)]);
+
+      if (invitationResult.rows.length === 0) {
+        throw new AppError('Invitation is invalid or has expired', 400);
+      }
+
+      const invitation = invitationResult.rows[0];
+
+      const existingStaff = await client.query('SELECT id FROM staff WHERE email = $1', [invitation.email]);
+      if (existingStaff.rows.length > 0) {
+        throw new AppError('Staff member with this email already exists', 400);
+      }
+
+      const result = await client.query(`
+        INSERT INTO staff (name, email, phone, role, password_hash)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING id, name, email, phone, role, is_active, created_at
+      `, [invitation.name, invitation.email, invitation.phone, invitation.role, passwordHash]);
+
+      await recordAudit(req, {
+        action: 'invitation.accept',
+        entityType: 'staff',
+        entityId: result.rows[0].id,
+        actorId: result.rows[0].id,
+        after: result.rows[0]
+      }, client);
+
+      return result.rows[0];
+    });
+
+    res.status(201).json({
+      message: 'Account created successfully. You can now log in',
+      staff
+    });
+
+  } catch (error) {
+    handleRouteError(res, error, 'Accept invitation error');
+  }
+});
+
+// Change own password
+router.put('/password', authenticateAdmin, [
+  body('current_password').notEmpty().withMessage('Current password is required'),
+  passwordRule('new_password')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { current_password, new_password } = req.body;
+
+    const isValidPassword = await bcrypt.compare(current_password, req.staff.password_hash);
+    if (!isValidPassword) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    const passwordHash = await bcrypt.hash(new_password, 10);
+    await query(`
+      UPDATE staff SET password_hash = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+    `, [passwordHash, req.staff.id]);
+
+    // Sign out other devices; the session making the change stays
+    await revokeAllSessions('staff', req.staff.id, 'password_changed', req.sessionId);
+
+    await recordAudit(req, { action: 'staff.password_change', entityType: 'staff', entityId: req.staff.id });
+
+    res.json({
+      message: 'Password changed successfully'
+    });
+
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Request a password reset link. Always answers the same way so the
+// endpoint cannot be used to find out which emails belong to staff.
+router.post('/password/forgot', [
+  body('email').isEmail().withMessage('Valid email is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email } = req.body;
+
+    const staffResult = await query('SELECT id, name FROM staff WHERE email = $1 AND is_active = true', [email]);
+
+    if (staffResult.rows.length > 0) {
+      const staff = staffResult.rows[0];
+      const token = generateToken();
+
+      await query(`
+        UPDATE staff_password_resets SET used_at = CURRENT_TIMESTAMP
+        WHERE staff_id = $1 AND used_at IS NULL
+      `, [staff.id]);
+
+      await query(`
+        INSERT INTO staff_password_resets (staff_id, token_hash, expires_at)
+        VALUES ($1, $2, CURRENT_TIMESTAMP + $3 * INTERVAL '1 minute')
+      `, [staff.id, hashToken(token), PASSWORD_RESET_EXPIRY_MINUTES]);
+
+      try {
+        await getProvider('email').send({
+          to: email,
+          subject: 'Reset your VendorCluster password',
+          message: `Hi ${staff.name}, reset your password here: ${frontendUrl(`/staff/reset-password?token=${token}`)} (valid for ${PASSWORD_RESET_EXPIRY_MINUTES} minutes). If you did not ask for this, ignore this email.`
+        });
+      } catch (emailError) {
+        console.error('Password reset email error:', emailError);
+      }
+    }
+
+    res.json({
+      message: 'If that email belongs to an active account, a reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Set a new password with a reset token
+router.post('/password/reset', [
+  body('token').notEmpty().withMessage('Reset token is required'),
+  passwordRule('password')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token, password } = req.body;
+    const passwordHash = await bcrypt.hash(password, 10);
+
+    const updated = await withTransaction(async (client) => {
+      const resetResult = await client.query(`
+        UPDATE staff_password_resets SET used_at = CURRENT_TIMESTAMP
+        WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+        RETURNING staff_id
+      `, [hashToken(token)]);
+
+      if (resetResult.rows.length === 0) {
+        return false;
+      }
+
+      await client.query(`
+        UPDATE staff SET password_hash = $1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+      `, [passwordHash, resetResult.rows[0].staff_id]);
+
+      return resetResult.rows[0].staff_id;
+    });
+
+    if (!updated) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    }
+
+    await revokeAllSessions('staff', updated, 'password_reset');
+
+    await recordAudit(req, { action: 'staff.password_reset', entityType: 'staff', entityId: updated, actorId: updated });
+
+    res.json({
+      message: 'Password reset successfully'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
 router.post('/login', [
   body('email').isEmail().withMessage('Valid email is required'),
@@ -66,22 +365,18 @@ router.post('/login', [
       return res.status(400).json({ error: 'Invalid credentials' });
     }
 
-    
-    const token = jwt.sign(
-      { staffId: staff.id, role: staff.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
-    console.log(token);
+    const session = await createSession('staff', staff.id, { userAgent: req.get('User-Agent'), ip: req.ip });
+
     res.json({
       message: 'Login successful',
       staff: {
         id: staff.id,
         name: staff.name,
         email: staff.email,
-        role: staff.role
+        role: staff.role,
+        permissions: getRolePermissions(staff.role)
       },
-      token
+      ...session
     });
 
   } catch (error) {
@@ -90,111 +385,395 @@ router.post('/login', [
   }
 });
 
-router.get('/daily-packing', authenticateAdmin, async (req, res) => {
+// Exchange a refresh token for a new token pair
+router.post('/token/refresh', [
+  body('refresh_token').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
   try {
-    const { date } = req.query;
-    const targetDate = date || new Date().toISOString().split('T')[0];
-
-    const dailyNeedsResult = await query(`
-      SELECT 
-        p.name as product_name,
-        p.unit,
-        p.price,
-        SUM(dn.quantity) as total_quantity,
-        COUNT(DISTINCT dn.vendor_id) as vendor_count,
-        ARRAY_AGG(DISTINCT v.name) as vendor_names
-      FROM daily_needs dn
-      JOIN products p ON dn.product_id = p.id
-      JOIN vendors v ON dn.vendor_id = v.id
-      WHERE p.is_active = true AND v.is_active = true
-      GROUP BY p.id, p.name, p.unit, p.price
-      ORDER BY p.name
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { subject_id, ...session } = await refreshSession(req.body.refresh_token, 'staff');
+
+    const staffResult = await query('SELECT id FROM staff WHERE id = $1 AND is_active = true', [subject_id]);
+    if (staffResult.rows.length === 0) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    res.json({
+      message: 'Token refreshed successfully',
+      ...session
+    });
+
+  } catch (error) {
+    handleRouteError(res, error, 'Admin token refresh error');
+  }
+});
+
+router.post('/logout', authenticateAdmin, async (req, res) => {
+  try {
+    await revokeSession(req.sessionId);
+
+    res.json({
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Admin logout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/logout-all', authenticateAdmin, async (req, res) => {
+  try {
+    const revokedCount = await revokeAllSessions('staff', req.staff.id);
+
+    res.json({
+      message: 'Logged out from all devices',
+      revoked_sessions: revokedCount
+    });
+
+  } catch (error) {
+    console.error('Admin logout all error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List roles and the permissions they grant
+router.get('/roles', authenticateAdmin, async (req, res) => {
+  res.json({
+    roles: ROLES.map((role) => ({ role, permissions: ROLE_PERMISSIONS[role] }))
+  });
+});
+
+router.get('/staff', authenticateAdmin, requirePermission('staff.manage'), async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT id, name, email, phone, role, is_active, created_at, updated_at
+      FROM staff
+      ORDER BY name
     `);
 
-    const extraOrdersResult = await query(`
-      SELECT 
-        p.name as product_name,
-        p.unit,
-        p.price,
-        SUM(eo.quantity) as total_quantity,
-        COUNT(DISTINCT eo.vendor_id) as vendor_count,
-        ARRAY_AGG(DISTINCT v.name) as vendor_names
-      FROM extra_orders eo
-      JOIN products p ON eo.product_id = p.id
-      JOIN vendors v ON eo.vendor_id = v.id
-      WHERE eo.order_date = $1 AND p.is_active = true AND v.is_active = true
-      GROUP BY p.id, p.name, p.unit, p.price
-      ORDER BY p.name
-    `, [targetDate]);
-
-    const cancelledOrdersResult = await query(`
-      SELECT 
-        v.name as vendor_name,
-        co.reason
-      FROM cancelled_orders co
-      JOIN vendors v ON co.vendor_id = v.id
-      WHERE co.cancel_date = $1 AND v.is_active = true
-    `, [targetDate]);
-
-    const packingList = {};
-    
+    res.json({
+      staff: result.rows.map((member) => ({ ...member, permissions: getRolePermissions(member.role) }))
+    });
+
+  } catch (error) {
+    console.error('Get staff error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change a staff member's role (owner only)
+router.put('/staff/:id/role', authenticateAdmin, requirePermission('staff.manage'), [
+  body('role').isIn(ROLES).withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const staffId = parseInt(req.params.id);
+    const { role } = req.body;
+
+    const currentResult = await query('SELECT id, role FROM staff WHERE id = $1', [staffId]);
+    if (currentResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Staff member not found' });
+    }
 
-    dailyNeedsResult.rows.forEach(item => {
-      packingList[item.product_name] = {
-        product_name: item.product_name,
-        unit: item.unit,
-        price: item.price,
-        daily_quantity: item.total_quantity,
-        extra_quantity: 0,
-        total_quantity: item.total_quantity,
-        vendor_count: item.vendor_count,
-        vendor_names: item.vendor_names
-      };
-    });
-
-
-    extraOrdersResult.rows.forEach(item => {
-      if (packingList[item.product_name]) {
-        packingList[item.product_name].extra_quantity += item.total_quantity;
-        packingList[item.product_name].total_quantity += item.total_quantity;
-        packingList[item.product_name].vendor_count += item.vendor_count;
-        packingList[item.product_name].vendor_names = [
-          ...packingList[item.product_name].vendor_names,
-          ...item.vendor_names
-        ];
-      } else {
-        packingList[item.product_name] = {
-          product_name: item.product_name,
-          unit: item.unit,
-          price: item.price,
-          daily_quantity: 0,
-          extra_quantity: item.total_quantity,
-          total_quantity: item.total_quantity,
-          vendor_count: item.vendor_count,
-          vendor_names: item.vendor_names
-        };
+    // Never leave the business without an active owner
+    if (normalizeRole(currentResult.rows[0].role) === 'owner' && role !== 'owner') {
+      const ownersResult = await query(`
+        SELECT COUNT(*) as owner_count FROM staff
+        WHERE role IN ('owner', 'admin') AND is_active = true AND id <> $1
+      `, [staffId]);
+
+      if (parseInt(ownersResult.rows[0].owner_count) === 0) {
+        return res.status(400).json({ error: 'Cannot change the role of the last active owner' });
       }
+    }
+
+    const result = await query(`
+      UPDATE staff
+      SET role = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING id, name, email, phone, role, is_active, updated_at
+    `, [role, staffId]);
+
+    await recordAudit(req, {
+      action: 'staff.role_update',
+      entityType: 'staff',
+      entityId: staffId,
+      before: { role: currentResult.rows[0].role },
+      after: { role: result.rows[0].role }
     });
 
     res.json({
-      date: targetDate,
-      packing_list: Object.values(packingList),
-      cancelled_orders: cancelledOrdersResult.rows,
-      summary: {
-        total_products: Object.keys(packingList).length,
-        total_vendors: new Set(Object.values(packingList).flatMap(item => item.vendor_names)).size,
-        cancelled_vendors: cancelledOrdersResult.rows.length
+      message: 'Staff role updated successfully',
+      staff: { ...result.rows[0], permissions: getRolePermissions(role) }
+    });
+
+  } catch (error) {
+    console.error('Update staff role error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Activate or deactivate a staff member (owner only)
+router.put('/staff/:id/status', authenticateAdmin, requirePermission('staff.manage'), [
+  body('is_active').isBoolean().withMessage('is_active must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const staffId = parseInt(req.params.id);
+    const { is_active } = req.body;
+
+    if (staffId === req.staff.id && !is_active) {
+      return res.status(400).json({ error: 'You cannot deactivate your own account' });
+    }
+
+    const staff = await withTransaction(async (client) => {
+      const currentResult = await client.query('SELECT is_active FROM staff WHERE id = $1 FOR UPDATE', [staffId]);
+      if (currentResult.rows.length === 0) {
+        return null;
       }
+
+      const result = await client.query(`
+        UPDATE staff
+        SET is_active = $1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+        RETURNING id, name, email, phone, role, is_active, updated_at
+      `, [is_active, staffId]);
+
+      await recordAudit(req, {
+        action: 'staff.status_update',
+        entityType: 'staff',
+        entityId: staffId,
+        before: currentResult.rows[0],
+        after: { is_active: result.rows[0].is_active }
+      }, client);
+
+      return result.rows[0];
+    });
+
+    if (!staff) {
+      return res.status(404).json({ error: 'Staff member not found' });
+    }
+
+    if (!is_active) {
+      await revokeAllSessions('staff', staffId, 'deactivated');
+    }
+
+    res.json({
+      message: 'Staff status updated successfully',
+      staff
     });
 
+  } catch (error) {
+    console.error('Update staff status error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Force a staff member to log in again on every device
+router.post('/staff/:id/revoke-sessions', authenticateAdmin, requirePermission('staff.manage'), async (req, res) => {
+  try {
+    const revokedCount = await revokeAllSessions('staff', parseInt(req.params.id), 'revoked_by_admin');
+
+    await recordAudit(req, {
+      action: 'staff.sessions_revoke',
+      entityType: 'staff',
+      entityId: req.params.id,
+      after: { revoked_sessions: revokedCount }
+    });
+
+    res.json({
+      message: 'Staff sessions revoked successfully',
+      revoked_sessions: revokedCount
+    });
+
+  } catch (error) {
+    console.error('Revoke staff sessions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Search the audit trail by entity, actor, action and date range
+router.get('/audit-logs', authenticateAdmin, requirePermission('audit.view'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, entity_type, entity_id, actor_id, action, from_date, to_date } = req.query;
+    const offset = (page - 1) * limit;
+
+    let queryStr = `
+      SELECT al.*, s.name as actor_name, s.email as actor_email
+      FROM audit_logs al
+      LEFT JOIN staff s ON al.actor_id = s.id
+      WHERE 1=1
+    `;
+    let params = [];
+    let paramCount = 0;
+
+    if (entity_type) {
+      paramCount++;
+      queryStr += ` AND al.entity_type = $${paramCount}`;
+      params.push(entity_type);
+    }
+
+    if (entity_id) {
+      paramCount++;
+      queryStr += ` AND al.entity_id = $${paramCount}`;
+      params.push(entity_id);
+    }
+
+    if (actor_id) {
+      paramCount++;
+      queryStr += ` AND al.actor_id = $${paramCount}`;
+      params.push(actor_id);
+    }
+
+    if (action) {
+      paramCount++;
+      queryStr += ` AND al.action = $${paramCount}`;
+      params.push(action);
+    }
+
+    if (from_date) {
+      paramCount++;
+      queryStr += ` AND al.created_at >= $${paramCount}::DATE`;
+      params.push(from_date);
+    }
+
+    if (to_date) {
+      paramCount++;
+      queryStr += ` AND al.created_at < $${paramCount}::DATE + 1`;
+      params.push(to_date);
+    }
+
+    queryStr += ` ORDER BY al.created_at DESC, al.id DESC LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`;
+    params.push(limit, offset);
+
+    const result = await query(queryStr, params);
+
+    res.json({
+      audit_logs: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: result.rows.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Packing list for a delivery date, grouped by product with a
+// per-vendor breakdown. Reads generated orders when they exist.
+router.get('/daily-packing', authenticateAdmin, requirePermission('packing.view'), async (req, res) => {
+  try {
+    const { date } = req.query;
+    if (date && !moment(date, 'YYYY-MM-DD', true).isValid()) {
+      return res.status(400).json({ error: 'Date must be in YYYY-MM-DD format' });
+    }
+
+    const targetDate = date || moment().format('YYYY-MM-DD');
+
+    res.json(await buildPackingList(targetDate));
+
   } catch (error) {
     console.error('Get daily packing list error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// Send a packing document as a PDF or CSV download
+const sendPackingDocument = async (res, format, filename, renderers) => {
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    return res.send(renderers.csv());
+  }
+
+  const pdf = await renderers.pdf();
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+  return res.send(pdf);
+};
+
+const parsePackingQuery = (req) => {
+  const { date, format = 'pdf' } = req.query;
+  if (date && !moment(date, 'YYYY-MM-DD', true).isValid()) {
+    return { error: 'Date must be in YYYY-MM-DD format' };
+  }
+  if (!['pdf', 'csv'].includes(format)) {
+    return { error: 'Format must be pdf or csv' };
+  }
+  return { date: date || moment().format('YYYY-MM-DD'), format };
+};
 
-router.get('/vendors', authenticateAdmin, async (req, res) => {
+// Per-vendor packing slips for a date's generated orders (optionally one vendor)
+router.get('/daily-packing/slips', authenticateAdmin, requirePermission('packing.view'), async (req, res) => {
+  try {
+    const { date, format, error } = parsePackingQuery(req);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const packingList = await buildPackingList(date);
+    if (packingList.source !== 'orders') {
+      return res.status(400).json({ error: 'No orders have been generated for this date yet' });
+    }
+
+    if (req.query.vendor_id) {
+      packingList.vendors = packingList.vendors.filter((vendor) => String(vendor.vendor_id) === String(req.query.vendor_id));
+      if (packingList.vendors.length === 0) {
+        return res.status(404).json({ error: 'No order for this vendor on this date' });
+      }
+    }
+
+    await sendPackingDocument(res, format, `packing-slips-${date}`, {
+      pdf: () => renderPackingSlipsPdf(packingList),
+      csv: () => packingSlipsCsv(packingList)
+    });
+
+  } catch (error) {
+    console.error('Get packing slips error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Consolidated pick list per product for a date
+router.get('/daily-packing/pick-list', authenticateAdmin, requirePermission('packing.view'), async (req, res) => {
+  try {
+    const { date, format, error } = parsePackingQuery(req);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const packingList = await buildPackingList(date);
+
+    await sendPackingDocument(res, format, `pick-list-${date}`, {
+      pdf: () => renderPickListPdf(packingList),
+      csv: () => pickListCsv(packingList)
+    });
+
+  } catch (error) {
+    console.error('Get pick list error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+
+router.get('/vendors', authenticateAdmin, requirePermission('vendors.view'), async (req, res) => {
   try {
     const { page = 1, limit = 20, search, status } = req.query;
     const offset = (page - 1) * limit;
@@ -243,7 +822,47 @@ router.get('/vendors', authenticateAdmin, async (req, res) => {
 });
 
 
-router.get('/vendors/:id', authenticateAdmin, async (req, res) => {
+// Vendors paused on a date or with a pause coming up, and when they resume
+router.get('/vendor-pauses', authenticateAdmin, requirePermission('vendors.view'), async (req, res) => {
+  try {
+    const { date, vendor_id } = req.query;
+    const fromDate = date || new Date().toISOString().split('T')[0];
+
+    let queryStr = `
+      SELECT vp.*, v.name as vendor_name, v.phone as vendor_phone,
+             vp.end_date + 1 as resume_date,
+             vp.start_date <= $1 as is_paused_now
+      FROM vendor_pauses vp
+      JOIN vendors v ON vp.vendor_id = v.id
+      WHERE vp.cancelled_at IS NULL AND vp.end_date >= $1 AND v.is_active = true
+    `;
+    let params = [fromDate];
+
+    if (vendor_id) {
+      queryStr += ` AND vp.vendor_id = $2`;
+      params.push(vendor_id);
+    }
+
+    queryStr += ` ORDER BY vp.start_date, v.name`;
+
+    const result = await query(queryStr, params);
+
+    res.json({
+      date: fromDate,
+      pauses: result.rows,
+      summary: {
+        paused_now: result.rows.filter((pause) => pause.is_paused_now).length,
+        upcoming: result.rows.filter((pause) => !pause.is_paused_now).length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get vendor pauses error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.get('/vendors/:id', authenticateAdmin, requirePermission('vendors.view'), async (req, res) => {
   try {
     const vendorId = req.params.id;
 
@@ -275,7 +894,7 @@ router.get('/vendors/:id', authenticateAdmin, async (req, res) => {
 });
 
 
-router.put('/vendors/:id/status', authenticateAdmin, [
+router.put('/vendors/:id/status', authenticateAdmin, requirePermission('vendors.manage'), [
   body('is_active').isBoolean().withMessage('is_active must be a boolean')
 ], async (req, res) => {
   try {
@@ -287,20 +906,41 @@ router.put('/vendors/:id/status', authenticateAdmin, [
     const vendorId = req.params.id;
     const { is_active } = req.body;
 
-    const result = await query(`
-      UPDATE vendors 
-      SET is_active = $1, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $2
-      RETURNING *
-    `, [is_active, vendorId]);
+    const vendor = await withTransaction(async (client) => {
+      const currentResult = await client.query('SELECT is_active FROM vendors WHERE id = $1 FOR UPDATE', [vendorId]);
+      if (currentResult.rows.length === 0) {
+        return null;
+      }
 
-    if (result.rows.length === 0) {
+      const result = await client.query(`
+        UPDATE vendors 
+        SET is_active = $1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+        RETURNING *
+      `, [is_active, vendorId]);
+
+      await recordAudit(req, {
+        action: 'vendor.status_update',
+        entityType: 'vendor',
+        entityId: vendorId,
+        before: currentResult.rows[0],
+        after: { is_active: result.rows[0].is_active }
+      }, client);
+
+      return result.rows[0];
+    });
+
+    if (!vendor) {
       return res.status(404).json({ error: 'Vendor not found' });
     }
 
+    if (!is_active) {
+      await revokeAllSessions('vendor', vendor.id, 'deactivated');
+    }
+
     res.json({
       message: 'Vendor status updated successfully',
-      vendor: result.rows[0]
+      vendor
     });
 
   } catch (error) {
@@ -309,7 +949,83 @@ router.put('/vendors/:id/status', authenticateAdmin, [
   }
 });
 
-router.get('/returns', authenticateAdmin, async (req, res) => {
+// Set a vendor's coordinates, used to order stops on delivery routes
+router.put('/vendors/:id/location', authenticateAdmin, requirePermission('vendors.manage'), [
+  body('latitude').isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('longitude').isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const vendorId = req.params.id;
+    const { latitude, longitude } = req.body;
+
+    const vendor = await withTransaction(async (client) => {
+      const currentResult = await client.query('SELECT latitude, longitude FROM vendors WHERE id = $1 FOR UPDATE', [vendorId]);
+      if (currentResult.rows.length === 0) {
+        return null;
+      }
+
+      const result = await client.query(`
+        UPDATE vendors
+        SET latitude = $1, longitude = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $3
+        RETURNING id, name, address, city, pincode, latitude, longitude
+      `, [latitude, longitude, vendorId]);
+
+      await recordAudit(req, {
+        action: 'vendor.location_update',
+        entityType: 'vendor',
+        entityId: vendorId,
+        before: currentResult.rows[0],
+        after: { latitude: result.rows[0].latitude, longitude: result.rows[0].longitude }
+      }, client);
+
+      return result.rows[0];
+    });
+
+    if (!vendor) {
+      return res.status(404).json({ error: 'Vendor not found' });
+    }
+
+    res.json({
+      message: 'Vendor location updated successfully',
+      vendor
+    });
+
+  } catch (error) {
+    console.error('Update vendor location error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Force a vendor to log in again on every device
+router.post('/vendors/:id/revoke-sessions', authenticateAdmin, requirePermission('vendors.manage'), async (req, res) => {
+  try {
+    const revokedCount = await revokeAllSessions('vendor', parseInt(req.params.id), 'revoked_by_admin');
+
+    await recordAudit(req, {
+      action: 'vendor.sessions_revoke',
+      entityType: 'vendor',
+      entityId: req.params.id,
+      after: { revoked_sessions: revokedCount }
+    });
+
+    res.json({
+      message: 'Vendor sessions revoked successfully',
+      revoked_sessions: revokedCount
+    });
+
+  } catch (error) {
+    console.error('Revoke vendor sessions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.get('/returns', authenticateAdmin, requirePermission('returns.view'), async (req, res) => {
   try {
     const { page = 1, limit = 20, status } = req.query;
     const offset = (page - 1) * limit;
@@ -346,7 +1062,7 @@ router.get('/returns', authenticateAdmin, async (req, res) => {
   }
 });
 
-router.put('/returns/:id/process', authenticateAdmin, [
+router.put('/returns/:id/process', authenticateAdmin, requirePermission('returns.process'), [
   body('status').isIn(['approved', 'rejected']).withMessage('Status must be approved or rejected'),
   body('notes').optional().isString().withMessage('Notes must be a string')
 ], async (req, res) => {
@@ -359,29 +1075,58 @@ router.put('/returns/:id/process', authenticateAdmin, [
     const returnId = req.params.id;
     const { status, notes } = req.body;
 
-    const result = await query(`
-      UPDATE return_requests 
-      SET status = $1, notes = COALESCE($2, notes), updated_at = CURRENT_TIMESTAMP
-      WHERE id = $3
-      RETURNING *
-    `, [status, notes, returnId]);
-    if (result.rows.length === 0) {
+    const returnRequest = await withTransaction(async (client) => {
+      const currentResult = await client.query('SELECT * FROM return_requests WHERE id = $1 FOR UPDATE', [returnId]);
+      if (currentResult.rows.length === 0) {
+        return null;
+      }
+
+      // The goods of an approved return are back in stock, so the decision is final
+      if (currentResult.rows[0].status === 'approved') {
+        throw new AppError('This return has already been approved and cannot be changed', 400);
+      }
+
+      const result = await client.query(`
+        UPDATE return_requests 
+        SET status = $1, notes = COALESCE($2, notes), updated_at = CURRENT_TIMESTAMP
+        WHERE id = $3
+        RETURNING *
+      `, [status, notes, returnId]);
+
+      if (status === 'approved') {
+        await restockReturn(client, result.rows[0], req.staff.id);
+      }
+
+      await recordAudit(req, {
+        action: 'return.process',
+        entityType: 'return_request',
+        entityId: returnId,
+        before: currentResult.rows[0],
+        after: result.rows[0]
+      }, client);
+
+      return result.rows[0];
+    });
+
+    if (!returnRequest) {
       return res.status(404).json({ error: 'Return request not found' });
     }
 
+    emitToVendor(returnRequest.vendor_id, 'return:processed', returnRequest);
+    emitToAdmins('return:processed', returnRequest);
+
     res.json({
       message: 'Return request processed successfully',
-      return_request: result.rows[0]
+      return_request: returnRequest
     });
 
   } catch (error) {
-    console.error('Process return error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    handleRouteError(res, error, 'Process return error');
   }
 });
 
 
-router.get('/analytics', authenticateAdmin, async (req, res) => {
+router.get('/analytics', authenticateAdmin, requirePermission('analytics.view'), async (req, res) => {
   try {
     const { period = 'month' } = req.query;
     const now = new Date();
@@ -0,0 +1,453 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import moment from 'moment';
+import { query, withTransaction } from '../config/database.js';
+import { authenticateAdmin, requirePermission } from '../middlewares/auth.middleware.js';
+import { uploadImages } from '../middlewares/upload.middleware.js';
+import { completeStop, getRouteWithStops, planRoutes, rescheduleStop, startRoute, STOP_OUTCOMES } from '../services/delivery.service.js';
+import { discardProofFiles, hasProof, proofUploadFields, recordDeliveryProof, storeProofFiles } from '../services/delivery-proof.service.js';
+import { emitOrderLowStockAlerts } from '../services/inventory.service.js';
+import { emitOrderStatusChanged, emitToAdmins } from '../services/realtime.service.js';
+import { recordAudit } from '../services/audit.service.js';
+import { getRolePermissions } from '../config/permissions.js';
+import { AppError, handleRouteError } from '../utils/errors.js';
+
+const router = express.Router();
+
+// Group a date's orders into routes by pincode or city (admin)
+router.post('/admin/routes/plan', authenticateAdmin, requirePermission('routes.manage'), [
+  body('date').isISO8601().withMessage('Valid date is required'),
+  body('group_by').optional().isIn(['pincode', 'city']).withMessage('group_by must be pincode or city'),
+  body('optimize').optional().isBoolean().withMessage('optimize must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { date, group_by = 'pincode', optimize = true } = req.body;
+    const routeDate = moment(date).format('YYYY-MM-DD');
+
+    const routes = await withTransaction(async (client) => {
+      const planned = await planRoutes(client, routeDate, { groupBy: group_by, optimize, staffId: req.staff.id });
+
+      for (const route of planned) {
+        await recordAudit(req, {
+          action: 'route.plan',
+          entityType: 'delivery_route',
+          entityId: route.id,
+          after: { route_date: routeDate, name: route.name, order_ids: route.stops.map((stop) => stop.order_id) }
+        }, client);
+      }
+
+      return planned;
+    });
+
+    res.status(201).json({
+      message: routes.length > 0
+        ? `Planned ${routes.length} routes`
+        : 'No unassigned orders to plan for this date',
+      routes
+    });
+
+  } catch (error) {
+    handleRouteError(res, error, 'Plan routes error');
+  }
+});
+
+// List routes for a date with stop progress (admin)
+router.get('/admin/routes', authenticateAdmin, requirePermission('orders.view'), async (req, res) => {
+  try {
+    const { date, status, agent_id } = req.query;
+    const routeDate = date || moment().format('YYYY-MM-DD');
+
+    let queryStr = `
+      SELECT dr.*, s.name as agent_name,
+             COUNT(ds.id) as total_stops,
+             COUNT(ds.id) FILTER (WHERE ds.status = 'pending') as pending_stops,
+             COUNT(ds.id) FILTER (WHERE ds.status IN ('delivered', 'partial')) as delivered_stops,
+             COUNT(ds.id) FILTER (WHERE ds.status = 'failed') as failed_stops
+      FROM delivery_routes dr
+      LEFT JOIN staff s ON dr.agent_id = s.id
+      LEFT JOIN delivery_stops ds ON ds.route_id = dr.id
+      WHERE dr.route_date = $1
+    `;
+    let params = [routeDate];
+    let paramCount = 1;
+
+    if (status) {
+      paramCount++;
+      queryStr += ` AND dr.status = $${paramCount}`;
+      params.push(status);
+    }
+
+    if (agent_id) {
+      paramCount++;
+      queryStr += ` AND dr.agent_id = $${paramCount}`;
+      params.push(agent_id);
+    }
+
+    queryStr += ` GROUP BY dr.id, s.name ORDER BY dr.name`;
+
+    const result = await query(queryStr, params);
+
+    res.json({
+      date: routeDate,
+      routes: result.rows
+    });
+
+  } catch (error) {
+    console.error('Get routes error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.get('/admin/routes/:id', authenticateAdmin, requirePermission('orders.view'), async (req, res) => {
+  try {
+    const route = await getRouteWithStops(req.params.id);
+
+    if (!route) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    res.json({ route });
+
+  } catch (error) {
+    console.error('Get route error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Hand a route to a delivery agent (admin)
+router.put('/admin/routes/:id/assign', authenticateAdmin, requirePermission('routes.manage'), [
+  body('agent_id').isInt().withMessage('Valid agent ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const routeId = req.params.id;
+    const { agent_id } = req.body;
+
+    const agentResult = await query('SELECT id, name, role, is_active FROM staff WHERE id = $1', [agent_id]);
+    const agent = agentResult.rows[0];
+    if (!agent || !agent.is_active) {
+      return res.status(400).json({ error: 'Agent not found or inactive' });
+    }
+    if (!getRolePermissions(agent.role).includes('deliveries.perform')) {
+      return res.status(400).json({ error: `Staff with role ${agent.role} cannot carry out deliveries` });
+    }
+
+    const route = await withTransaction(async (client) => {
+      const currentResult = await client.query('SELECT * FROM delivery_routes WHERE id = $1 FOR UPDATE', [routeId]);
+      if (currentResult.rows.length === 0) {
+        return null;
+      }
+      if (currentResult.rows[0].status === 'completed') {
+        throw new AppError('Route is already completed', 400);
+      }
+
+      const result = await client.query(`
+        UPDATE delivery_routes SET agent_id = $1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+        RETURNING *
+      `, [agent_id, routeId]);
+
+      await recordAudit(req, {
+        action: 'route.assign',
+        entityType: 'delivery_route',
+        entityId: routeId,
+        before: { agent_id: currentResult.rows[0].agent_id },
+        after: { agent_id: result.rows[0].agent_id }
+      }, client);
+
+      return result.rows[0];
+    });
+
+    if (!route) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    res.json({
+      message: `Route assigned to ${agent.name}`,
+      route
+    });
+
+  } catch (error) {
+    handleRouteError(res, error, 'Assign route error');
+  }
+});
+
+// Reorder the stops on a route; stop_ids lists every stop in the new order (admin)
+router.put('/admin/routes/:id/sequence', authenticateAdmin, requirePermission('routes.manage'), [
+  body('stop_ids').isArray({ min: 1 }).withMessage('stop_ids must be a non-empty array'),
+  body('stop_ids.*').isInt().withMessage('Each stop ID must be an integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const routeId = req.params.id;
+    const stopIds = req.body.stop_ids.map(Number);
+
+    const found = await withTransaction(async (client) => {
+      const stopsResult = await client.query(`
+        SELECT id, sequence FROM delivery_stops WHERE route_id = $1 ORDER BY sequence FOR UPDATE
+      `, [routeId]);
+      if (stopsResult.rows.length === 0) {
+        return false;
+      }
+
+      const currentIds = stopsResult.rows.map((stop) => stop.id);
+      const sameStops = stopIds.length === currentIds.length
+        && new Set(stopIds).size === stopIds.length
+        && stopIds.every((id) => currentIds.includes(id));
+      if (!sameStops) {
+        throw new AppError('stop_ids must list every stop on the route exactly once', 400, { stop_ids: currentIds });
+      }
+
+      for (const [index, stopId] of stopIds.entries()) {
+        await client.query(`
+          UPDATE delivery_stops SET sequence = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2
+        `, [index + 1, stopId]);
+      }
+
+      await recordAudit(req, {
+        action: 'route.resequence',
+        entityType: 'delivery_route',
+        entityId: routeId,
+        before: { stop_ids: currentIds },
+        after: { stop_ids: stopIds }
+      }, client);
+
+      return true;
+    });
+
+    if (!found) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    res.json({
+      message: 'Route sequence updated successfully',
+      route: await getRouteWithStops(routeId)
+    });
+
+  } catch (error) {
+    handleRouteError(res, error, 'Update route sequence error');
+  }
+});
+
+// Delete a route that has not started; its orders can be planned again (admin)
+router.delete('/admin/routes/:id', authenticateAdmin, requirePermission('routes.manage'), async (req, res) => {
+  try {
+    const routeId = req.params.id;
+
+    const route = await withTransaction(async (client) => {
+      const currentResult = await client.query('SELECT * FROM delivery_routes WHERE id = $1 FOR UPDATE', [routeId]);
+      if (currentResult.rows.length === 0) {
+        return null;
+      }
+      if (currentResult.rows[0].status !== 'planned') {
+        throw new AppError('Only routes that have not started can be deleted', 400);
+      }
+
+      await client.query('DELETE FROM delivery_routes WHERE id = $1', [routeId]);
+
+      await recordAudit(req, {
+        action: 'route.delete',
+        entityType: 'delivery_route',
+        entityId: routeId,
+        before: currentResult.rows[0]
+      }, client);
+
+      return currentResult.rows[0];
+    });
+
+    if (!route) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    res.json({
+      message: 'Route deleted successfully'
+    });
+
+  } catch (error) {
+    handleRouteError(res, error, 'Delete route error');
+  }
+});
+
+// Give a failed stop another attempt (admin). With route_id the stop moves
+// to the end of that route; without it the stop is dropped so the order is
+// picked up the next time routes are planned for its date.
+router.put('/admin/stops/:id/reschedule', authenticateAdmin, requirePermission('routes.manage'), [
+  body('route_id').optional({ nullable: true }).isInt().withMessage('Valid route ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const stopId = req.params.id;
+    const routeId = req.body.route_id || null;
+
+    const { stop } = await withTransaction(async (client) => {
+      const result = await rescheduleStop(client, stopId, routeId);
+
+      await recordAudit(req, {
+        action: 'route.stop_reschedule',
+        entityType: 'delivery_stop',
+        entityId: stopId,
+        before: result.before,
+        after: result.stop
+      }, client);
+
+      return result;
+    });
+
+    res.json({
+      message: stop ? 'Stop moved to the route' : 'Stop removed; the order can be planned again',
+      stop
+    });
+
+  } catch (error) {
+    handleRouteError(res, error, 'Reschedule stop error');
+  }
+});
+
+// The agent's routes for a date with their stops (delivery agent)
+router.get('/my-routes', authenticateAdmin, requirePermission('deliveries.perform'), async (req, res) => {
+  try {
+    const routeDate = req.query.date || moment().format('YYYY-MM-DD');
+
+    const result = await query(`
+      SELECT id FROM delivery_routes
+      WHERE agent_id = $1 AND route_date = $2
+      ORDER BY name
+    `, [req.staff.id, routeDate]);
+
+    const routes = [];
+    for (const row of result.rows) {
+      routes.push(await getRouteWithStops(row.id));
+    }
+
+    res.json({
+      date: routeDate,
+      routes
+    });
+
+  } catch (error) {
+    console.error('Get my routes error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Start a route: its orders go out for delivery (delivery agent)
+router.post('/routes/:id/start', authenticateAdmin, requirePermission('deliveries.perform'), async (req, res) => {
+  try {
+    const { route, orders } = await withTransaction((client) => startRoute(client, req.params.id, req.staff.id));
+
+    orders.forEach(emitOrderStatusChanged);
+    emitToAdmins('route:started', { route_id: route.id, agent_id: route.agent_id, route_date: route.route_date });
+
+    res.json({
+      message: 'Route started',
+      route: await getRouteWithStops(route.id)
+    });
+
+  } catch (error) {
+    handleRouteError(res, error, 'Start route error');
+  }
+});
+
+// Multipart requests send items as a JSON string
+const parseJsonField = (value) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+// Record the outcome of a stop (delivery agent). For a partial delivery,
+// items gives the quantity actually handed over for each product that fell short.
+// Delivered and partial stops may be multipart with a photo and/or
+// signature image plus delivered_at, latitude and longitude as proof.
+router.put('/stops/:id', authenticateAdmin, requirePermission('deliveries.perform'), uploadImages(proofUploadFields), [
+  body('items').customSanitizer(parseJsonField),
+  body('status').isIn(STOP_OUTCOMES).withMessage('Status must be delivered, failed or partial'),
+  body('notes').optional().isString().withMessage('Notes must be a string'),
+  body('failure_reason').if(body('status').equals('failed')).notEmpty().withMessage('Failure reason is required'),
+  body('items').if(body('status').equals('partial')).isArray({ min: 1 }).withMessage('Delivered items are required for a partial delivery'),
+  body('items.*.product_id').optional().isInt().withMessage('Valid product ID is required'),
+  body('items.*.quantity').optional().isFloat({ min: 0 }).withMessage('Quantity cannot be negative'),
+  body('delivered_at').optional().isISO8601().withMessage('delivered_at must be a valid date and time'),
+  body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status, notes, failure_reason, items, delivered_at, latitude, longitude } = req.body;
+
+    // Proof is only kept when something was handed over
+    const proofFiles = status === 'failed' ? {} : await storeProofFiles(req.files);
+
+    let result;
+    try {
+      result = await withTransaction(async (client) => {
+        const completed = await completeStop(client, req.params.id, req.staff.id, {
+          outcome: status,
+          notes,
+          failureReason: failure_reason,
+          deliveredItems: items
+        });
+
+        if (status !== 'failed' && hasProof(proofFiles, { latitude, longitude })) {
+          await recordDeliveryProof(client, completed.order.id, proofFiles, {
+            deliveredAt: delivered_at,
+            latitude,
+            longitude,
+            staffId: req.staff.id
+          });
+        }
+
+        return completed;
+      });
+    } catch (error) {
+      await discardProofFiles(proofFiles);
+      throw error;
+    }
+
+    const { stop, order } = result;
+
+    if (status === 'failed') {
+      emitToAdmins('route:stop-failed', { stop_id: stop.id, order_id: order.id, vendor_id: order.vendor_id, reason: failure_reason });
+    } else {
+      emitOrderStatusChanged(order);
+      emitOrderLowStockAlerts(order.id);
+    }
+
+    res.json({
+      message: 'Stop updated successfully',
+      stop,
+      order
+    });
+
+  } catch (error) {
+    handleRouteError(res, error, 'Update stop error');
+  }
+});
+
+export default router;
@@ -0,0 +1,126 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { query } from '../config/database.js';
+import { authenticateAdmin, requirePermission } from '../middlewares/auth.middleware.js';
+import { listJobs, runJob, setJobPaused } from '../services/scheduler.service.js';
+import { handleRouteError } from '../utils/errors.js';
+
+const router = express.Router();
+
+// List scheduled jobs with their state and last run (admin)
+router.get('/admin', authenticateAdmin, requirePermission('jobs.view'), async (req, res) => {
+  try {
+    const jobs = await listJobs();
+
+    res.json({
+      jobs
+    });
+
+  } catch (error) {
+    handleRouteError(res, error, 'Get jobs error');
+  }
+});
+
+// Get past job runs (admin)
+router.get('/admin/runs', authenticateAdmin, requirePermission('jobs.view'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, job_name, status } = req.query;
+    const offset = (page - 1) * limit;
+
+    let queryStr = `
+      SELECT jr.*, s.name as triggered_by_name
+      FROM job_runs jr
+      LEFT JOIN staff s ON jr.triggered_by = s.id
+      WHERE 1=1
+    `;
+    let params = [];
+    let paramCount = 0;
+
+    if (job_name) {
+      paramCount++;
+      queryStr += ` AND jr.job_name = $${paramCount}`;
+      params.push(job_name);
+    }
+
+    if (status) {
+      paramCount++;
+      queryStr += ` AND jr.status = $${paramCount}`;
+      params.push(status);
+    }
+
+    queryStr += ` ORDER BY jr.started_at DESC LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`;
+    params.push(limit, offset);
+
+    const result = await query(queryStr, params);
+
+    res.json({
+      runs: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: result.rows.length
+      }
+    });
+
+  } catch (error) {
+    handleRouteError(res, error, 'Get job runs error');
+  }
+});
+
+// Trigger a job run manually (admin)
+router.post('/admin/:name/run', authenticateAdmin, requirePermission('jobs.manage'), [
+  body('target_date').optional().isDate().withMessage('Valid target date is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const run = await runJob(req.params.name, {
+      trigger: 'manual',
+      staffId: req.staff.id,
+      params: { target_date: req.body.target_date }
+    });
+
+    res.status(run.status === 'failed' ? 500 : 200).json({
+      message: run.status === 'failed' ? 'Job run failed' : 'Job run completed',
+      run
+    });
+
+  } catch (error) {
+    handleRouteError(res, error, 'Run job error');
+  }
+});
+
+// Pause a scheduled job (admin)
+router.put('/admin/:name/pause', authenticateAdmin, requirePermission('jobs.manage'), async (req, res) => {
+  try {
+    const job = await setJobPaused(req.params.name, true, req.staff.id);
+
+    res.json({
+      message: 'Job paused successfully',
+      job
+    });
+
+  } catch (error) {
+    handleRouteError(res, error, 'Pause job error');
+  }
+});
+
+// Resume a paused job (admin)
+router.put('/admin/:name/resume', authenticateAdmin, requirePermission('jobs.manage'), async (req, res) => {
+  try {
+    const job = await setJobPaused(req.params.name, false, req.staff.id);
+
+    res.json({
+      message: 'Job resumed successfully',
+      job
+    });
+
+  } catch (error) {
+    handleRouteError(res, error, 'Resume job error');
+  }
+});
+
+export default router;
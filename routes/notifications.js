@@ -1,11 +1,30 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
 import { query } from '../config/database.js';
-import { authenticateAdmin } from '../middlewares/auth.middleware.js';
+import { authenticateAdmin, requirePermission } from '../middlewares/auth.middleware.js';
 import { authenticateVendor } from '../middlewares/auth.middleware.js';
+import { emitToVendor } from '../services/realtime.service.js';
+import { deliverNotification, retryDelivery } from '../services/notification-delivery.service.js';
+import { fitTitle, renderForVendor, renderText, TEMPLATE_LANGUAGES } from '../services/template.service.js';
 
 const router = express.Router();
 
+// Free text from the admin wins; otherwise render the template for the
+// notification type in the vendor's language.
+const resolveContent = async (vendor, { type, title, message, variables }) => {
+  if (title && message) {
+    const allVariables = { vendor_name: vendor.name, vendor_phone: vendor.phone, ...variables };
+    return { title: fitTitle(renderText(title, allVariables)), message: renderText(message, allVariables) };
+  }
+  return renderForVendor(type, vendor, variables);
+};
+
+const contentValidators = [
+  body('title').if(body('message').exists()).notEmpty().withMessage('Notification title is required'),
+  body('message').if(body('title').exists()).notEmpty().withMessage('Notification message is required'),
+  body('variables').optional().isObject().withMessage('Variables must be an object')
+];
+
 router.get('/vendor', authenticateVendor, async (req, res) => {
   try {
     const vendorId = req.vendor.id;
@@ -116,11 +135,10 @@ router.get('/vendor/unread-count', authenticateVendor, async (req, res) => {
 
 
 // Send notification to vendor (admin)
-router.post('/admin/send', authenticateAdmin, [
+router.post('/admin/send', authenticateAdmin, requirePermission('notifications.send'), [
   body('vendor_id').isInt().withMessage('Valid vendor ID is required'),
   body('type').notEmpty().withMessage('Notification type is required'),
-  body('title').notEmpty().withMessage('Notification title is required'),
-  body('message').notEmpty().withMessage('Notification message is required'),
+  ...contentValidators,
   body('sent_via').optional().isIn(['app', 'email', 'sms', 'whatsapp']).withMessage('Invalid sent_via value')
 ], async (req, res) => {
   try {
@@ -129,23 +147,32 @@ router.post('/admin/send', authenticateAdmin, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { vendor_id, type, title, message, sent_via = 'app' } = req.body;
+    const { vendor_id, type, title, message, variables, sent_via = 'app' } = req.body;
 
     // Verify vendor exists
-    const vendorResult = await query('SELECT id FROM vendors WHERE id = $1 AND is_active = true', [vendor_id]);
+    const vendorResult = await query('SELECT id, name, phone, language FROM vendors WHERE id = $1 AND is_active = true', [vendor_id]);
     if (vendorResult.rows.length === 0) {
       return res.status(404).json({ error: 'Vendor not found' });
     }
 
+    const content = await resolveContent(vendorResult.rows[0], { type, title, message, variables });
+    if (!content) {
+      return res.status(400).json({ error: `No template found for type "${type}". Provide a title and message instead` });
+    }
+
     const result = await query(`
       INSERT INTO notifications (vendor_id, type, title, message, sent_via)
       VALUES ($1, $2, $3, $4, $5)
       RETURNING *
-    `, [vendor_id, type, title, message, sent_via]);
+    `, [vendor_id, type, content.title, content.message, sent_via]);
+
+    emitToVendor(vendor_id, 'notification:new', result.rows[0]);
+    const delivery = await deliverNotification(result.rows[0]);
 
     res.status(201).json({
       message: 'Notification sent successfully',
-      notification: result.rows[0]
+      notification: result.rows[0],
+      delivery
     });
 
   } catch (error) {
@@ -155,11 +182,10 @@ router.post('/admin/send', authenticateAdmin, [
 });
 
 // Send bulk notifications (admin)
-router.post('/admin/send-bulk', authenticateAdmin, [
+router.post('/admin/send-bulk', authenticateAdmin, requirePermission('notifications.send'), [
   body('vendor_ids').isArray().withMessage('Vendor IDs must be an array'),
   body('type').notEmpty().withMessage('Notification type is required'),
-  body('title').notEmpty().withMessage('Notification title is required'),
-  body('message').notEmpty().withMessage('Notification message is required'),
+  ...contentValidators,
   body('sent_via').optional().isIn(['app', 'email', 'sms', 'whatsapp']).withMessage('Invalid sent_via value')
 ], async (req, res) => {
   try {
@@ -168,26 +194,36 @@ router.post('/admin/send-bulk', authenticateAdmin, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { vendor_ids, type, title, message, sent_via = 'app' } = req.body;
+    const { vendor_ids, type, title, message, variables, sent_via = 'app' } = req.body;
 
     const notifications = [];
+    const skipped = [];
     for (const vendorId of vendor_ids) {
       // Verify vendor exists
-      const vendorResult = await query('SELECT id FROM vendors WHERE id = $1 AND is_active = true', [vendorId]);
+      const vendorResult = await query('SELECT id, name, phone, language FROM vendors WHERE id = $1 AND is_active = true', [vendorId]);
       if (vendorResult.rows.length > 0) {
+        const content = await resolveContent(vendorResult.rows[0], { type, title, message, variables });
+        if (!content) {
+          skipped.push({ vendor_id: vendorId, reason: 'no_template' });
+          continue;
+        }
+
         const result = await query(`
           INSERT INTO notifications (vendor_id, type, title, message, sent_via)
           VALUES ($1, $2, $3, $4, $5)
           RETURNING *
-        `, [vendorId, type, title, message, sent_via]);
+        `, [vendorId, type, content.title, content.message, sent_via]);
 
-        notifications.push(result.rows[0]);
+        emitToVendor(vendorId, 'notification:new', result.rows[0]);
+        const delivery = await deliverNotification(result.rows[0]);
+        notifications.push({ ...result.rows[0], delivery_status: delivery ? delivery.status : null });
       }
     }
 
     res.status(201).json({
       message: `Sent ${notifications.length} notifications successfully`,
-      notifications
+      notifications,
+      skipped
     });
 
   } catch (error) {
@@ -197,7 +233,7 @@ router.post('/admin/send-bulk', authenticateAdmin, [
 });
 
 // Get all notifications (admin)
-router.get('/admin/all', authenticateAdmin, async (req, res) => {
+router.get('/admin/all', authenticateAdmin, requirePermission('notifications.view'), async (req, res) => {
   try {
     const { page = 1, limit = 20, vendor_id, type, is_read } = req.query;
     const offset = (page - 1) * limit;
@@ -249,4 +285,259 @@ router.get('/admin/all', authenticateAdmin, async (req, res) => {
   }
 });
 
+// Get notification templates (admin)
+router.get('/admin/templates', authenticateAdmin, requirePermission('notifications.view'), async (req, res) => {
+  try {
+    const { type, language } = req.query;
+
+    let queryStr = 'SELECT * FROM notification_templates WHERE 1=1';
+    let params = [];
+    let paramCount = 0;
+
+    if (type) {
+      paramCount++;
+      queryStr += ` AND type = $${paramCount}`;
+      params.push(type);
+    }
+
+    if (language) {
+      paramCount++;
+      queryStr += ` AND language = $${paramCount}`;
+      params.push(language);
+    }
+
+    queryStr += ' ORDER BY type, language';
+
+    const result = await query(queryStr, params);
+
+    res.json({
+      templates: result.rows
+    });
+
+  } catch (error) {
+    console.error('Get templates error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create or replace a template for a type and language (admin)
+router.post('/admin/templates', authenticateAdmin, requirePermission('notifications.manage_templates'), [
+  body('type').notEmpty().withMessage('Notification type is required'),
+  body('language').isIn(TEMPLATE_LANGUAGES).withMessage('Invalid language'),
+  body('title').notEmpty().isLength({ max: 100 }).withMessage('Template title is required (max 100 characters)'),
+  body('body').notEmpty().withMessage('Template body is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { type, language, title, body: templateBody } = req.body;
+
+    const result = await query(`
+      INSERT INTO notification_templates (type, language, title, body)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (type, language) DO UPDATE
+      SET title = EXCLUDED.title, body = EXCLUDED.body, is_active = true, updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [type, language, title, templateBody]);
+
+    res.status(201).json({
+      message: 'Template saved successfully',
+      template: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Save template error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a template (admin)
+router.put('/admin/templates/:id', authenticateAdmin, requirePermission('notifications.manage_templates'), [
+  body('title').optional().notEmpty().isLength({ max: 100 }).withMessage('Template title cannot be empty (max 100 characters)'),
+  body('body').optional().notEmpty().withMessage('Template body cannot be empty'),
+  body('is_active').optional().isBoolean().withMessage('is_active must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { title, body: templateBody, is_active } = req.body;
+
+    const result = await query(`
+      UPDATE notification_templates
+      SET title = COALESCE($1, title),
+          body = COALESCE($2, body),
+          is_active = COALESCE($3, is_active),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4
+      RETURNING *
+    `, [title, templateBody, is_active, req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    res.json({
+      message: 'Template updated successfully',
+      template: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Update template error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a template (admin)
+router.delete('/admin/templates/:id', authenticateAdmin, requirePermission('notifications.manage_templates'), async (req, res) => {
+  try {
+    const result = await query('DELETE FROM notification_templates WHERE id = $1 RETURNING *', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    res.json({
+      message: 'Template deleted successfully',
+      template: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Delete template error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Preview a template rendered for a vendor (admin)
+router.post('/admin/templates/preview', authenticateAdmin, requirePermission('notifications.view'), [
+  body('vendor_id').isInt().withMessage('Valid vendor ID is required'),
+  body('type').notEmpty().withMessage('Notification type is required'),
+  body('variables').optional().isObject().withMessage('Variables must be an object')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { vendor_id, type, variables } = req.body;
+
+    const vendorResult = await query('SELECT id, name, phone, language FROM vendors WHERE id = $1', [vendor_id]);
+    if (vendorResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Vendor not found' });
+    }
+
+    const preview = await renderForVendor(type, vendorResult.rows[0], variables);
+    if (!preview) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    res.json({
+      preview
+    });
+
+  } catch (error) {
+    console.error('Preview template error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get notification deliveries (admin)
+router.get('/admin/deliveries', authenticateAdmin, requirePermission('notifications.view'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, channel, vendor_id } = req.query;
+    const offset = (page - 1) * limit;
+
+    let queryStr = `
+      SELECT nd.*, n.vendor_id, n.type, v.name as vendor_name
+      FROM notification_deliveries nd
+      JOIN notifications n ON nd.notification_id = n.id
+      JOIN vendors v ON n.vendor_id = v.id
+      WHERE 1=1
+    `;
+    let params = [];
+    let paramCount = 0;
+
+    if (status) {
+      paramCount++;
+      queryStr += ` AND nd.status = $${paramCount}`;
+      params.push(status);
+    }
+
+    if (channel) {
+      paramCount++;
+      queryStr += ` AND nd.channel = $${paramCount}`;
+      params.push(channel);
+    }
+
+    if (vendor_id) {
+      paramCount++;
+      queryStr += ` AND n.vendor_id = $${paramCount}`;
+      params.push(vendor_id);
+    }
+
+    queryStr += ` ORDER BY nd.created_at DESC LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`;
+    params.push(limit, offset);
+
+    const result = await query(queryStr, params);
+
+    res.json({
+      deliveries: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: result.rows.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get deliveries error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the failure log for a delivery (admin)
+router.get('/admin/deliveries/:id/failures', authenticateAdmin, requirePermission('notifications.view'), async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT * FROM notification_delivery_failures
+      WHERE delivery_id = $1
+      ORDER BY created_at DESC
+    `, [req.params.id]);
+
+    res.json({
+      failures: result.rows
+    });
+
+  } catch (error) {
+    console.error('Get delivery failures error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Retry a failed delivery now (admin)
+router.post('/admin/deliveries/:id/retry', authenticateAdmin, requirePermission('notifications.send'), async (req, res) => {
+  try {
+    const delivery = await retryDelivery(req.params.id);
+
+    if (!delivery) {
+      return res.status(404).json({ error: 'No retryable delivery found' });
+    }
+
+    res.json({
+      message: delivery.status === 'sent' ? 'Delivery sent successfully' : 'Delivery attempt failed',
+      delivery
+    });
+
+  } catch (error) {
+    console.error('Retry delivery error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 export default router; 
\ No newline at end of file
@@ -1,10 +1,41 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
-import { query } from '../config/database.js';
-import { authenticateAdmin } from '../middlewares/auth.middleware.js';
+import { query, withTransaction } from '../config/database.js';
+import { authenticateAdmin, requireAnyPermission, requirePermission } from '../middlewares/auth.middleware.js';
 import { authenticateVendor } from '../middlewares/auth.middleware.js';
+import { generateDailyOrders } from '../services/order-generation.service.js';
+import { applyOrderStatusToStock, emitOrderLowStockAlerts } from '../services/inventory.service.js';
+import { emitOrderStatusChanged, emitToAdmins, emitToVendor } from '../services/realtime.service.js';
+import { debitOrder } from '../services/ledger.service.js';
+import { AppError, handleRouteError } from '../utils/errors.js';
+import { recordAudit } from '../services/audit.service.js';
+import { closeOrderStop } from '../services/delivery.service.js';
+import { applyOrderStatusChange, getStatusHistory, transitionOrderStatus } from '../services/order-status.service.js';
+import { getModificationCutoff, isBeforeCutoff, modifyOrderAsVendor, reviewChangeRequest } from '../services/order-modification.service.js';
+import { uploadImages } from '../middlewares/upload.middleware.js';
+import { sendStoredFile } from '../services/storage.service.js';
+import {
+  discardProofFiles,
+  getDeliveryProof,
+  hasProof,
+  presentDeliveryProof,
+  PROOF_FILES,
+  proofUploadFields,
+  recordDeliveryProof,
+  storeProofFiles
+} from '../services/delivery-proof.service.js';
 const router = express.Router();
 
+// Stream a proof of delivery image (photo or signature)
+const sendProofFile = async (res, orderId, kind) => {
+  const proof = PROOF_FILES.includes(kind) ? await getDeliveryProof(orderId) : null;
+  if (!proof?.[`${kind}_key`]) {
+    return res.status(404).json({ error: 'Proof file not found' });
+  }
+
+  await sendStoredFile(res, proof[`${kind}_key`], { mimetype: proof[`${kind}_mimetype`] });
+};
+
 
 router.get('/:id', authenticateVendor, async (req, res) => {
   try {
@@ -29,9 +60,25 @@ router.get('/:id', authenticateVendor, async (req, res) => {
       WHERE oi.order_id = $1
     `, [orderId]);
 
+    const changeRequestsResult = await query(`
+      SELECT id, changes, reason, status, review_notes, reviewed_at, created_at
+      FROM order_change_requests
+      WHERE order_id = $1
+      ORDER BY created_at DESC
+    `, [orderId]);
+
+    const order = orderResult.rows[0];
+
     res.json({
-      order: orderResult.rows[0],
-      items: itemsResult.rows
+      order,
+      items: itemsResult.rows,
+      status_history: await getStatusHistory(orderId, { includeStaff: false }),
+      delivery_proof: presentDeliveryProof(await getDeliveryProof(orderId), `/api/orders/${orderId}/proof`),
+      modification: {
+        cutoff_at: getModificationCutoff(order.order_date).toISOString(),
+        can_modify: order.status === 'pending' && isBeforeCutoff(order.order_date)
+      },
+      change_requests: changeRequestsResult.rows
     });
 
   } catch (error) {
@@ -40,6 +87,97 @@ router.get('/:id', authenticateVendor, async (req, res) => {
   }
 });
 
+// Proof of delivery for one of the vendor's orders
+router.get('/:id/proof', authenticateVendor, async (req, res) => {
+  try {
+    const orderId = req.params.id;
+
+    const orderResult = await query('SELECT id FROM orders WHERE id = $1 AND vendor_id = $2', [orderId, req.vendor.id]);
+    if (orderResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const proof = await getDeliveryProof(orderId);
+    if (!proof) {
+      return res.status(404).json({ error: 'No proof of delivery for this order' });
+    }
+
+    res.json({
+      proof: presentDeliveryProof(proof, `/api/orders/${orderId}/proof`)
+    });
+
+  } catch (error) {
+    console.error('Get delivery proof error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.get('/:id/proof/:kind', authenticateVendor, async (req, res) => {
+  try {
+    const orderId = req.params.id;
+
+    const orderResult = await query('SELECT id FROM orders WHERE id = $1 AND vendor_id = $2', [orderId, req.vendor.id]);
+    if (orderResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    await sendProofFile(res, orderId, req.params.kind);
+
+  } catch (error) {
+    console.error('Get delivery proof file error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change quantities, remove items (quantity 0) or add products on a
+// pending order. After the cutoff this becomes a change request.
+router.put('/:id/items', authenticateVendor, [
+  body('items').isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
+  body('items.*.product_id').isInt().withMessage('Valid product ID is required'),
+  body('items.*.quantity').isFloat({ min: 0 }).withMessage('Valid quantity is required'),
+  body('reason').optional().isString().withMessage('Reason must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { items, reason } = req.body;
+
+    const result = await withTransaction((client) => modifyOrderAsVendor(client, req.vendor.id, req.params.id, items, reason));
+
+    if (!result.applied) {
+      emitToAdmins('order:change-requested', { ...result.change_request, vendor_name: req.vendor.name });
+
+      return res.status(202).json({
+        message: 'The cutoff for this order has passed. Your change has been sent for approval',
+        change_request: result.change_request
+      });
+    }
+
+    const itemsResult = await query(`
+      SELECT oi.*, p.name as product_name, p.unit
+      FROM order_items oi
+      JOIN products p ON oi.product_id = p.id
+      WHERE oi.order_id = $1
+    `, [result.order.id]);
+
+    emitToAdmins('order:modified', { order_id: result.order.id, vendor_id: req.vendor.id, total_amount: result.order.total_amount });
+
+    res.json({
+      message: 'Order updated successfully',
+      order: result.order,
+      items: itemsResult.rows,
+      difference: result.difference,
+      shortages: result.shortages
+    });
+
+  } catch (error) {
+    handleRouteError(res, error, 'Modify order error');
+  }
+});
+
 // Create return request
 router.post('/:id/return', authenticateVendor, [
   body('items').isArray().withMessage('Items must be an array'),
@@ -88,7 +226,7 @@ router.post('/:id/return', authenticateVendor, [
 });
 
 // Get all orders (admin)
-router.get('/admin/all', authenticateAdmin, async (req, res) => {
+router.get('/admin/all', authenticateAdmin, requirePermission('orders.view'), async (req, res) => {
   try {
     const { page = 1, limit = 20, status, date, vendor_id } = req.query;
     const offset = (page - 1) * limit;
@@ -142,8 +280,106 @@ router.get('/admin/all', authenticateAdmin, async (req, res) => {
   }
 });
 
+// Get orders that cannot be fully fulfilled from stock (admin)
+router.get('/admin/stock-shortages', authenticateAdmin, requirePermission('orders.view'), async (req, res) => {
+  try {
+    const { date } = req.query;
+    const targetDate = date || new Date().toISOString().split('T')[0];
+
+    const result = await query(`
+      SELECT o.id as order_id, o.order_date, o.status, v.name as vendor_name,
+             oi.product_id, p.name as product_name, p.unit,
+             oi.quantity, oi.short_quantity
+      FROM orders o
+      JOIN vendors v ON o.vendor_id = v.id
+      JOIN order_items oi ON o.id = oi.order_id
+      JOIN products p ON oi.product_id = p.id
+      WHERE o.order_date = $1 AND o.has_stock_shortage = true
+        AND o.status <> 'cancelled' AND oi.short_quantity > 0
+      ORDER BY o.id, p.name
+    `, [targetDate]);
+
+    res.json({
+      date: targetDate,
+      shortages: result.rows
+    });
+
+  } catch (error) {
+    console.error('Get stock shortages error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List vendor change requests for orders past their cutoff (admin)
+router.get('/admin/change-requests', authenticateAdmin, requirePermission('orders.view'), async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+
+    const result = await query(`
+      SELECT cr.*, v.name as vendor_name, v.phone as vendor_phone,
+             o.order_date, o.status as order_status, o.total_amount,
+             s.name as reviewed_by_name
+      FROM order_change_requests cr
+      JOIN vendors v ON cr.vendor_id = v.id
+      JOIN orders o ON cr.order_id = o.id
+      LEFT JOIN staff s ON cr.reviewed_by = s.id
+      WHERE cr.status = $1
+      ORDER BY cr.created_at
+    `, [status]);
+
+    res.json({
+      change_requests: result.rows
+    });
+
+  } catch (error) {
+    console.error('Get change requests error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Approve or reject a vendor's change request (admin)
+router.put('/admin/change-requests/:id', authenticateAdmin, requirePermission('orders.update_status'), [
+  body('approve').isBoolean().withMessage('approve must be a boolean'),
+  body('notes').optional().isString().withMessage('Notes must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { approve, notes } = req.body;
+
+    const result = await withTransaction(async (client) => {
+      const reviewed = await reviewChangeRequest(client, req.params.id, approve, { staffId: req.staff.id, notes });
+
+      await recordAudit(req, {
+        action: approve ? 'order_change_request.approve' : 'order_change_request.reject',
+        entityType: 'order_change_request',
+        entityId: req.params.id,
+        before: reviewed.before,
+        after: reviewed.change_request
+      }, client);
+
+      return reviewed;
+    });
+
+    emitToVendor(result.change_request.vendor_id, 'order:change-reviewed', result.change_request);
+
+    res.json({
+      message: approve ? 'Change request approved' : 'Change request rejected',
+      change_request: result.change_request,
+      order: result.order || null,
+      shortages: result.shortages || []
+    });
+
+  } catch (error) {
+    handleRouteError(res, error, 'Review change request error');
+  }
+});
+
 // Get order details (admin)
-router.get('/admin/:id', authenticateAdmin, async (req, res) => {
+router.get('/admin/:id', authenticateAdmin, requirePermission('orders.view'), async (req, res) => {
   try {
     const orderId = req.params.id;
 
@@ -169,7 +405,9 @@ router.get('/admin/:id', authenticateAdmin, async (req, res) => {
 
     res.json({
       order: orderResult.rows[0],
-      items: itemsResult.rows
+      items: itemsResult.rows,
+      status_history: await getStatusHistory(orderId),
+      delivery_proof: presentDeliveryProof(await getDeliveryProof(orderId), `/api/orders/admin/${orderId}/proof`)
     });
 
   } catch (error) {
@@ -178,10 +416,49 @@ router.get('/admin/:id', authenticateAdmin, async (req, res) => {
   }
 });
 
-// Update order status (admin)
-router.put('/admin/:id/status', authenticateAdmin, [
+// Proof of delivery for an order (admin)
+router.get('/admin/:id/proof', authenticateAdmin, requirePermission('orders.view'), async (req, res) => {
+  try {
+    const orderId = req.params.id;
+
+    const proof = await getDeliveryProof(orderId);
+    if (!proof) {
+      return res.status(404).json({ error: 'No proof of delivery for this order' });
+    }
+
+    res.json({
+      proof: presentDeliveryProof(proof, `/api/orders/admin/${orderId}/proof`)
+    });
+
+  } catch (error) {
+    console.error('Get delivery proof error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.get('/admin/:id/proof/:kind', authenticateAdmin, requirePermission('orders.view'), async (req, res) => {
+  try {
+    await sendProofFile(res, req.params.id, req.params.kind);
+
+  } catch (error) {
+    console.error('Get delivery proof file error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update order status (admin). Only the transitions in
+// ORDER_TRANSITIONS are allowed; the reason goes into the status history.
+// Packing staff (orders.pack) can only start packing a pending order.
+// When marking an order delivered, the request may be multipart with a
+// photo and/or signature image plus delivered_at, latitude and longitude
+// as proof of delivery.
+router.put('/admin/:id/status', authenticateAdmin, requireAnyPermission('orders.update_status', 'orders.pack'), uploadImages(proofUploadFields), [
   body('status').isIn(['pending', 'processing', 'out_for_delivery', 'delivered', 'cancelled']).withMessage('Invalid status'),
-  body('notes').optional().isString().withMessage('Notes must be a string')
+  body('reason').optional().isString().withMessage('Reason must be a string'),
+  body('notes').optional().isString().withMessage('Notes must be a string'),
+  body('delivered_at').optional().isISO8601().withMessage('delivered_at must be a valid date and time'),
+  body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -190,127 +467,214 @@ router.put('/admin/:id/status', authenticateAdmin, [
     }
 
     const orderId = req.params.id;
-    const { status, notes } = req.body;
-
-    const result = await query(`
-      UPDATE orders 
-      SET status = $1, notes = COALESCE($2, notes), updated_at = CURRENT_TIMESTAMP
-      WHERE id = $3
-      RETURNING *
-    `, [status, notes, orderId]);
+    const { status, notes, delivered_at, latitude, longitude } = req.body;
+    const reason = req.body.reason || notes;
+
+    // Proof is only kept for deliveries; files sent with other statuses are ignored
+    const proofFiles = status === 'delivered' ? await storeProofFiles(req.files) : {};
+
+    let order;
+    try {
+      order = await withTransaction(async (client) => {
+        const currentResult = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+        if (currentResult.rows.length === 0) {
+          return null;
+        }
+
+        if (currentResult.rows[0].status === 'on_hold') {
+          throw new AppError('Order is on credit hold. Approve or reject the hold first', 400);
+        }
+
+        // orders.pack only covers starting to pack a pending order
+        const isPackingStart = currentResult.rows[0].status === 'pending' && status === 'processing';
+        if (!req.staff.permissions.includes('orders.update_status') && !isPackingStart) {
+          throw new AppError('Access denied. Packing staff can only move pending orders to processing', 403);
+        }
+
+        const updated = await applyOrderStatusChange(client, currentResult.rows[0], status, { staffId: req.staff.id, reason });
+        await closeOrderStop(client, updated);
+
+        if (status === 'delivered' && hasProof(proofFiles, { latitude, longitude })) {
+          await recordDeliveryProof(client, orderId, proofFiles, {
+            deliveredAt: delivered_at,
+            latitude,
+            longitude,
+            staffId: req.staff.id
+          });
+        }
+
+        await recordAudit(req, {
+          action: 'order.status_update',
+          entityType: 'order',
+          entityId: orderId,
+          before: currentResult.rows[0],
+          after: updated
+        }, client);
+
+        return updated;
+      });
+    } catch (error) {
+      await discardProofFiles(proofFiles);
+      throw error;
+    }
 
-    if (result.rows.length === 0) {
+    if (!order) {
+      await discardProofFiles(proofFiles);
       return res.status(404).json({ error: 'Order not found' });
     }
 
+    emitOrderStatusChanged(order);
+    if (status === 'delivered') {
+      emitOrderLowStockAlerts(orderId);
+    }
+
     res.json({
       message: 'Order status updated successfully',
-      order: result.rows[0]
+      order
     });
 
   } catch (error) {
-    console.error('Update order status error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    handleRouteError(res, error, 'Update order status error');
   }
 });
 
-// Generate daily orders (admin - cron job)
-router.post('/admin/generate-daily', authenticateAdmin, async (req, res) => {
+// Approve or reject an order held for exceeding the credit limit (admin)
+router.put('/admin/:id/credit-hold', authenticateAdmin, requirePermission('orders.approve_credit'), [
+  body('approve').isBoolean().withMessage('approve must be a boolean'),
+  body('notes').optional().isString().withMessage('Notes must be a string')
+], async (req, res) => {
   try {
-    const { target_date } = req.body;
-    const orderDate = target_date || new Date().toISOString().split('T')[0];
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    // Get all active vendors with daily needs
-    const vendorsResult = await query(`
-      SELECT DISTINCT v.id, v.name, v.address
-      FROM vendors v
-      JOIN daily_needs dn ON v.id = dn.vendor_id
-      WHERE v.is_active = true
-    `);
-    const generatedOrders = [];
-    for (const vendor of vendorsResult.rows) {
-      // Check if order is cancelled for this date
-      const cancelledResult = await query(`
-        SELECT id FROM cancelled_orders 
-        WHERE vendor_id = $1 AND cancel_date = $2
-      `, [vendor.id, orderDate]);
-
-      if (cancelledResult.rows.length > 0) {
-        continue; // Skip this vendor for this date
-      }
-      // Get vendor's daily needs
-      const dailyNeedsResult = await query(`
-        SELECT dn.*, p.name as product_name, p.price, p.unit
-        FROM daily_needs dn
-        JOIN products p ON dn.product_id = p.id
-        WHERE dn.vendor_id = $1 AND p.is_active = true
-      `, [vendor.id]);
-
-      if (dailyNeedsResult.rows.length === 0) {
-        continue
+    const orderId = req.params.id;
+    const { approve, notes } = req.body;
+
+    const order = await withTransaction(async (client) => {
+      const currentResult = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+      if (currentResult.rows.length === 0) {
+        return null;
       }
-      // Calculate total amount
-      let totalAmount = 0;
-      const orderItems = [];
-
-      for (const need of dailyNeedsResult.rows) {
-        const itemTotal = need.quantity * need.price;
-        totalAmount += itemTotal;
-        orderItems.push({
-          product_id: need.product_id,
-          quantity: need.quantity,
-          unit_price: need.price,
-          total_price: itemTotal
-        });
+
+      if (currentResult.rows[0].status !== 'on_hold') {
+        throw new AppError('Order is not on credit hold', 400);
       }
 
-      // Get extra orders for this date
-      const extraOrdersResult = await query(`
-        SELECT eo.*, p.name as product_name, p.price, p.unit
-        FROM extra_orders eo
-        JOIN products p ON eo.product_id = p.id
-        WHERE eo.vendor_id = $1 AND eo.order_date = $2 AND p.is_active = true
-      `, [vendor.id, orderDate]);
-
-      for (const extra of extraOrdersResult.rows) {
-        const itemTotal = extra.quantity * extra.price;
-        totalAmount += itemTotal;
-        orderItems.push({
-          product_id: extra.product_id,
-          quantity: extra.quantity,
-          unit_price: extra.price,
-          total_price: itemTotal
-        });
+      const updated = await transitionOrderStatus(client, currentResult.rows[0], approve ? 'pending' : 'cancelled', {
+        staffId: req.staff.id,
+        reason: notes || (approve ? 'Credit hold approved' : 'Credit hold rejected')
+      });
+
+      if (approve) {
+        await debitOrder(client, updated, req.staff.id);
+      } else {
+        await applyOrderStatusToStock(client, currentResult.rows[0], 'cancelled', req.staff.id);
       }
 
-      // Create order
-      const orderResult = await query(`
-        INSERT INTO orders (vendor_id, order_date, total_amount, status, delivery_address)
-        VALUES ($1, $2, $3, 'pending', $4)
-        RETURNING *
-      `, [vendor.id, orderDate, totalAmount, vendor.address]);
+      await recordAudit(req, {
+        action: approve ? 'order.credit_hold_approve' : 'order.credit_hold_reject',
+        entityType: 'order',
+        entityId: orderId,
+        before: currentResult.rows[0],
+        after: updated
+      }, client);
+
+      return updated;
+    });
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
 
-      const order = orderResult.rows[0];
+    emitOrderStatusChanged(order);
 
-      // Create order items
-      for (const item of orderItems) {
-        await query(`
-          INSERT INTO order_items (order_id, product_id, quantity, unit_price, total_price)
-          VALUES ($1, $2, $3, $4, $5)
-        `, [order.id, item.product_id, item.quantity, item.unit_price, item.total_price]);
+    res.json({
+      message: approve ? 'Order approved' : 'Order rejected',
+      order
+    });
+
+  } catch (error) {
+    handleRouteError(res, error, 'Process order credit hold error');
+  }
+});
+
+// Approve or reject an extra order held for exceeding the credit limit (admin)
+router.put('/admin/extra-orders/:id/credit-hold', authenticateAdmin, requirePermission('orders.approve_credit'), [
+  body('approve').isBoolean().withMessage('approve must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { approve } = req.body;
+
+    const extraOrder = await withTransaction(async (client) => {
+      const result = await client.query(`
+        UPDATE extra_orders
+        SET status = $1
+        WHERE id = $2 AND status = 'on_hold'
+        RETURNING *
+      `, [approve ? 'approved' : 'rejected', req.params.id]);
+
+      if (result.rows.length === 0) {
+        return null;
       }
 
-      generatedOrders.push({
-        order_id: order.id,
-        vendor_name: vendor.name,
-        total_amount: totalAmount,
-        item_count: orderItems.length
-      });
+      await recordAudit(req, {
+        action: approve ? 'extra_order.credit_hold_approve' : 'extra_order.credit_hold_reject',
+        entityType: 'extra_order',
+        entityId: req.params.id,
+        before: { status: 'on_hold' },
+        after: { status: result.rows[0].status }
+      }, client);
+
+      return result.rows[0];
+    });
+
+    if (!extraOrder) {
+      return res.status(404).json({ error: 'Held extra order not found' });
     }
 
     res.json({
-      message: `Generated ${generatedOrders.length} orders for ${orderDate}`,
-      generated_orders: generatedOrders
+      message: approve ? 'Extra order approved' : 'Extra order rejected',
+      extra_order: extraOrder
+    });
+
+  } catch (error) {
+    console.error('Process extra order credit hold error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Generate daily orders (admin - also run by the scheduler)
+router.post('/admin/generate-daily', authenticateAdmin, requirePermission('orders.generate'), async (req, res) => {
+  try {
+    const { target_date } = req.body;
+    const orderDate = target_date || new Date().toISOString().split('T')[0];
+
+    const report = await generateDailyOrders(orderDate);
+
+    await recordAudit(req, {
+      action: 'orders.generate_daily',
+      entityType: 'order_batch',
+      entityId: orderDate,
+      after: {
+        created: report.created.length,
+        already_present: report.already_present.length,
+        held: report.held.length,
+        skipped: report.skipped.length,
+        failed: report.failed.length
+      }
+    });
+
+    res.json({
+      message: `Generated ${report.created.length} orders for ${orderDate}`,
+      generated_orders: report.created,
+      report
     });
 
   } catch (error) {
@@ -1,11 +1,43 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
-import { query } from '../config/database.js';
-import { authenticateAdmin } from '../middlewares/auth.middleware.js';
+import { pool, query, withTransaction } from '../config/database.js';
+import { authenticateAdmin, requirePermission } from '../middlewares/auth.middleware.js';
 import { authenticateVendor } from '../middlewares/auth.middleware.js';
+import { postLedgerEntry } from '../services/ledger.service.js';
+import { renderInvoiceHtml } from '../services/invoice.service.js';
+import { completePayment, getOutstandingOrders, recordPayment, removePaymentAllocations } from '../services/payment.service.js';
+import { AppError, handleRouteError } from '../utils/errors.js';
+import { recordAudit } from '../services/audit.service.js';
 
 const router = express.Router();
 
+// Load an invoice with its lines and vendor, optionally scoped to a vendor
+const loadInvoice = async (invoiceId, vendorId) => {
+  const params = [invoiceId];
+  let queryStr = 'SELECT * FROM invoices WHERE id = $1';
+  if (vendorId) {
+    queryStr += ' AND vendor_id = $2';
+    params.push(vendorId);
+  }
+
+  const invoiceResult = await query(queryStr, params);
+  if (invoiceResult.rows.length === 0) {
+    return null;
+  }
+
+  const invoice = invoiceResult.rows[0];
+  const linesResult = await query('SELECT * FROM invoice_lines WHERE invoice_id = $1 ORDER BY id', [invoice.id]);
+  const vendorResult = await query('SELECT name, phone, address, city, pincode FROM vendors WHERE id = $1', [invoice.vendor_id]);
+
+  return { invoice, lines: linesResult.rows, vendor: vendorResult.rows[0] };
+};
+
+const sendInvoiceDocument = (res, { invoice, lines, vendor }) => {
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${invoice.invoice_number}.html"`);
+  res.send(renderInvoiceHtml(invoice, lines, vendor));
+};
+
 // Get vendor's payment history
 router.get('/history', authenticateVendor, async (req, res) => {
   try {
@@ -17,7 +49,7 @@ router.get('/history', authenticateVendor, async (req, res) => {
       SELECT p.*, o.order_date, o.total_amount as order_amount
       FROM payments p
       LEFT JOIN orders o ON p.order_id = o.id
-      WHERE p.vendor_id = $1
+      WHERE p.vendor_id = $1 AND p.payment_status <> 'settled'
     `;
     let params = [vendorId];
     let paramCount = 1;
@@ -60,7 +92,7 @@ router.get('/summary', authenticateVendor, async (req, res) => {
         COUNT(CASE WHEN payment_status = 'pending' THEN 1 END) as pending_count,
         COUNT(CASE WHEN payment_status = 'completed' THEN 1 END) as completed_count
       FROM payments 
-      WHERE vendor_id = $1
+      WHERE vendor_id = $1 AND payment_status <> 'settled'
     `, [vendorId]);
 
     res.json({
@@ -73,7 +105,308 @@ router.get('/summary', authenticateVendor, async (req, res) => {
   }
 });
 
-router.get('/admin/all', authenticateAdmin, async (req, res) => {
+// Get vendor's current balance and credit
+router.get('/balance', authenticateVendor, async (req, res) => {
+  try {
+    const vendorId = req.vendor.id;
+
+    const result = await query(`
+      SELECT credit_limit, current_balance FROM vendors WHERE id = $1
+    `, [vendorId]);
+
+    const creditLimit = Number(result.rows[0].credit_limit);
+    const balance = Number(result.rows[0].current_balance);
+
+    res.json({
+      balance: {
+        current_balance: balance,
+        credit_limit: creditLimit,
+        available_credit: creditLimit > 0 ? Math.max(creditLimit - balance, 0) : null,
+        is_over_limit: creditLimit > 0 && balance > creditLimit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get balance error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get vendor's ledger entries
+router.get('/ledger', authenticateVendor, async (req, res) => {
+  try {
+    const vendorId = req.vendor.id;
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const result = await query(`
+      SELECT * FROM vendor_ledger
+      WHERE vendor_id = $1
+      ORDER BY created_at DESC, id DESC
+      LIMIT $2 OFFSET $3
+    `, [vendorId, limit, offset]);
+
+    res.json({
+      entries: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: result.rows.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get ledger error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get vendors whose balance is above their credit limit (admin)
+router.get('/admin/over-limit', authenticateAdmin, requirePermission('payments.view'), async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT v.id, v.name, v.phone, v.credit_limit, v.current_balance,
+             v.current_balance - v.credit_limit as over_by,
+             COUNT(DISTINCT o.id) as held_orders,
+             COUNT(DISTINCT eo.id) as held_extra_orders
+      FROM vendors v
+      LEFT JOIN orders o ON o.vendor_id = v.id AND o.status = 'on_hold'
+      LEFT JOIN extra_orders eo ON eo.vendor_id = v.id AND eo.status = 'on_hold'
+      WHERE v.credit_limit > 0
+      GROUP BY v.id
+      HAVING v.current_balance > v.credit_limit
+          OR COUNT(DISTINCT o.id) > 0
+          OR COUNT(DISTINCT eo.id) > 0
+      ORDER BY over_by DESC
+    `);
+
+    res.json({
+      vendors: result.rows
+    });
+
+  } catch (error) {
+    console.error('Get over limit report error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a vendor's ledger (admin)
+router.get('/admin/vendors/:id/ledger', authenticateAdmin, requirePermission('payments.view'), async (req, res) => {
+  try {
+    const vendorId = req.params.id;
+    const { page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const result = await query(`
+      SELECT vl.*, s.name as created_by_name
+      FROM vendor_ledger vl
+      LEFT JOIN staff s ON vl.created_by = s.id
+      WHERE vl.vendor_id = $1
+      ORDER BY vl.created_at DESC, vl.id DESC
+      LIMIT $2 OFFSET $3
+    `, [vendorId, limit, offset]);
+
+    res.json({
+      entries: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: result.rows.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get vendor ledger error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get vendor's orders with money still due
+router.get('/outstanding', authenticateVendor, async (req, res) => {
+  try {
+    const orders = await getOutstandingOrders(pool, req.vendor.id);
+
+    res.json({
+      orders,
+      total_due: orders.reduce((sum, order) => sum + Number(order.amount_due), 0)
+    });
+
+  } catch (error) {
+    console.error('Get outstanding orders error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get vendor's invoices
+router.get('/invoices', authenticateVendor, async (req, res) => {
+  try {
+    const vendorId = req.vendor.id;
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const result = await query(`
+      SELECT i.*, p.payment_status
+      FROM invoices i
+      LEFT JOIN payments p ON p.invoice_id = i.id
+      WHERE i.vendor_id = $1
+      ORDER BY i.issue_date DESC, i.id DESC
+      LIMIT $2 OFFSET $3
+    `, [vendorId, limit, offset]);
+
+    res.json({
+      invoices: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: result.rows.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get invoices error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get invoice details
+router.get('/invoices/:id', authenticateVendor, async (req, res) => {
+  try {
+    const invoiceData = await loadInvoice(req.params.id, req.vendor.id);
+    if (!invoiceData) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    res.json({
+      invoice: invoiceData.invoice,
+      lines: invoiceData.lines
+    });
+
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Download invoice as an HTML document
+router.get('/invoices/:id/download', authenticateVendor, async (req, res) => {
+  try {
+    const invoiceData = await loadInvoice(req.params.id, req.vendor.id);
+    if (!invoiceData) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    sendInvoiceDocument(res, invoiceData);
+
+  } catch (error) {
+    console.error('Download invoice error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Download any invoice (admin)
+router.get('/admin/invoices/:id/download', authenticateAdmin, requirePermission('payments.view'), async (req, res) => {
+  try {
+    const invoiceData = await loadInvoice(req.params.id);
+    if (!invoiceData) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    sendInvoiceDocument(res, invoiceData);
+
+  } catch (error) {
+    console.error('Download invoice error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Record a payment received from a vendor (admin)
+router.post('/admin/record', authenticateAdmin, requirePermission('payments.record'), [
+  body('vendor_id').isInt().withMessage('Valid vendor ID is required'),
+  body('amount').isFloat({ gt: 0 }).withMessage('Valid amount is required'),
+  body('payment_method').isIn(['cash', 'upi', 'bank_transfer', 'cheque']).withMessage('Invalid payment method'),
+  body('reference').optional().isString().withMessage('Reference must be a string'),
+  body('notes').optional().isString().withMessage('Notes must be a string'),
+  body('allocations').optional().isArray().withMessage('Allocations must be an array'),
+  body('allocations.*.order_id').isInt().withMessage('Valid order ID is required'),
+  body('allocations.*.amount').isFloat({ gt: 0 }).withMessage('Valid allocation amount is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { vendor_id, amount, payment_method, reference, notes, allocations } = req.body;
+
+    const vendorResult = await query('SELECT id FROM vendors WHERE id = $1', [vendor_id]);
+    if (vendorResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Vendor not found' });
+    }
+
+    const result = await withTransaction(async (client) => {
+      const recorded = await recordPayment(client, {
+        vendorId: vendor_id,
+        amount,
+        paymentMethod: payment_method,
+        reference,
+        notes,
+        allocations,
+        staffId: req.staff.id
+      });
+
+      await recordAudit(req, { action: 'payment.record', entityType: 'payment', entityId: recorded.payment.id, after: recorded.payment }, client);
+
+      return recorded;
+    });
+
+    res.status(201).json({
+      message: 'Payment recorded successfully',
+      ...result
+    });
+
+  } catch (error) {
+    handleRouteError(res, error, 'Record payment error');
+  }
+});
+
+// Get a vendor's orders with money still due (admin)
+router.get('/admin/vendors/:id/outstanding', authenticateAdmin, requirePermission('payments.view'), async (req, res) => {
+  try {
+    const orders = await getOutstandingOrders(pool, req.params.id);
+
+    res.json({
+      orders,
+      total_due: orders.reduce((sum, order) => sum + Number(order.amount_due), 0)
+    });
+
+  } catch (error) {
+    console.error('Get outstanding orders error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get how a payment was allocated across orders (admin)
+router.get('/admin/:id/allocations', authenticateAdmin, requirePermission('payments.view'), async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT pa.*, o.order_date, o.amount_paid, o.payment_status as order_payment_status
+      FROM payment_allocations pa
+      JOIN orders o ON pa.order_id = o.id
+      WHERE pa.payment_id = $1
+      ORDER BY o.order_date
+    `, [req.params.id]);
+
+    res.json({
+      allocations: result.rows
+    });
+
+  } catch (error) {
+    console.error('Get payment allocations error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.get('/admin/all', authenticateAdmin, requirePermission('payments.view'), async (req, res) => {
   try {
     const { page = 1, limit = 20, status, vendor_id } = req.query;
     const offset = (page - 1) * limit;
@@ -121,7 +454,7 @@ router.get('/admin/all', authenticateAdmin, async (req, res) => {
   }
 });
 // Update payment status (admin)
-router.put('/admin/:id/status', authenticateAdmin, [
+router.put('/admin/:id/status', authenticateAdmin, requirePermission('payments.update'), [
   body('payment_status').isIn(['pending', 'completed', 'failed']).withMessage('Invalid payment status'),
   body('notes').optional().isString().withMessage('Notes must be a string')
 ], async (req, res) => {
@@ -134,25 +467,66 @@ router.put('/admin/:id/status', authenticateAdmin, [
     const paymentId = req.params.id;
     const { payment_status, notes } = req.body;
 
-    const result = await query(`
-      UPDATE payments 
-      SET payment_status = $1, notes = COALESCE($2, notes), payment_date = CURRENT_TIMESTAMP
-      WHERE id = $3
-      RETURNING *
-    `, [payment_status, notes, paymentId]);
+    const payment = await withTransaction(async (client) => {
+      const currentResult = await client.query('SELECT * FROM payments WHERE id = $1 FOR UPDATE', [paymentId]);
+      if (currentResult.rows.length === 0) {
+        return null;
+      }
+
+      // An invoice payment settled by money received elsewhere is already
+      // on the ledger through that payment
+      if (currentResult.rows[0].payment_status === 'settled') {
+        throw new AppError('This invoice payment has been settled by other payments and cannot be changed', 400);
+      }
 
-    if (result.rows.length === 0) {
+      const result = await client.query(`
+        UPDATE payments 
+        SET payment_status = $1, notes = COALESCE($2, notes), payment_date = CURRENT_TIMESTAMP
+        WHERE id = $3
+        RETURNING *
+      `, [payment_status, notes, paymentId]);
+
+      let updated = result.rows[0];
+      const wasCompleted = currentResult.rows[0].payment_status === 'completed';
+
+      // Completed payments reduce the vendor's balance; undoing a completion puts it back
+      if (payment_status === 'completed' && !wasCompleted) {
+        updated = await completePayment(client, updated, req.staff.id);
+      } else if (payment_status !== 'completed' && wasCompleted) {
+        await removePaymentAllocations(client, updated.id);
+        await postLedgerEntry(client, {
+          vendorId: updated.vendor_id,
+          entryType: 'debit',
+          amount: updated.amount,
+          orderId: updated.order_id,
+          paymentId: updated.id,
+          description: `Payment #${updated.id} marked ${payment_status}`,
+          staffId: req.staff.id
+        });
+      }
+
+      await recordAudit(req, {
+        action: 'payment.status_update',
+        entityType: 'payment',
+        entityId: paymentId,
+        before: currentResult.rows[0],
+        after: updated
+      }, client);
+
+      return updated;
+    });
+
+    if (!payment) {
       return res.status(404).json({ error: 'Payment not found' });
     }
 
     res.json({
       message: 'Payment status updated successfully',
-      payment: result.rows[0]
+      payment
     });
 
   } catch (error) {
-    console.error('Update payment status error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    handleRouteError(res, error, 'Update payment status error');
   }
 });
 
@@ -1,10 +1,68 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
-import { query } from '../config/database.js';
-import { authenticateAdmin } from '../middlewares/auth.middleware.js';
+import moment from 'moment';
+import { query, withTransaction } from '../config/database.js';
+import { authenticateAdmin, requirePermission } from '../middlewares/auth.middleware.js';
+import { adjustStock, emitLowStockAlerts } from '../services/inventory.service.js';
+import { recordAudit } from '../services/audit.service.js';
+import { uploadImages, uploadSpreadsheet } from '../middlewares/upload.middleware.js';
+import { sendStoredFile } from '../services/storage.service.js';
+import {
+  addProductImages,
+  attachProductImages,
+  discardImageFiles,
+  getProductImages,
+  MAX_IMAGES_PER_PRODUCT,
+  presentProductImage,
+  storeProductImages
+} from '../services/product-image.service.js';
+import { catalogCsv, catalogXlsx, importProducts, readCatalogFile } from '../services/product-catalog.service.js';
+import { cancelScheduledPrice, getPriceHistory, setProductPrice } from '../services/product-price.service.js';
+import { businessDate } from '../utils/dates.js';
+import { handleRouteError } from '../utils/errors.js';
 
 const router = express.Router();
 
+// Rules for a new product, shared by the create route and the catalog import
+const productFieldRules = [
+  body('sku').optional().trim().isLength({ min: 1, max: 100 }).withMessage('SKU must be 1 to 100 characters'),
+  body('name').notEmpty().withMessage('Product name is required'),
+  body('unit').notEmpty().withMessage('Unit is required'),
+  body('price').isFloat({ min: 0 }).withMessage('Valid price is required'),
+  body('category').notEmpty().withMessage('Category is required'),
+  body('tax_rate').optional().isFloat({ min: 0, max: 100 }).withMessage('Tax rate must be between 0 and 100')
+];
+
+const productRules = [
+  ...productFieldRules,
+  body('stock_quantity').isFloat({ min: 0 }).withMessage('Valid stock quantity is required')
+];
+
+// The import also reads columns the create route leaves to their defaults.
+// Stock may be left blank on rows that update a product to keep its
+// current stock; the import requires it for new products.
+const importRules = [
+  ...productFieldRules,
+  body('stock_quantity').optional().isFloat({ min: 0 }).withMessage('Valid stock quantity is required'),
+  body('min_stock_level').optional().isFloat({ min: 0 }).withMessage('Valid minimum stock level is required'),
+  body('expiry_date').optional().isISO8601().withMessage('Expiry date must be a valid date'),
+  body('is_active').optional().isBoolean().withMessage('is_active must be true or false')
+];
+
+// Run the import rules against one row of the file
+const validateImportRow = async (values) => {
+  const rowRequest = { body: { ...values } };
+  await Promise.all(importRules.map((rule) => rule.run(rowRequest)));
+  return validationResult(rowRequest).array().map((error) => ({ field: error.path, message: error.msg, value: error.value }));
+};
+
+const isSkuTaken = async (sku, exceptProductId = null) => {
+  const result = await query(`
+    SELECT id FROM products WHERE LOWER(sku) = LOWER($1) AND id IS DISTINCT FROM $2
+  `, [sku, exceptProductId]);
+  return result.rows.length > 0;
+};
+
 router.get('/', async (req, res) => {
   try {
     const { category, search } = req.query;
@@ -27,12 +85,13 @@ router.get('/', async (req, res) => {
     queryStr += ' ORDER BY name';
     // console.log(queryStr);
     const result = await query(queryStr, params);
+    const products = await attachProductImages(result.rows);
 
     // console.log(result);
     res.status(201)
     .json({
       message:"product fetched successfully", 
-      product: result.rows[0]
+      product: products[0]
     });
 
   } catch (error) {
@@ -51,8 +110,10 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Product not found' });
     }
 
+    const [product] = await attachProductImages(result.rows);
+
     res.json({
-      product: result.rows[0]
+      product
     });
 
   } catch (error) {
@@ -61,30 +122,36 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-router.post('/', authenticateAdmin, [
-  body('name').notEmpty().withMessage('Product name is required'),
-  body('unit').notEmpty().withMessage('Unit is required'),
-  body('price').isFloat({ min: 0 }).withMessage('Valid price is required'),
-  body('stock_quantity').isFloat({ min: 0 }).withMessage('Valid stock quantity is required'),
-  body('category').notEmpty().withMessage('Category is required')
-], async (req, res) => {
+router.post('/', authenticateAdmin, requirePermission('products.manage'), productRules, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, description, unit, price, stock_quantity, min_stock_level, category, expiry_date } = req.body;
+    const { sku, name, description, unit, price, stock_quantity, min_stock_level, category, expiry_date, tax_rate } = req.body;
 
-    const result = await query(`
-      INSERT INTO products (name, description, unit, price, stock_quantity, min_stock_level, category, expiry_date)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-      RETURNING *
-    `, [name, description, unit, price, stock_quantity, min_stock_level || 0, category, expiry_date]);
+    if (sku && await isSkuTaken(sku)) {
+      return res.status(400).json({ error: 'A product with this SKU already exists' });
+    }
+
+    const product = await withTransaction(async (client) => {
+      const result = await client.query(`
+        INSERT INTO products (sku, name, description, unit, price, stock_quantity, min_stock_level, category, expiry_date, tax_rate)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING *
+      `, [sku || null, name, description, unit, price, stock_quantity, min_stock_level || 0, category, expiry_date, tax_rate || 0]);
+
+      await setProductPrice(client, result.rows[0].id, price, { staffId: req.staff.id, reason: 'Initial price' });
+
+      await recordAudit(req, { action: 'product.create', entityType: 'product', entityId: result.rows[0].id, after: result.rows[0] }, client);
+
+      return result.rows[0];
+    });
 
     res.status(201).json({
       message: 'Product added successfully',
-      product: result.rows[0]
+      product
     });
 
   } catch (error) {
@@ -93,12 +160,15 @@ router.post('/', authenticateAdmin, [
   }
 });
 
-router.put('/:id', authenticateAdmin, [
+router.put('/:id', authenticateAdmin, requirePermission('products.manage'), [
+  body('sku').optional().trim().isLength({ min: 1, max: 100 }).withMessage('SKU must be 1 to 100 characters'),
   body('name').optional().notEmpty().withMessage('Product name cannot be empty'),
   body('unit').optional().notEmpty().withMessage('Unit cannot be empty'),
   body('price').optional().isFloat({ min: 0 }).withMessage('Valid price is required'),
+  body('price_effective_from').optional().isISO8601().withMessage('price_effective_from must be a valid date'),
   body('stock_quantity').optional().isFloat({ min: 0 }).withMessage('Valid stock quantity is required'),
-  body('category').optional().notEmpty().withMessage('Category cannot be empty')
+  body('category').optional().notEmpty().withMessage('Category cannot be empty'),
+  body('tax_rate').optional().isFloat({ min: 0, max: 100 }).withMessage('Tax rate must be between 0 and 100')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -107,31 +177,81 @@ router.put('/:id', authenticateAdmin, [
     }
 
     const productId = req.params.id;
-    const { name, description, unit, price, stock_quantity, min_stock_level, category, expiry_date, is_active } = req.body;
+    const { sku, name, description, unit, price, stock_quantity, min_stock_level, category, expiry_date, is_active, tax_rate } = req.body;
+
+    // A new price starts today unless it is scheduled for a later date
+    const today = businessDate();
+    const priceEffectiveFrom = req.body.price_effective_from
+      ? moment(req.body.price_effective_from).format('YYYY-MM-DD')
+      : today;
+    if (priceEffectiveFrom < today) {
+      return res.status(400).json({ error: 'price_effective_from cannot be in the past' });
+    }
 
-    const result = await query(`
-      UPDATE products 
-      SET name = COALESCE($1, name),
-          description = COALESCE($2, description),
-          unit = COALESCE($3, unit),
-          price = COALESCE($4, price),
-          stock_quantity = COALESCE($5, stock_quantity),
-          min_stock_level = COALESCE($6, min_stock_level),
-          category = COALESCE($7, category),
-          expiry_date = COALESCE($8, expiry_date),
-          is_active = COALESCE($9, is_active),
-          updated_at = CURRENT_TIMESTAMP
-      WHERE id = $10
-      RETURNING *
-    `, [name, description, unit, price, stock_quantity, min_stock_level, category, expiry_date, is_active, productId]);
+    if (sku && await isSkuTaken(sku, productId)) {
+      return res.status(400).json({ error: 'A product with this SKU already exists' });
+    }
 
-    if (result.rows.length === 0) {
+    const product = await withTransaction(async (client) => {
+      const currentResult = await client.query('SELECT * FROM products WHERE id = $1 FOR UPDATE', [productId]);
+      if (currentResult.rows.length === 0) {
+        return null;
+      }
+
+      const result = await client.query(`
+        UPDATE products 
+        SET name = COALESCE($1, name),
+            description = COALESCE($2, description),
+            unit = COALESCE($3, unit),
+            min_stock_level = COALESCE($4, min_stock_level),
+            category = COALESCE($5, category),
+            expiry_date = COALESCE($6, expiry_date),
+            is_active = COALESCE($7, is_active),
+            tax_rate = COALESCE($8, tax_rate),
+            sku = COALESCE($9, sku),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $10
+        RETURNING *
+      `, [name, description, unit, min_stock_level, category, expiry_date, is_active, tax_rate, sku, productId]);
+
+      let updated = result.rows[0];
+
+      // Stock changes go through the stock ledger, as in PUT /:id/stock
+      if (stock_quantity !== undefined) {
+        updated = await adjustStock(client, productId, stock_quantity, req.staff.id);
+      }
+
+      // Prices go through the price history; products.price follows once the new price is effective
+      if (price !== undefined) {
+        await setProductPrice(client, productId, price, { effectiveFrom: priceEffectiveFrom, staffId: req.staff.id });
+        const refreshed = await client.query('SELECT * FROM products WHERE id = $1', [productId]);
+        updated = refreshed.rows[0];
+      }
+
+      await recordAudit(req, {
+        action: 'product.update',
+        entityType: 'product',
+        entityId: productId,
+        before: currentResult.rows[0],
+        after: price !== undefined && priceEffectiveFrom > today
+          ? { ...updated, scheduled_price: { price, effective_from: priceEffectiveFrom } }
+          : updated
+      }, client);
+
+      return updated;
+    });
+
+    if (!product) {
       return res.status(404).json({ error: 'Product not found' });
     }
 
+    if (stock_quantity !== undefined || min_stock_level !== undefined) {
+      await emitLowStockAlerts([product.id]);
+    }
+
     res.json({
       message: 'Product updated successfully',
-      product: result.rows[0]
+      product
     });
 
   } catch (error) {
@@ -141,7 +261,7 @@ router.put('/:id', authenticateAdmin, [
 });
 
 // Delete product (admin only)
-router.delete('/:id', authenticateAdmin, async (req, res) => {
+router.delete('/:id', authenticateAdmin, requirePermission('products.manage'), async (req, res) => {
   try {
     const productId = req.params.id;
 
@@ -163,15 +283,29 @@ router.delete('/:id', authenticateAdmin, async (req, res) => {
       });
     }
 
-    const result = await query('DELETE FROM products WHERE id = $1 RETURNING *', [productId]);
+    const images = await getProductImages(productId);
 
-    if (result.rows.length === 0) {
+    const product = await withTransaction(async (client) => {
+      const result = await client.query('DELETE FROM products WHERE id = $1 RETURNING *', [productId]);
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      await recordAudit(req, { action: 'product.delete', entityType: 'product', entityId: productId, before: result.rows[0] }, client);
+
+      return result.rows[0];
+    });
+
+    if (!product) {
       return res.status(404).json({ error: 'Product not found' });
     }
 
+    // The image rows went with the product; remove their files too
+    await discardImageFiles(images);
+
     res.json({
       message: 'Product deleted successfully',
-      product: result.rows[0]
+      product
     });
 
   } catch (error) {
@@ -180,6 +314,178 @@ router.delete('/:id', authenticateAdmin, async (req, res) => {
   }
 });
 
+// Upload images for a product (admin only). Send up to
+// MAX_IMAGES_PER_PRODUCT JPEG, PNG or WebP files in the "images" field.
+router.post('/:id/images', authenticateAdmin, requirePermission('products.manage'), uploadImages([
+  { name: 'images', maxCount: MAX_IMAGES_PER_PRODUCT }
+]), async (req, res) => {
+  try {
+    const productId = req.params.id;
+    const files = req.files?.images || [];
+
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'At least one image is required' });
+    }
+
+    const productResult = await query('SELECT id FROM products WHERE id = $1', [productId]);
+    if (productResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const stored = await storeProductImages(files);
+
+    let images;
+    try {
+      images = await withTransaction(async (client) => {
+        await client.query('SELECT id FROM products WHERE id = $1 FOR UPDATE', [productId]);
+        const added = await addProductImages(client, productId, stored);
+
+        await recordAudit(req, {
+          action: 'product.images_add',
+          entityType: 'product',
+          entityId: productId,
+          after: { image_ids: added.map((image) => image.id) }
+        }, client);
+
+        return added;
+      });
+    } catch (error) {
+      await discardImageFiles(stored);
+      throw error;
+    }
+
+    res.status(201).json({
+      message: 'Images uploaded successfully',
+      images: images.map(presentProductImage)
+    });
+
+  } catch (error) {
+    handleRouteError(res, error, 'Upload product images error');
+  }
+});
+
+// Reorder a product's images; the first one is the main picture (admin only)
+router.put('/:id/images/order', authenticateAdmin, requirePermission('products.manage'), [
+  body('image_ids').isArray({ min: 1 }).withMessage('image_ids must be a non-empty array'),
+  body('image_ids.*').isInt().withMessage('Each image ID must be an integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const productId = req.params.id;
+    const imageIds = req.body.image_ids.map(Number);
+
+    const images = await withTransaction(async (client) => {
+      const currentResult = await client.query(`
+        SELECT id FROM product_images WHERE product_id = $1 ORDER BY sort_order, id FOR UPDATE
+      `, [productId]);
+
+      const currentIds = currentResult.rows.map((image) => image.id);
+      const sameImages = imageIds.length === currentIds.length
+        && new Set(imageIds).size === imageIds.length
+        && imageIds.every((id) => currentIds.includes(id));
+      if (!sameImages) {
+        return null;
+      }
+
+      for (const [index, imageId] of imageIds.entries()) {
+        await client.query('UPDATE product_images SET sort_order = $1 WHERE id = $2', [index + 1, imageId]);
+      }
+
+      await recordAudit(req, {
+        action: 'product.images_reorder',
+        entityType: 'product',
+        entityId: productId,
+        before: { image_ids: currentIds },
+        after: { image_ids: imageIds }
+      }, client);
+
+      return getProductImages(productId);
+    });
+
+    if (!images) {
+      return res.status(400).json({ error: 'image_ids must list every image of the product exactly once' });
+    }
+
+    res.json({
+      message: 'Image order updated successfully',
+      images: images.map(presentProductImage)
+    });
+
+  } catch (error) {
+    console.error('Reorder product images error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove a product image (admin only)
+router.delete('/:id/images/:imageId', authenticateAdmin, requirePermission('products.manage'), async (req, res) => {
+  try {
+    const { id: productId, imageId } = req.params;
+
+    const image = await withTransaction(async (client) => {
+      const result = await client.query(`
+        DELETE FROM product_images WHERE id = $1 AND product_id = $2 RETURNING *
+      `, [imageId, productId]);
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      await recordAudit(req, {
+        action: 'product.image_delete',
+        entityType: 'product',
+        entityId: productId,
+        before: { image_id: result.rows[0].id, original_name: result.rows[0].original_name }
+      }, client);
+
+      return result.rows[0];
+    });
+
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    await discardImageFiles([image]);
+
+    res.json({
+      message: 'Image deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete product image error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Serve a product image or its thumbnail
+router.get('/images/:imageId/:size?', async (req, res) => {
+  try {
+    const { imageId, size } = req.params;
+    if (size && size !== 'thumbnail') {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    const result = await query('SELECT * FROM product_images WHERE id = $1', [imageId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    const image = result.rows[0];
+    // Stored files never change (a new upload gets a new ID), so they can be cached for long
+    await sendStoredFile(res, size ? image.thumbnail_key : image.image_key, {
+      mimetype: image.mimetype,
+      cacheControl: 'public, max-age=604800, immutable'
+    });
+
+  } catch (error) {
+    console.error('Get product image error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get product categories
 router.get('/categories/list', async (req, res) => {
   try {
@@ -195,8 +501,86 @@ router.get('/categories/list', async (req, res) => {
   }
 });
 
+// Import products from a CSV or XLSX file in the "file" field (admin only).
+// Rows are matched by SKU, or by name when there is no SKU, and created or
+// updated. With dry_run=true nothing is saved and the response previews
+// what would happen. If any row is invalid nothing is saved and the
+// response lists the errors by row.
+router.post('/admin/import', authenticateAdmin, requirePermission('products.manage'), uploadSpreadsheet('file'), async (req, res) => {
+  try {
+    const dryRun = [req.query.dry_run, req.body.dry_run].includes('true');
+    const { rows, ignored_columns } = await readCatalogFile(req.file);
+
+    if (rows.length === 0) {
+      return res.status(400).json({ error: 'The file has no product rows' });
+    }
+
+    const report = await withTransaction((client) => importProducts(client, rows, {
+      validateRow: validateImportRow,
+      dryRun,
+      staffId: req.staff.id,
+      onApplied: (entry, before, after) => recordAudit(req, {
+        action: before ? 'product.update' : 'product.create',
+        entityType: 'product',
+        entityId: after.id,
+        before,
+        after
+      }, client)
+    }));
+
+    if (report.applied) {
+      const stockChanged = report.rows.filter((row) => row.changes.includes('stock_quantity') || row.changes.includes('min_stock_level'));
+      await emitLowStockAlerts(stockChanged.map((row) => row.product_id));
+    }
+
+    const message = report.applied
+      ? `Imported ${report.summary.created} new and ${report.summary.updated} updated products`
+      : dryRun
+        ? 'Dry run: no changes were saved'
+        : 'Import failed: fix the errors and upload the file again';
+
+    res.status(!dryRun && !report.applied ? 400 : 200).json({
+      message,
+      file_name: req.file.originalname,
+      ignored_columns,
+      ...report
+    });
+
+  } catch (error) {
+    handleRouteError(res, error, 'Import products error');
+  }
+});
+
+// Download the full catalog, including inactive products, with stock and
+// price. The file can be edited and uploaded to the import (admin only).
+router.get('/admin/export', authenticateAdmin, requirePermission('products.manage'), async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({ error: 'Format must be csv or xlsx' });
+    }
+
+    const result = await query('SELECT * FROM products ORDER BY category, name');
+    const fileName = `products-${moment().format('YYYY-MM-DD')}.${format}`;
+
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      return res.send(Buffer.from(await catalogXlsx(result.rows)));
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(catalogCsv(result.rows));
+
+  } catch (error) {
+    console.error('Export products error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get low stock products (admin only)
-router.get('/admin/low-stock', authenticateAdmin, async (req, res) => {
+router.get('/admin/low-stock', authenticateAdmin, requirePermission('stock.view'), async (req, res) => {
   try {
     const result = await query(`
       SELECT * FROM products 
@@ -216,7 +600,7 @@ router.get('/admin/low-stock', authenticateAdmin, async (req, res) => {
 });
 
 // Update stock quantity (admin only)
-router.put('/:id/stock', authenticateAdmin, [
+router.put('/:id/stock', authenticateAdmin, requirePermission('stock.update'), [
   body('stock_quantity').isFloat({ min: 0 }).withMessage('Valid stock quantity is required')
 ], async (req, res) => {
   try {
@@ -228,20 +612,30 @@ router.put('/:id/stock', authenticateAdmin, [
     const productId = req.params.id;
     const { stock_quantity } = req.body;
 
-    const result = await query(`
-      UPDATE products 
-      SET stock_quantity = $1, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $2
-      RETURNING *
-    `, [stock_quantity, productId]);
+    const product = await withTransaction(async (client) => {
+      const currentResult = await client.query('SELECT stock_quantity FROM products WHERE id = $1', [productId]);
+      const updated = await adjustStock(client, productId, stock_quantity, req.staff.id);
+      if (updated) {
+        await recordAudit(req, {
+          action: 'product.stock_update',
+          entityType: 'product',
+          entityId: productId,
+          before: { stock_quantity: currentResult.rows[0].stock_quantity },
+          after: { stock_quantity: updated.stock_quantity }
+        }, client);
+      }
+      return updated;
+    });
 
-    if (result.rows.length === 0) {
+    if (!product) {
       return res.status(404).json({ error: 'Product not found' });
     }
 
+    await emitLowStockAlerts([product.id]);
+
     res.json({
       message: 'Stock quantity updated successfully',
-      product: result.rows[0]
+      product
     });
 
   } catch (error) {
@@ -250,4 +644,160 @@ router.put('/:id/stock', authenticateAdmin, [
   }
 });
 
+// Get stock ledger for a product (admin only)
+router.get('/:id/stock-movements', authenticateAdmin, requirePermission('stock.view'), async (req, res) => {
+  try {
+    const productId = req.params.id;
+    const { page = 1, limit = 50, movement_type } = req.query;
+    const offset = (page - 1) * limit;
+
+    let queryStr = `
+      SELECT sm.*, s.name as created_by_name
+      FROM stock_movements sm
+      LEFT JOIN staff s ON sm.created_by = s.id
+      WHERE sm.product_id = $1
+    `;
+    let params = [productId];
+    let paramCount = 1;
+
+    if (movement_type) {
+      paramCount++;
+      queryStr += ` AND sm.movement_type = $${paramCount}`;
+      params.push(movement_type);
+    }
+
+    queryStr += ` ORDER BY sm.created_at DESC LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`;
+    params.push(limit, offset);
+
+    const result = await query(queryStr, params);
+
+    res.json({
+      stock_movements: result.rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: result.rows.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get stock movements error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Price history for a product, including scheduled prices (admin only).
+// from_date and to_date limit it to prices that applied in that period.
+router.get('/:id/prices', authenticateAdmin, requirePermission('products.manage'), async (req, res) => {
+  try {
+    const productId = req.params.id;
+    const { from_date, to_date } = req.query;
+
+    for (const date of [from_date, to_date]) {
+      if (date && !moment(date, 'YYYY-MM-DD', true).isValid()) {
+        return res.status(400).json({ error: 'Dates must be in YYYY-MM-DD format' });
+      }
+    }
+
+    const productResult = await query('SELECT id, name, unit, price FROM products WHERE id = $1', [productId]);
+    if (productResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const prices = await getPriceHistory(productId, { fromDate: from_date, toDate: to_date });
+
+    res.json({
+      product: productResult.rows[0],
+      current_price: prices.find((price) => price.is_current) || null,
+      scheduled_prices: prices.filter((price) => price.is_scheduled),
+      prices
+    });
+
+  } catch (error) {
+    console.error('Get price history error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Set a product's price from a date, today or later (admin only)
+router.post('/:id/prices', authenticateAdmin, requirePermission('products.manage'), [
+  body('price').isFloat({ min: 0 }).withMessage('Valid price is required'),
+  body('effective_from').isISO8601().withMessage('Valid effective date is required'),
+  body('reason').optional().isString().withMessage('Reason must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const productId = req.params.id;
+    const { price, reason } = req.body;
+    const effectiveFrom = moment(req.body.effective_from).format('YYYY-MM-DD');
+    const today = businessDate();
+
+    if (effectiveFrom < today) {
+      return res.status(400).json({ error: 'effective_from cannot be in the past' });
+    }
+
+    const entry = await withTransaction(async (client) => {
+      const productResult = await client.query('SELECT id, price FROM products WHERE id = $1 FOR UPDATE', [productId]);
+      if (productResult.rows.length === 0) {
+        return null;
+      }
+
+      const saved = await setProductPrice(client, productId, price, { effectiveFrom, staffId: req.staff.id, reason });
+
+      await recordAudit(req, {
+        action: 'product.price_set',
+        entityType: 'product',
+        entityId: productId,
+        after: { price_id: saved.id, price: saved.price, effective_from: effectiveFrom, reason }
+      }, client);
+
+      return saved;
+    });
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    res.status(201).json({
+      message: effectiveFrom > today
+        ? `Price scheduled from ${effectiveFrom}`
+        : 'Price updated successfully',
+      price: entry
+    });
+
+  } catch (error) {
+    console.error('Set product price error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Cancel a price that has not taken effect yet (admin only)
+router.delete('/:id/prices/:priceId', authenticateAdmin, requirePermission('products.manage'), async (req, res) => {
+  try {
+    const { id: productId, priceId } = req.params;
+
+    await withTransaction(async (client) => {
+      const cancelled = await cancelScheduledPrice(client, productId, priceId);
+
+      await recordAudit(req, {
+        action: 'product.price_cancel',
+        entityType: 'product',
+        entityId: productId,
+        before: { price_id: cancelled.id, price: cancelled.price, effective_from: cancelled.effective_from }
+      }, client);
+    });
+
+    res.json({
+      message: 'Scheduled price cancelled successfully'
+    });
+
+  } catch (error) {
+    handleRouteError(res, error, 'Cancel scheduled price error');
+  }
+});
+
 export default router; 
\ No newline at end of file
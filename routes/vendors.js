@@ -1,12 +1,22 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
-import { query } from '../config/database.js';
+import moment from 'moment';
+import { query, withTransaction } from '../config/database.js';
 import { authenticateVendor } from '../middlewares/auth.middleware.js';
+import { requestOtp, verifyOtp } from '../services/otp.service.js';
+import { createSession, refreshSession, revokeAllSessions, revokeSession } from '../services/session.service.js';
+import { checkCredit, CREDIT_LIMIT_ACTION } from '../services/ledger.service.js';
+import { WEEKDAYS } from '../services/daily-needs.service.js';
+import { cancelOrdersInRange, createPause, endPause } from '../services/vendor-pause.service.js';
+import { getEffectivePrices } from '../services/product-price.service.js';
+import { businessDate } from '../utils/dates.js';
+import { AppError, handleRouteError } from '../utils/errors.js';
 
 const router = express.Router();
 
+const sessionMeta = (req) => ({ userAgent: req.get('User-Agent'), ip: req.ip });
+
 router.post('/register', [
   body('name').notEmpty().withMessage('Name is required'),
   body('phone').isMobilePhone().withMessage('Valid phone number is required'),
@@ -26,41 +36,84 @@ router.post('/register', [
     const { name, phone, email, address, city, state, pincode, vendor_type, working_hours, language } = req.body;
 
     // Check if vendor already exists
-    const existingVendor = await query('SELECT id FROM vendors WHERE phone = $1', [phone]);
-    if (existingVendor.rows.length > 0) {
+    const existingVendor = await query('SELECT id, phone_verified_at FROM vendors WHERE phone = $1', [phone]);
+    if (existingVendor.rows.length > 0 && existingVendor.rows[0].phone_verified_at) {
       return res.status(400).json({ error: 'Vendor with this phone number already exists' });
     }
 
-    // Create new vendor
+    let result;
+    if (existingVendor.rows.length > 0) {
+      // Registration was started but never verified; refresh the details
+      result = await query(`
+        UPDATE vendors
+        SET name = $1, email = $2, address = $3, city = $4, state = $5, pincode = $6,
+            vendor_type = $7, working_hours = $8, language = $9, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $10
+        RETURNING id, name, phone, email, address, city, state, pincode, vendor_type, working_hours, language, created_at
+      `, [name, email, address, city, state, pincode, vendor_type, working_hours, language || 'en', existingVendor.rows[0].id]);
+    } else {
+      // Create new vendor, inactive until the phone number is verified
+      result = await query(`
+        INSERT INTO vendors (name, phone, email, address, city, state, pincode, vendor_type, working_hours, language, is_active)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, false)
+        RETURNING id, name, phone, email, address, city, state, pincode, vendor_type, working_hours, language, created_at
+      `, [name, phone, email, address, city, state, pincode, vendor_type, working_hours, language || 'en']);
+    }
+
+    const otp = await requestOtp(phone, 'register');
+
+    res.status(201).json({
+      message: 'Vendor registered. Enter the OTP sent to your phone to activate your account',
+      vendor: result.rows[0],
+      ...otp
+    });
+
+  } catch (error) {
+    handleRouteError(res, error, 'Vendor registration error');
+  }
+});
+
+router.post('/register/verify', [
+  body('phone').isMobilePhone().withMessage('Valid phone number is required'),
+  body('otp').isNumeric().isLength({ min: 4, max: 8 }).withMessage('Valid OTP is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { phone, otp } = req.body;
+
+    const pendingVendor = await query('SELECT id FROM vendors WHERE phone = $1 AND phone_verified_at IS NULL', [phone]);
+    if (pendingVendor.rows.length === 0) {
+      return res.status(400).json({ error: 'No pending registration for this phone number' });
+    }
+
+    await verifyOtp(phone, 'register', otp);
+
     const result = await query(`
-      INSERT INTO vendors (name, phone, email, address, city, state, pincode, vendor_type, working_hours, language)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      UPDATE vendors
+      SET is_active = true, phone_verified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
       RETURNING id, name, phone, email, address, city, state, pincode, vendor_type, working_hours, language, created_at
-    `, [name, phone, email, address, city, state, pincode, vendor_type, working_hours, language || 'en']);
+    `, [pendingVendor.rows[0].id]);
 
     const vendor = result.rows[0];
+    const session = await createSession('vendor', vendor.id, sessionMeta(req));
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { vendorId: vendor.id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
-    
-    console.log("registered successfully");
-    res.status(201).json({
+    res.json({
       message: 'Vendor registered successfully',
       vendor,
-      token
+      ...session
     });
 
   } catch (error) {
-    console.error('Vendor registration error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    handleRouteError(res, error, 'Vendor registration verify error');
   }
 });
 
-
+// Step 1 of login: send an OTP to a registered phone number
 router.post('/login', [
   body('phone').isMobilePhone().withMessage('Valid phone number is required')
 ], async (req, res) => {
@@ -73,22 +126,48 @@ router.post('/login', [
     const { phone } = req.body;
 
     // Find vendor by phone
+    const result = await query('SELECT id FROM vendors WHERE phone = $1 AND is_active = true', [phone]);
+    
+    if (result.rows.length === 0) {
+      return res.status(400).json({ error: 'Vendor not found' });
+    }
+
+    const otp = await requestOtp(phone, 'login');
+
+    res.json({
+      message: 'OTP sent to your registered phone number',
+      ...otp
+    });
+
+  } catch (error) {
+    handleRouteError(res, error, 'Vendor login error');
+  }
+});
+
+// Step 2 of login: exchange a valid OTP for a token
+router.post('/login/verify', [
+  body('phone').isMobilePhone().withMessage('Valid phone number is required'),
+  body('otp').isNumeric().isLength({ min: 4, max: 8 }).withMessage('Valid OTP is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { phone, otp } = req.body;
+
     const result = await query('SELECT * FROM vendors WHERE phone = $1 AND is_active = true', [phone]);
     
     if (result.rows.length === 0) {
       return res.status(400).json({ error: 'Vendor not found' });
     }
 
+    await verifyOtp(phone, 'login', otp);
+
     const vendor = result.rows[0];
+    const session = await createSession('vendor', vendor.id, sessionMeta(req));
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { vendorId: vendor.id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
-    console.log("login successfully");
-    console.log(token);
     res.json({
       message: 'Login successful',
       vendor: {
@@ -104,11 +183,68 @@ router.post('/login', [
         language: vendor.language,
         credit_limit: vendor.credit_limit
       },
-      token
+      ...session
+    });
+
+  } catch (error) {
+    handleRouteError(res, error, 'Vendor login verify error');
+  }
+});
+
+// Exchange a refresh token for a new token pair
+router.post('/token/refresh', [
+  body('refresh_token').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { subject_id, ...session } = await refreshSession(req.body.refresh_token, 'vendor');
+
+    const vendorResult = await query('SELECT id FROM vendors WHERE id = $1 AND is_active = true', [subject_id]);
+    if (vendorResult.rows.length === 0) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    res.json({
+      message: 'Token refreshed successfully',
+      ...session
     });
 
   } catch (error) {
-    console.error('Vendor login error:', error);
+    handleRouteError(res, error, 'Vendor token refresh error');
+  }
+});
+
+// End the current session
+router.post('/logout', authenticateVendor, async (req, res) => {
+  try {
+    await revokeSession(req.sessionId);
+
+    res.json({
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Vendor logout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// End every session on every device
+router.post('/logout-all', authenticateVendor, async (req, res) => {
+  try {
+    const revokedCount = await revokeAllSessions('vendor', req.vendor.id);
+
+    res.json({
+      message: 'Logged out from all devices',
+      revoked_sessions: revokedCount
+    });
+
+  } catch (error) {
+    console.error('Vendor logout all error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -130,7 +266,9 @@ router.put('/profile', authenticateVendor, [
   body('email').optional().isEmail().withMessage('Valid email is required'),
   body('address').optional().notEmpty().withMessage('Address cannot be empty'),
   body('working_hours').optional().notEmpty().withMessage('Working hours cannot be empty'),
-  body('language').optional().isIn(['en', 'hi', 'mr', 'ta', 'bn']).withMessage('Invalid language')
+  body('language').optional().isIn(['en', 'hi', 'mr', 'ta', 'bn']).withMessage('Invalid language'),
+  body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -138,7 +276,7 @@ router.put('/profile', authenticateVendor, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, email, address, working_hours, language } = req.body;
+    const { name, email, address, working_hours, language, latitude, longitude } = req.body;
     const vendorId = req.vendor.id;
 
     const result = await query(`
@@ -148,10 +286,12 @@ router.put('/profile', authenticateVendor, [
           address = COALESCE($3, address),
           working_hours = COALESCE($4, working_hours),
           language = COALESCE($5, language),
+          latitude = COALESCE($6, latitude),
+          longitude = COALESCE($7, longitude),
           updated_at = CURRENT_TIMESTAMP
-      WHERE id = $6
+      WHERE id = $8
       RETURNING *
-    `, [name, email, address, working_hours, language, vendorId]);
+    `, [name, email, address, working_hours, language, latitude, longitude, vendorId]);
 
     res.json({
       message: 'Profile updated successfully',
@@ -190,7 +330,34 @@ router.get('/daily-needs', authenticateVendor, async (req, res) => {
 router.post('/daily-needs', authenticateVendor, [
   body('daily_needs').isArray().withMessage('Daily needs must be an array'),
   body('daily_needs.*.product_id').isInt().withMessage('Valid product ID is required'),
-  body('daily_needs.*.quantity').isFloat({ min: 0.1 }).withMessage('Valid quantity is required')
+  body('daily_needs.*.quantity').isFloat({ min: 0.1 }).withMessage('Valid quantity is required'),
+  body('daily_needs.*.day_quantities').optional({ nullable: true }).custom((dayQuantities) => {
+    if (typeof dayQuantities !== 'object' || Array.isArray(dayQuantities)) {
+      throw new Error('day_quantities must be an object keyed by weekday');
+    }
+    for (const [day, quantity] of Object.entries(dayQuantities)) {
+      if (!WEEKDAYS.includes(day)) {
+        throw new Error(`Unknown weekday "${day}". Use ${WEEKDAYS.join(', ')}`);
+      }
+      if (typeof quantity !== 'number' || quantity < 0) {
+        throw new Error(`Quantity for ${day} must be 0 or more`);
+      }
+    }
+    return true;
+  }),
+  body('daily_needs.*.every_n_days').optional().isInt({ min: 1, max: 365 }).withMessage('every_n_days must be between 1 and 365'),
+  body('daily_needs.*.start_date').optional({ nullable: true }).isDate().withMessage('Valid start date is required'),
+  body('daily_needs.*.end_date').optional({ nullable: true }).isDate().withMessage('Valid end date is required'),
+  body('daily_needs.*.is_recurring').optional().isBoolean().withMessage('is_recurring must be a boolean'),
+  body('daily_needs.*').custom((need) => {
+    if (need.start_date && need.end_date && need.end_date < need.start_date) {
+      throw new Error('end_date cannot be before start_date');
+    }
+    if (need.is_recurring === false && !need.start_date) {
+      throw new Error('A one-off need requires a start_date');
+    }
+    return true;
+  })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -201,16 +368,43 @@ router.post('/daily-needs', authenticateVendor, [
     const vendorId = req.vendor.id;
     const { daily_needs } = req.body;
 
-    // Delete existing daily needs
-    await query('DELETE FROM daily_needs WHERE vendor_id = $1', [vendorId]);
-
-    // Insert new daily needs
-    for (const need of daily_needs) {
-      await query(`
-        INSERT INTO daily_needs (vendor_id, product_id, quantity)
-        VALUES ($1, $2, $3)
-      `, [vendorId, need.product_id, need.quantity]);
-    }
+    await withTransaction(async (client) => {
+      // An unchanged every-N-days need keeps its start date, so saving the
+      // list does not restart its cycle
+      const existingResult = await client.query(`
+        SELECT product_id, every_n_days, start_date FROM daily_needs
+        WHERE vendor_id = $1 AND is_recurring = true AND every_n_days > 1
+      `, [vendorId]);
+      const existingStart = (productId, everyNDays) => {
+        const existing = existingResult.rows.find((row) => (
+          row.product_id === parseInt(productId) && row.every_n_days === everyNDays && row.start_date
+        ));
+        return existing ? moment(existing.start_date).format('YYYY-MM-DD') : null;
+      };
+
+      await client.query('DELETE FROM daily_needs WHERE vendor_id = $1', [vendorId]);
+
+      // New every-N-days schedules count from today unless a start date is given
+      const today = businessDate();
+      for (const need of daily_needs) {
+        const everyNDays = parseInt(need.every_n_days) || 1;
+        const isRecurring = need.is_recurring ?? true;
+        const keptStart = isRecurring && everyNDays > 1 ? existingStart(need.product_id, everyNDays) : null;
+        await client.query(`
+          INSERT INTO daily_needs (vendor_id, product_id, quantity, is_recurring, day_quantities, every_n_days, start_date, end_date)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        `, [
+          vendorId,
+          need.product_id,
+          need.quantity,
+          isRecurring,
+          need.day_quantities ? JSON.stringify(need.day_quantities) : null,
+          everyNDays,
+          need.start_date || keptStart || (everyNDays > 1 ? today : null),
+          need.end_date || null
+        ]);
+      }
+    });
 
     res.json({
       message: 'Daily needs updated successfully'
@@ -222,6 +416,24 @@ router.post('/daily-needs', authenticateVendor, [
   }
 });
 
+// What extra orders will cost once billed. Each is charged the price
+// effective on its order date, as order generation does.
+const priceExtraOrders = async (client, extraOrders) => {
+  const byDate = new Map();
+  for (const extraOrder of extraOrders) {
+    const date = moment(extraOrder.order_date).format('YYYY-MM-DD');
+    byDate.set(date, [...(byDate.get(date) || []), extraOrder]);
+  }
+
+  let total = 0;
+  for (const [date, rows] of byDate) {
+    const prices = await getEffectivePrices(rows.map((row) => row.product_id), date, client);
+    total += rows.reduce((sum, row) => sum + Number(row.quantity) * (prices.get(row.product_id) || 0), 0);
+  }
+
+  return total;
+};
+
 router.post('/extra-orders', authenticateVendor, [
   body('product_id').isInt().withMessage('Valid product ID is required'),
   body('quantity').isFloat({ min: 0.1 }).withMessage('Valid quantity is required'),
@@ -237,20 +449,55 @@ router.post('/extra-orders', authenticateVendor, [
     const vendorId = req.vendor.id;
     const { product_id, quantity, order_date, notes } = req.body;
 
-    const result = await query(`
-      INSERT INTO extra_orders (vendor_id, product_id, quantity, order_date, notes)
-      VALUES ($1, $2, $3, $4, $5)
-      RETURNING *
-    `, [vendorId, product_id, quantity, order_date, notes]);
+    const productResult = await query('SELECT id FROM products WHERE id = $1 AND is_active = true', [product_id]);
+    if (productResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const extraOrder = await withTransaction(async (client) => {
+      // Extra orders not yet billed still count against the limit
+      const unbilledResult = await client.query(`
+        SELECT eo.product_id, eo.quantity, eo.order_date
+        FROM extra_orders eo
+        WHERE eo.vendor_id = $1 AND eo.status = 'approved'
+          AND NOT EXISTS (
+            SELECT 1 FROM orders o
+            WHERE o.vendor_id = eo.vendor_id AND o.order_date = eo.order_date AND o.order_type = 'daily'
+          )
+      `, [vendorId]);
+
+      const amount = await priceExtraOrders(client, [
+        ...unbilledResult.rows,
+        { product_id: productResult.rows[0].id, quantity, order_date }
+      ]);
+      const credit = await checkCredit(client, vendorId, amount);
+
+      if (!credit.within_limit && CREDIT_LIMIT_ACTION === 'reject') {
+        throw new AppError('This order would exceed your credit limit', 400, {
+          credit_limit: credit.credit_limit,
+          current_balance: credit.current_balance,
+          available_credit: credit.available_credit
+        });
+      }
+
+      const result = await client.query(`
+        INSERT INTO extra_orders (vendor_id, product_id, quantity, order_date, notes, status)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `, [vendorId, product_id, quantity, order_date, notes, credit.within_limit ? 'approved' : 'on_hold']);
+
+      return result.rows[0];
+    });
 
     res.status(201).json({
-      message: 'Extra order added successfully',
-      extra_order: result.rows[0]
+      message: extraOrder.status === 'on_hold'
+        ? 'Extra order exceeds your credit limit and is awaiting admin approval'
+        : 'Extra order added successfully',
+      extra_order: extraOrder
     });
 
   } catch (error) {
-    console.error('Add extra order error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    handleRouteError(res, error, 'Add extra order error');
   }
 });
 
@@ -267,23 +514,117 @@ router.post('/cancel-order', authenticateVendor, [
     const vendorId = req.vendor.id;
     const { cancel_date, reason } = req.body;
 
-    const result = await query(`
-      INSERT INTO cancelled_orders (vendor_id, cancel_date, reason)
-      VALUES ($1, $2, $3)
-      RETURNING *
-    `, [vendorId, cancel_date, reason]);
+    const result = await withTransaction(async (client) => {
+      const cancelledResult = await client.query(`
+        INSERT INTO cancelled_orders (vendor_id, cancel_date, reason)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (vendor_id, cancel_date) DO NOTHING
+        RETURNING *
+      `, [vendorId, cancel_date, reason]);
+
+      if (cancelledResult.rows.length === 0) {
+        throw new AppError('Order for this date is already cancelled', 400);
+      }
+
+      const cancelledOrders = await cancelOrdersInRange(client, vendorId, cancel_date, cancel_date, reason || 'Cancelled by vendor');
+
+      return { cancelled_order: cancelledResult.rows[0], cancelled_orders: cancelledOrders };
+    });
 
     res.status(201).json({
       message: 'Order cancelled successfully',
-      cancelled_order: result.rows[0]
+      ...result
+    });
+
+  } catch (error) {
+    handleRouteError(res, error, 'Cancel order error');
+  }
+});
+
+// Pause deliveries for a date range
+router.post('/pauses', authenticateVendor, [
+  body('start_date').isDate().withMessage('Valid start date is required'),
+  body('end_date').isDate().withMessage('Valid end date is required'),
+  body('reason').optional().isString().withMessage('Reason must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { start_date, end_date, reason } = req.body;
+
+    if (start_date < businessDate()) {
+      return res.status(400).json({ error: 'A pause cannot start in the past' });
+    }
+
+    if (end_date < start_date) {
+      return res.status(400).json({ error: 'end_date cannot be before start_date' });
+    }
+
+    const result = await withTransaction((client) => createPause(client, req.vendor.id, {
+      startDate: start_date,
+      endDate: end_date,
+      reason
+    }));
+
+    res.status(201).json({
+      message: 'Deliveries paused successfully',
+      ...result
+    });
+
+  } catch (error) {
+    handleRouteError(res, error, 'Create pause error');
+  }
+});
+
+// Current and upcoming pauses (past ones with include_past=true)
+router.get('/pauses', authenticateVendor, async (req, res) => {
+  try {
+    const { include_past } = req.query;
+
+    let queryStr = `
+      SELECT *, end_date + 1 as resume_date
+      FROM vendor_pauses
+      WHERE vendor_id = $1 AND cancelled_at IS NULL
+    `;
+    const params = [req.vendor.id];
+
+    if (include_past !== 'true') {
+      queryStr += ` AND end_date >= $2`;
+      params.push(businessDate());
+    }
+
+    queryStr += ` ORDER BY start_date`;
+
+    const result = await query(queryStr, params);
+
+    res.json({
+      pauses: result.rows
     });
 
   } catch (error) {
-    console.error('Cancel order error:', error);
+    console.error('Get pauses error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// End a pause early
+router.delete('/pauses/:id', authenticateVendor, async (req, res) => {
+  try {
+    const pause = await withTransaction((client) => endPause(client, req.vendor.id, req.params.id));
+
+    res.json({
+      message: pause.cancelled_at ? 'Pause cancelled successfully' : 'Pause ended. Deliveries resume tomorrow',
+      pause
+    });
+
+  } catch (error) {
+    handleRouteError(res, error, 'End pause error');
+  }
+});
+
 router.get('/orders', authenticateVendor, async (req, res) => {
   try {
     const vendorId = req.vendor.id;
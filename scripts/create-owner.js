@@ -0,0 +1,43 @@
+import bcrypt from 'bcryptjs';
+import { query } from '../config/database.js';
+import { checkPasswordRules } from '../utils/password.js';
+
+// Staff are normally added through invitations, which need an existing
+// owner. This creates the very first owner account from the command line:
+//   npm run staff:create-owner -- <email> <name> <password>
+const createOwner = async (email, name, password) => {
+  if (!email || !name || !password) {
+    throw new Error('Usage: npm run staff:create-owner -- <email> <name> <password>');
+  }
+
+  const problems = checkPasswordRules(password);
+  if (problems.length > 0) {
+    throw new Error(`Password must contain ${problems.join(', ')}`);
+  }
+
+  const ownersResult = await query(`SELECT COUNT(*) as owner_count FROM staff WHERE role IN ('owner', 'admin')`);
+  if (parseInt(ownersResult.rows[0].owner_count) > 0) {
+    throw new Error('An owner already exists. Use the invitation flow to add staff');
+  }
+
+  const passwordHash = await bcrypt.hash(password, 10);
+  const result = await query(`
+    INSERT INTO staff (name, email, role, password_hash)
+    VALUES ($1, $2, 'owner', $3)
+    RETURNING id, name, email, role
+  `, [name, email, passwordHash]);
+
+  console.log('✅ Owner created:', result.rows[0]);
+};
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const [email, name, password] = process.argv.slice(2);
+  createOwner(email, name, password).then(() => {
+    process.exit(0);
+  }).catch((error) => {
+    console.error('❌ Creating owner failed:', error.message);
+    process.exit(1);
+  });
+}
+
+export { createOwner };
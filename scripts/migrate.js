@@ -1,4 +1,5 @@
 import { query } from '../config/database.js';
+import moment from 'moment';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 
@@ -172,8 +173,8 @@ const createTables = async () => {
     console.log('✅ Notifications table created');
 
     // crete staff table
-    await query(` 
-      CREATE TABLE staff ( 
+    await query(`
+      CREATE TABLE IF NOT EXISTS staff (
         id SERIAL PRIMARY KEY,
         name VARCHAR(100) NOT NULL,
         email VARCHAR(100) UNIQUE NOT NULL,
@@ -184,15 +185,508 @@ const createTables = async () => {
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
-    `);//IF NOT EXISTS 
+    `);
     console.log('✅ Staff table created');
 
+    // crete staff onboarding tables
+    await query(`
+      CREATE TABLE IF NOT EXISTS staff_invitations (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        email VARCHAR(100) NOT NULL,
+        phone VARCHAR(15),
+        role VARCHAR(50) NOT NULL,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        invited_by INTEGER REFERENCES staff(id) ON DELETE SET NULL,
+        expires_at TIMESTAMP NOT NULL,
+        accepted_at TIMESTAMP,
+        revoked_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await query(`
+      CREATE TABLE IF NOT EXISTS staff_password_resets (
+        id SERIAL PRIMARY KEY,
+        staff_id INTEGER REFERENCES staff(id) ON DELETE CASCADE,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('✅ Staff onboarding tables created');
+
+    // crete auth_sessions and refresh_tokens tables
+    await query(`
+      CREATE TABLE IF NOT EXISTS auth_sessions (
+        id UUID PRIMARY KEY,
+        subject_type VARCHAR(10) NOT NULL CHECK (subject_type IN ('vendor', 'staff')),
+        subject_id INTEGER NOT NULL,
+        user_agent TEXT,
+        ip_address VARCHAR(45),
+        revoked_at TIMESTAMP,
+        revoked_reason VARCHAR(50),
+        last_used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await query(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id SERIAL PRIMARY KEY,
+        session_id UUID REFERENCES auth_sessions(id) ON DELETE CASCADE,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('✅ Auth session tables created');
+
+    // crete audit_logs table
+    await query(`
+      CREATE TABLE IF NOT EXISTS audit_logs (
+        id SERIAL PRIMARY KEY,
+        actor_id INTEGER REFERENCES staff(id) ON DELETE SET NULL,
+        actor_role VARCHAR(50),
+        action VARCHAR(50) NOT NULL,
+        entity_type VARCHAR(30) NOT NULL,
+        entity_id VARCHAR(50),
+        before_data JSONB,
+        after_data JSONB,
+        ip_address VARCHAR(45),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('✅ Audit logs table created');
+
+    // crete order_status_history table
+    await query(`
+      CREATE TABLE IF NOT EXISTS order_status_history (
+        id SERIAL PRIMARY KEY,
+        order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE,
+        from_status VARCHAR(20),
+        to_status VARCHAR(20) NOT NULL,
+        changed_by INTEGER REFERENCES staff(id) ON DELETE SET NULL,
+        reason TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('✅ Order status history table created');
+
+    // crete order_change_requests table
+    await query(`
+      CREATE TABLE IF NOT EXISTS order_change_requests (
+        id SERIAL PRIMARY KEY,
+        order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE,
+        vendor_id INTEGER REFERENCES vendors(id) ON DELETE CASCADE,
+        changes JSONB NOT NULL,
+        reason TEXT,
+        status VARCHAR(20) DEFAULT 'pending',
+        reviewed_by INTEGER REFERENCES staff(id) ON DELETE SET NULL,
+        reviewed_at TIMESTAMP,
+        review_notes TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('✅ Order change requests table created');
+
+    // recurring schedules for daily needs
+    await query(`ALTER TABLE daily_needs ADD COLUMN IF NOT EXISTS day_quantities JSONB`);
+    await query(`ALTER TABLE daily_needs ADD COLUMN IF NOT EXISTS every_n_days INTEGER DEFAULT 1`);
+    await query(`ALTER TABLE daily_needs ADD COLUMN IF NOT EXISTS start_date DATE`);
+    await query(`ALTER TABLE daily_needs ADD COLUMN IF NOT EXISTS end_date DATE`);
+    console.log('✅ Daily needs schedule columns added');
+
+    // crete vendor_pauses table
+    await query(`
+      CREATE TABLE IF NOT EXISTS vendor_pauses (
+        id SERIAL PRIMARY KEY,
+        vendor_id INTEGER REFERENCES vendors(id) ON DELETE CASCADE,
+        start_date DATE NOT NULL,
+        end_date DATE NOT NULL,
+        reason TEXT,
+        cancelled_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (end_date >= start_date)
+      )
+    `);
+    console.log('✅ Vendor pauses table created');
+
+    // vendor coordinates used to order delivery stops
+    await query(`ALTER TABLE vendors ADD COLUMN IF NOT EXISTS latitude DECIMAL(9,6)`);
+    await query(`ALTER TABLE vendors ADD COLUMN IF NOT EXISTS longitude DECIMAL(9,6)`);
+    console.log('✅ Vendor location columns added');
+
+    // crete delivery_routes table
+    await query(`
+      CREATE TABLE IF NOT EXISTS delivery_routes (
+        id SERIAL PRIMARY KEY,
+        route_date DATE NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        city VARCHAR(100),
+        pincode VARCHAR(10),
+        agent_id INTEGER REFERENCES staff(id),
+        status VARCHAR(50) DEFAULT 'planned' CHECK (status IN ('planned', 'in_progress', 'completed')),
+        created_by INTEGER REFERENCES staff(id),
+        started_at TIMESTAMP,
+        completed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('✅ Delivery routes table created');
+
+    // crete delivery_stops table
+    await query(`
+      CREATE TABLE IF NOT EXISTS delivery_stops (
+        id SERIAL PRIMARY KEY,
+        route_id INTEGER REFERENCES delivery_routes(id) ON DELETE CASCADE,
+        order_id INTEGER UNIQUE REFERENCES orders(id) ON DELETE CASCADE,
+        sequence INTEGER NOT NULL,
+        status VARCHAR(50) DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed', 'partial')),
+        notes TEXT,
+        failure_reason TEXT,
+        delivered_items JSONB,
+        completed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('✅ Delivery stops table created');
+
+    // crete delivery_proofs table
+    await query(`
+      CREATE TABLE IF NOT EXISTS delivery_proofs (
+        id SERIAL PRIMARY KEY,
+        order_id INTEGER UNIQUE REFERENCES orders(id) ON DELETE CASCADE,
+        photo_key VARCHAR(255),
+        photo_mimetype VARCHAR(50),
+        signature_key VARCHAR(255),
+        signature_mimetype VARCHAR(50),
+        delivered_at TIMESTAMP NOT NULL,
+        latitude DECIMAL(9,6),
+        longitude DECIMAL(9,6),
+        captured_by INTEGER REFERENCES staff(id),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('✅ Delivery proofs table created');
+
+    // crete product_images table
+    await query(`
+      CREATE TABLE IF NOT EXISTS product_images (
+        id SERIAL PRIMARY KEY,
+        product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+        image_key VARCHAR(255) NOT NULL,
+        thumbnail_key VARCHAR(255) NOT NULL,
+        mimetype VARCHAR(50) NOT NULL,
+        width INTEGER,
+        height INTEGER,
+        size_bytes INTEGER,
+        original_name VARCHAR(255),
+        sort_order INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('✅ Product images table created');
+
+    // optional stock keeping unit, used to match rows in catalog imports
+    await query(`ALTER TABLE products ADD COLUMN IF NOT EXISTS sku VARCHAR(100)`);
+    console.log('✅ Product SKU column added');
+
+    // crete product_prices table
+    await query(`
+      CREATE TABLE IF NOT EXISTS product_prices (
+        id SERIAL PRIMARY KEY,
+        product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+        price DECIMAL(10,2) NOT NULL,
+        effective_from DATE NOT NULL,
+        reason TEXT,
+        created_by INTEGER REFERENCES staff(id),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(product_id, effective_from)
+      )
+    `);
+    console.log('✅ Product prices table created');
+
+    // products created before price history start with their current price
+    await query(`
+      INSERT INTO product_prices (product_id, price, effective_from)
+      SELECT p.id, p.price, p.created_at::date
+      FROM products p
+      WHERE NOT EXISTS (SELECT 1 FROM product_prices pp WHERE pp.product_id = p.id)
+    `);
+
+    // vendors registered before OTP verification existed are treated as verified
+    await query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns
+          WHERE table_name = 'vendors' AND column_name = 'phone_verified_at'
+        ) THEN
+          ALTER TABLE vendors ADD COLUMN phone_verified_at TIMESTAMP;
+          UPDATE vendors SET phone_verified_at = created_at;
+        END IF;
+      END $$
+    `);
+    console.log('✅ Vendors phone verification column added');
+
+    // crete vendor_otps table
+    await query(`
+      CREATE TABLE IF NOT EXISTS vendor_otps (
+        id SERIAL PRIMARY KEY,
+        phone VARCHAR(15) NOT NULL,
+        purpose VARCHAR(20) NOT NULL,
+        code_hash VARCHAR(255) NOT NULL,
+        attempts INTEGER DEFAULT 0,
+        expires_at TIMESTAMP NOT NULL,
+        consumed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('✅ Vendor OTPs table created');
+
+    // distinguish generated daily orders from other orders
+    await query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS order_type VARCHAR(20) DEFAULT 'daily'`);
+    console.log('✅ Orders type column added');
+
+    // stock reservation and shortage tracking
+    await query(`ALTER TABLE products ADD COLUMN IF NOT EXISTS reserved_quantity DECIMAL(10,2) DEFAULT 0`);
+    await query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS stock_status VARCHAR(20)`);
+    await query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS has_stock_shortage BOOLEAN DEFAULT false`);
+    await query(`ALTER TABLE order_items ADD COLUMN IF NOT EXISTS short_quantity DECIMAL(10,2) DEFAULT 0`);
+    await query(`ALTER TABLE return_requests ADD COLUMN IF NOT EXISTS notes TEXT`);
+    console.log('✅ Stock reservation columns added');
+
+    // crete stock_movements table
+    await query(`
+      CREATE TABLE IF NOT EXISTS stock_movements (
+        id SERIAL PRIMARY KEY,
+        product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+        movement_type VARCHAR(20) NOT NULL,
+        quantity DECIMAL(10,2) NOT NULL,
+        order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+        return_request_id INTEGER REFERENCES return_requests(id) ON DELETE SET NULL,
+        created_by INTEGER REFERENCES staff(id) ON DELETE SET NULL,
+        notes TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('✅ Stock movements table created');
+
+    // vendor credit tracking
+    await query(`ALTER TABLE vendors ADD COLUMN IF NOT EXISTS current_balance DECIMAL(12,2) DEFAULT 0`);
+    await query(`ALTER TABLE extra_orders ADD COLUMN IF NOT EXISTS status VARCHAR(20) DEFAULT 'approved'`);
+    console.log('✅ Vendor credit columns added');
+
+    // crete vendor_ledger table
+    await query(`
+      CREATE TABLE IF NOT EXISTS vendor_ledger (
+        id SERIAL PRIMARY KEY,
+        vendor_id INTEGER REFERENCES vendors(id) ON DELETE CASCADE,
+        entry_type VARCHAR(10) NOT NULL,
+        amount DECIMAL(12,2) NOT NULL,
+        order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+        payment_id INTEGER REFERENCES payments(id) ON DELETE SET NULL,
+        description TEXT,
+        balance_after DECIMAL(12,2) NOT NULL,
+        created_by INTEGER REFERENCES staff(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('✅ Vendor ledger table created');
+
+    // crete invoices tables
+    await query(`ALTER TABLE products ADD COLUMN IF NOT EXISTS tax_rate DECIMAL(5,2) DEFAULT 0`);
+    await query(`CREATE SEQUENCE IF NOT EXISTS invoice_number_seq`);
+    await query(`
+      CREATE TABLE IF NOT EXISTS invoices (
+        id SERIAL PRIMARY KEY,
+        invoice_number VARCHAR(30) UNIQUE NOT NULL,
+        order_id INTEGER UNIQUE REFERENCES orders(id) ON DELETE CASCADE,
+        vendor_id INTEGER REFERENCES vendors(id) ON DELETE CASCADE,
+        issue_date DATE NOT NULL,
+        due_date DATE NOT NULL,
+        subtotal DECIMAL(12,2) NOT NULL,
+        tax_amount DECIMAL(12,2) DEFAULT 0,
+        total_amount DECIMAL(12,2) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await query(`
+      CREATE TABLE IF NOT EXISTS invoice_lines (
+        id SERIAL PRIMARY KEY,
+        invoice_id INTEGER REFERENCES invoices(id) ON DELETE CASCADE,
+        product_id INTEGER REFERENCES products(id) ON DELETE SET NULL,
+        description VARCHAR(100) NOT NULL,
+        unit VARCHAR(20),
+        quantity DECIMAL(10,2) NOT NULL,
+        unit_price DECIMAL(10,2) NOT NULL,
+        line_total DECIMAL(12,2) NOT NULL,
+        tax_rate DECIMAL(5,2) DEFAULT 0,
+        tax_amount DECIMAL(12,2) DEFAULT 0
+      )
+    `);
+    await query(`ALTER TABLE payments ADD COLUMN IF NOT EXISTS invoice_id INTEGER REFERENCES invoices(id) ON DELETE SET NULL`);
+    console.log('✅ Invoices tables created');
+
+    // crete payment_allocations table
+    await query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS amount_paid DECIMAL(12,2) DEFAULT 0`);
+    await query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS payment_status VARCHAR(20) DEFAULT 'unpaid'`);
+    await query(`
+      CREATE TABLE IF NOT EXISTS payment_allocations (
+        id SERIAL PRIMARY KEY,
+        payment_id INTEGER REFERENCES payments(id) ON DELETE CASCADE,
+        order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE,
+        amount DECIMAL(12,2) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('✅ Payment allocations table created');
+
+    // crete notification delivery tables
+    await query(`
+      CREATE TABLE IF NOT EXISTS notification_deliveries (
+        id SERIAL PRIMARY KEY,
+        notification_id INTEGER REFERENCES notifications(id) ON DELETE CASCADE,
+        channel VARCHAR(20) NOT NULL,
+        recipient VARCHAR(100),
+        subject VARCHAR(100),
+        message TEXT NOT NULL,
+        status VARCHAR(20) DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        max_attempts INTEGER DEFAULT 5,
+        next_attempt_at TIMESTAMP,
+        provider VARCHAR(50),
+        provider_message_id VARCHAR(100),
+        last_error TEXT,
+        sent_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await query(`
+      CREATE TABLE IF NOT EXISTS notification_delivery_failures (
+        id SERIAL PRIMARY KEY,
+        delivery_id INTEGER REFERENCES notification_deliveries(id) ON DELETE CASCADE,
+        attempt INTEGER NOT NULL,
+        error TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('✅ Notification delivery tables created');
+
+    // crete notification_templates table
+    await query(`
+      CREATE TABLE IF NOT EXISTS notification_templates (
+        id SERIAL PRIMARY KEY,
+        type VARCHAR(50) NOT NULL,
+        language VARCHAR(20) NOT NULL,
+        title VARCHAR(100) NOT NULL,
+        body TEXT NOT NULL,
+        is_active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(type, language)
+      )
+    `);
+    await query(`
+      INSERT INTO notification_templates (type, language, title, body)
+      VALUES
+        ('order_reminder', 'en', 'Order arriving today',
+         'Hi {{vendor_name}}, your order #{{order_id}} worth ₹{{order_total}} will be delivered on {{date}}: {{product_list}}'),
+        ('order_reminder', 'hi', 'आज आपका ऑर्डर आएगा',
+         'नमस्ते {{vendor_name}}, आपका ऑर्डर #{{order_id}} (₹{{order_total}}) {{date}} को पहुँचेगा: {{product_list}}')
+      ON CONFLICT (type, language) DO NOTHING
+    `);
+    console.log('✅ Notification templates table created');
+
+    // Order reminders point at their order so re-runs can skip it
+    await query(`ALTER TABLE notifications ADD COLUMN IF NOT EXISTS order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE`);
+
+    // crete scheduled_jobs table
+    await query(`
+      CREATE TABLE IF NOT EXISTS scheduled_jobs (
+        job_name VARCHAR(50) PRIMARY KEY,
+        is_paused BOOLEAN DEFAULT false,
+        updated_by INTEGER REFERENCES staff(id) ON DELETE SET NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('✅ Scheduled jobs table created');
+
+    // crete job_runs table
+    await query(`
+      CREATE TABLE IF NOT EXISTS job_runs (
+        id SERIAL PRIMARY KEY,
+        job_name VARCHAR(50) NOT NULL,
+        trigger VARCHAR(20) NOT NULL,
+        status VARCHAR(20) DEFAULT 'running',
+        processed_count INTEGER DEFAULT 0,
+        success_count INTEGER DEFAULT 0,
+        failure_count INTEGER DEFAULT 0,
+        details JSONB,
+        error_message TEXT,
+        triggered_by INTEGER REFERENCES staff(id) ON DELETE SET NULL,
+        started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        finished_at TIMESTAMP
+      )
+    `);
+    console.log('✅ Job runs table created');
+
     // crete indexes for better performance
     await query(`CREATE INDEX IF NOT EXISTS idx_vendors_phone ON vendors(phone)`);
     await query(`CREATE INDEX IF NOT EXISTS idx_orders_vendor_date ON orders(vendor_id, order_date)`);
     await query(`CREATE INDEX IF NOT EXISTS idx_daily_needs_vendor ON daily_needs(vendor_id)`);
     await query(`CREATE INDEX IF NOT EXISTS idx_extra_orders_date ON extra_orders(order_date)`);
     await query(`CREATE INDEX IF NOT EXISTS idx_notifications_vendor ON notifications(vendor_id, is_read)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_notifications_order ON notifications(order_id, type)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_vendor_otps_phone ON vendor_otps(phone, purpose, created_at)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_job_runs_job ON job_runs(job_name, started_at)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_stock_movements_product ON stock_movements(product_id, created_at)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_notification_deliveries_due ON notification_deliveries(status, next_attempt_at)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_payment_allocations_order ON payment_allocations(order_id)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_vendor_ledger_vendor ON vendor_ledger(vendor_id, created_at)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_auth_sessions_subject ON auth_sessions(subject_type, subject_id)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session ON refresh_tokens(session_id)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_audit_logs_entity ON audit_logs(entity_type, entity_id, created_at)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_audit_logs_actor ON audit_logs(actor_id, created_at)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_order_status_history_order ON order_status_history(order_id, created_at)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_order_change_requests_status ON order_change_requests(status, created_at)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_vendor_pauses_vendor ON vendor_pauses(vendor_id, start_date, end_date)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_delivery_routes_date ON delivery_routes(route_date, agent_id)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_delivery_stops_route ON delivery_stops(route_id, sequence)`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_product_images_product ON product_images(product_id, sort_order)`);
+    await query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_products_sku ON products(LOWER(sku)) WHERE sku IS NOT NULL`);
+
+    // Databases hit by the old double-generation bug hold several daily
+    // orders for the same vendor and date. Keep the first one as the daily
+    // order and re-tag the rest so the unique index below can be built.
+    const duplicatesResult = await query(`
+      UPDATE orders o
+      SET order_type = 'legacy_duplicate', updated_at = CURRENT_TIMESTAMP
+      FROM (
+        SELECT id, ROW_NUMBER() OVER (PARTITION BY vendor_id, order_date ORDER BY id) as position
+        FROM orders
+        WHERE order_type = 'daily'
+      ) ranked
+      WHERE o.id = ranked.id AND ranked.position > 1
+      RETURNING o.id, o.vendor_id, o.order_date
+    `);
+    if (duplicatesResult.rows.length > 0) {
+      console.log(`⚠️ Re-tagged ${duplicatesResult.rows.length} duplicate daily orders as legacy_duplicate:`);
+      for (const order of duplicatesResult.rows) {
+        console.log(`   order ${order.id} (vendor ${order.vendor_id}, ${moment(order.order_date).format('YYYY-MM-DD')})`);
+      }
+    }
+
+    await query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_daily_unique
+      ON orders(vendor_id, order_date) WHERE order_type = 'daily'
+    `);
 
     console.log('✅ Database indexes created');
     console.log('🎉 Database migration completed successfully!');
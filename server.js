@@ -3,10 +3,10 @@ import cors from 'cors';
 import helmet from 'helmet';
 import dotenv from 'dotenv';
 import { createServer } from 'http';
-import { Server } from 'socket.io';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import swaggerUi from 'swagger-ui-express';
+import { createSocketServer } from './services/realtime.service.js';
 import YAML from 'yamljs';
 const swaggerDocument = YAML.load('./docs/swagger.yaml');
 
@@ -21,12 +21,7 @@ const __dirname = dirname(__filename);
 
 const app = express();
 const server = createServer(app);
-const io = new Server(server, {
-  cors: {
-    origin: process.env.FRONTEND_URL || "http://localhost:3000",
-    methods: ["GET", "POST"]
-  }
-});
+const io = createSocketServer(server);
 
 // Middleware
 app.use(helmet());
@@ -62,6 +57,9 @@ import productsRouter from './routes/products.js';
 import ordersRouter from './routes/orders.js';
 import paymentsRouter from './routes/payments.js';
 import notificationsRouter from './routes/notifications.js';
+import jobsRouter from './routes/jobs.js';
+import deliveryRouter from './routes/delivery.js';
+import { startScheduler } from './services/scheduler.service.js';
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocument));
 
 app.use('/api/vendors', vendorsRouter);
@@ -70,6 +68,8 @@ app.use('/api/products', productsRouter);
 app.use('/api/orders', ordersRouter);
 app.use('/api/payments', paymentsRouter);
 app.use('/api/notifications', notificationsRouter);
+app.use('/api/jobs', jobsRouter);
+app.use('/api/delivery', deliveryRouter);
 
 console.log('🛣️ Routes loaded successfully');
 
@@ -82,25 +82,6 @@ app.get('/api/health', (req, res) => {
   });
 });
 
-// Socket.io connection handling
-io.on('connection', (socket) => {
-  console.log('Client connected:', socket.id);
-  
-  socket.on('join-vendor', (vendorId) => {
-    socket.join(`vendor-${vendorId}`);
-    console.log(`Vendor ${vendorId} joined their room`);
-  });
-  
-  socket.on('join-admin', () => {
-    socket.join('admin-room');
-    console.log('Admin joined admin room');
-  });
-  
-  socket.on('disconnect', () => {
-    console.log('Client disconnected:', socket.id);
-  });
-});
-
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error(err.stack);
@@ -129,6 +110,9 @@ server.listen(PORT, async () => {
   const dbConnected = await testDatabaseConnection();
   
   if (dbConnected) {
+    if (process.env.ENABLE_SCHEDULER !== 'false') {
+      startScheduler();
+    }
     console.log('🎉 Server is fully operational!');
   } else {
     console.log('⚠️ Server started but database connection failed');
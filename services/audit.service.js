@@ -0,0 +1,58 @@
+import { pool } from '../config/database.js';
+
+// Every mutating admin action is recorded as actor + action + entity with
+// before/after snapshots. Pass the transaction client when there is one,
+// so the entry commits or rolls back together with the change itself.
+
+const HIDDEN_FIELDS = ['password_hash', 'token_hash', 'otp_hash'];
+const IGNORED_FIELDS = ['updated_at'];
+
+const sanitize = (snapshot) => {
+  if (!snapshot) {
+    return null;
+  }
+  const clean = { ...snapshot };
+  for (const field of HIDDEN_FIELDS) {
+    delete clean[field];
+  }
+  return clean;
+};
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// For updates keep only the fields that actually changed; creates and
+// deletes keep the whole row.
+const diffSnapshots = (before, after) => {
+  if (!before || !after) {
+    return { before, after };
+  }
+
+  const changedBefore = {};
+  const changedAfter = {};
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (IGNORED_FIELDS.includes(key) || sameValue(before[key], after[key])) {
+      continue;
+    }
+    changedBefore[key] = before[key] ?? null;
+    changedAfter[key] = after[key] ?? null;
+  }
+  return { before: changedBefore, after: changedAfter };
+};
+
+export const recordAudit = async (req, { action, entityType, entityId, before = null, after = null, actorId }, client = pool) => {
+  const snapshots = diffSnapshots(sanitize(before), sanitize(after));
+
+  await client.query(`
+    INSERT INTO audit_logs (actor_id, actor_role, action, entity_type, entity_id, before_data, after_data, ip_address)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+  `, [
+    actorId ?? req.staff?.id ?? null,
+    req.staff?.role ?? null,
+    action,
+    entityType,
+    entityId === undefined || entityId === null ? null : String(entityId),
+    snapshots.before ? JSON.stringify(snapshots.before) : null,
+    snapshots.after ? JSON.stringify(snapshots.after) : null,
+    req.ip
+  ]);
+};
@@ -0,0 +1,64 @@
+import moment from 'moment';
+import { query } from '../config/database.js';
+
+// A daily need has a default quantity plus an optional schedule:
+//   day_quantities  per-weekday overrides, e.g. { "sat": 8, "mon": 0 }
+//                   (0 skips that weekday, unlisted days use quantity)
+//   every_n_days    deliver every N days counting from start_date
+//   start_date / end_date  the period the need is active
+// A need with is_recurring = false applies on its start_date only.
+
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const toDay = (date) => moment(moment(date).format('YYYY-MM-DD'), 'YYYY-MM-DD');
+
+// Quantity a need asks for on the given date, 0 when it does not apply
+export const scheduledQuantity = (need, date) => {
+  const day = toDay(date);
+  const startDate = need.start_date ? toDay(need.start_date) : null;
+
+  if (startDate && day.isBefore(startDate)) {
+    return 0;
+  }
+  if (need.end_date && day.isAfter(toDay(need.end_date))) {
+    return 0;
+  }
+  if (need.is_recurring === false) {
+    return startDate && day.isSame(startDate) ? Number(need.quantity) : 0;
+  }
+
+  const everyNDays = need.every_n_days || 1;
+  if (everyNDays > 1 && startDate && day.diff(startDate, 'days') % everyNDays !== 0) {
+    return 0;
+  }
+
+  const override = need.day_quantities?.[WEEKDAYS[day.day()]];
+  return Number(override ?? need.quantity);
+};
+
+// Active daily needs of active vendors for products still on sale, with
+// quantity replaced by what the schedule asks for on `date`. Needs that do
+// not apply that day are left out.
+export const getScheduledNeeds = async (date, { vendorId } = {}) => {
+  const params = [date];
+  let queryStr = `
+    SELECT dn.*, p.name as product_name, p.price, p.unit, v.name as vendor_name
+    FROM daily_needs dn
+    JOIN products p ON dn.product_id = p.id
+    JOIN vendors v ON dn.vendor_id = v.id
+    WHERE p.is_active = true AND v.is_active = true
+      AND (dn.start_date IS NULL OR dn.start_date <= $1)
+      AND (dn.end_date IS NULL OR dn.end_date >= $1)
+  `;
+
+  if (vendorId) {
+    params.push(vendorId);
+    queryStr += ' AND dn.vendor_id = $2';
+  }
+
+  const result = await query(queryStr, params);
+
+  return result.rows
+    .map((need) => ({ ...need, quantity: scheduledQuantity(need, date) }))
+    .filter((need) => need.quantity > 0);
+};
@@ -0,0 +1,87 @@
+import { query } from '../config/database.js';
+import { IMAGE_EXTENSIONS } from '../middlewares/upload.middleware.js';
+import { deleteFile, saveFile } from './storage.service.js';
+
+// Proof of delivery: an optional photo and signature image plus when and
+// where the order was handed over, captured when it is marked delivered.
+
+export const PROOF_FILES = ['photo', 'signature'];
+
+const PROOF_FOLDER = 'delivery-proofs';
+
+// The multer fields a delivery update accepts
+export const proofUploadFields = PROOF_FILES.map((name) => ({ name, maxCount: 1 }));
+
+// Write uploaded proof images to storage. Returns { photo, signature },
+// each { key, mimetype } or null when that file was not sent.
+export const storeProofFiles = async (files = {}) => {
+  const stored = {};
+  for (const name of PROOF_FILES) {
+    const file = files[name]?.[0];
+    stored[name] = file
+      ? { key: await saveFile(PROOF_FOLDER, file.buffer, IMAGE_EXTENSIONS[file.mimetype]), mimetype: file.mimetype }
+      : null;
+  }
+  return stored;
+};
+
+// Remove stored files again when the delivery update fails
+export const discardProofFiles = async (stored) => {
+  for (const file of Object.values(stored || {})) {
+    if (file) {
+      await deleteFile(file.key);
+    }
+  }
+};
+
+export const hasProof = (stored, { latitude, longitude } = {}) => Boolean(stored.photo || stored.signature)
+  || (latitude !== undefined && longitude !== undefined);
+
+export const recordDeliveryProof = async (client, orderId, stored, { deliveredAt, latitude, longitude, staffId = null }) => {
+  const result = await client.query(`
+    INSERT INTO delivery_proofs (
+      order_id, photo_key, photo_mimetype, signature_key, signature_mimetype,
+      delivered_at, latitude, longitude, captured_by
+    )
+    VALUES ($1, $2, $3, $4, $5, COALESCE($6, CURRENT_TIMESTAMP), $7, $8, $9)
+    RETURNING *
+  `, [
+    orderId,
+    stored.photo?.key || null,
+    stored.photo?.mimetype || null,
+    stored.signature?.key || null,
+    stored.signature?.mimetype || null,
+    deliveredAt || null,
+    latitude ?? null,
+    longitude ?? null,
+    staffId
+  ]);
+
+  return result.rows[0];
+};
+
+export const getDeliveryProof = async (orderId) => {
+  const result = await query(`
+    SELECT dp.*, s.name as captured_by_name
+    FROM delivery_proofs dp
+    LEFT JOIN staff s ON dp.captured_by = s.id
+    WHERE dp.order_id = $1
+  `, [orderId]);
+
+  return result.rows[0] || null;
+};
+
+// The proof as returned to clients: storage keys are swapped for URLs
+// under the given base path (the vendor or admin proof endpoint)
+export const presentDeliveryProof = (proof, basePath) => {
+  if (!proof) {
+    return null;
+  }
+
+  const { photo_key, photo_mimetype, signature_key, signature_mimetype, ...rest } = proof;
+  return {
+    ...rest,
+    photo_url: photo_key ? `${basePath}/photo` : null,
+    signature_url: signature_key ? `${basePath}/signature` : null
+  };
+};
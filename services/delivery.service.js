@@ -0,0 +1,360 @@
+import { query } from '../config/database.js';
+import { AppError } from '../utils/errors.js';
+import { applyOrderChanges } from './order-modification.service.js';
+import { applyOrderStatusChange } from './order-status.service.js';
+
+// Delivery routes group a day's orders into one run per area, handed to
+// a delivery agent. Each order on a route is a stop; the agent works
+// through the stops in sequence and records the outcome of each one.
+
+export const STOP_OUTCOMES = ['delivered', 'failed', 'partial'];
+
+// Orders that can go on a route: everything not cancelled, held or
+// already delivered
+const ROUTABLE_STATUSES = ['pending', 'processing', 'out_for_delivery'];
+
+// Great-circle distance in kilometres
+const distanceKm = (a, b) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(h));
+};
+
+const hasCoordinates = (stop) => stop.latitude !== null && stop.latitude !== undefined
+  && stop.longitude !== null && stop.longitude !== undefined;
+
+const getDepot = () => {
+  const latitude = parseFloat(process.env.DEPOT_LATITUDE);
+  const longitude = parseFloat(process.env.DEPOT_LONGITUDE);
+  return Number.isNaN(latitude) || Number.isNaN(longitude) ? null : { latitude, longitude };
+};
+
+// Order stops by nearest neighbour, starting from the depot when one is
+// configured. Stops without coordinates keep their order at the end.
+export const optimizeStopOrder = (stops) => {
+  const located = stops
+    .filter(hasCoordinates)
+    .map((stop) => ({ ...stop, latitude: Number(stop.latitude), longitude: Number(stop.longitude) }));
+  const unlocated = stops.filter((stop) => !hasCoordinates(stop));
+
+  const ordered = [];
+  let current = getDepot() || located[0];
+  while (located.length > 0) {
+    let nearestIndex = 0;
+    for (let i = 1; i < located.length; i++) {
+      if (distanceKm(current, located[i]) < distanceKm(current, located[nearestIndex])) {
+        nearestIndex = i;
+      }
+    }
+    current = located.splice(nearestIndex, 1)[0];
+    ordered.push(current);
+  }
+
+  return [...ordered, ...unlocated];
+};
+
+const areaKey = (order, groupBy) => (groupBy === 'city'
+  ? (order.city || 'Unknown city')
+  : (order.pincode || 'Unknown pincode'));
+
+// Create routes for a date's orders that are not on a route yet, one per
+// pincode (or city). Returns the new routes with their stops.
+export const planRoutes = async (client, routeDate, { groupBy = 'pincode', optimize = true, staffId = null } = {}) => {
+  const ordersResult = await client.query(`
+    SELECT o.id as order_id, o.vendor_id, v.name as vendor_name, v.address,
+           v.city, v.pincode, v.latitude, v.longitude
+    FROM orders o
+    JOIN vendors v ON o.vendor_id = v.id
+    WHERE o.order_date = $1 AND o.status = ANY($2::VARCHAR[])
+      AND NOT EXISTS (SELECT 1 FROM delivery_stops ds WHERE ds.order_id = o.id)
+    ORDER BY v.city, v.pincode, v.address
+  `, [routeDate, ROUTABLE_STATUSES]);
+
+  const groups = new Map();
+  for (const order of ordersResult.rows) {
+    const key = areaKey(order, groupBy);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(order);
+  }
+
+  const routes = [];
+  for (const [area, orders] of groups) {
+    const first = orders[0];
+    const routeResult = await client.query(`
+      INSERT INTO delivery_routes (route_date, name, city, pincode, created_by)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [
+      routeDate,
+      groupBy === 'city' ? area : [first.city, area].filter(Boolean).join(' - '),
+      first.city,
+      groupBy === 'city' ? null : first.pincode,
+      staffId
+    ]);
+    const route = routeResult.rows[0];
+
+    const stops = optimize ? optimizeStopOrder(orders) : orders;
+    route.stops = [];
+    for (const [index, stop] of stops.entries()) {
+      const stopResult = await client.query(`
+        INSERT INTO delivery_stops (route_id, order_id, sequence)
+        VALUES ($1, $2, $3)
+        RETURNING *
+      `, [route.id, stop.order_id, index + 1]);
+      route.stops.push({ ...stopResult.rows[0], vendor_name: stop.vendor_name, address: stop.address });
+    }
+
+    routes.push(route);
+  }
+
+  return routes;
+};
+
+// A route with its stops, each with the vendor's address, contact and
+// coordinates and the order's items
+export const getRouteWithStops = async (routeId) => {
+  const routeResult = await query(`
+    SELECT dr.*, s.name as agent_name, s.phone as agent_phone
+    FROM delivery_routes dr
+    LEFT JOIN staff s ON dr.agent_id = s.id
+    WHERE dr.id = $1
+  `, [routeId]);
+
+  if (routeResult.rows.length === 0) {
+    return null;
+  }
+
+  const stopsResult = await query(`
+    SELECT ds.*, o.status as order_status, o.total_amount, o.delivery_time,
+           COALESCE(o.delivery_address, v.address) as delivery_address,
+           v.id as vendor_id, v.name as vendor_name, v.phone as vendor_phone,
+           v.city, v.pincode, v.latitude, v.longitude,
+           COALESCE(
+             (SELECT json_agg(json_build_object(
+                'product_id', oi.product_id, 'product_name', p.name, 'unit', p.unit, 'quantity', oi.quantity
+              ) ORDER BY p.name)
+              FROM order_items oi JOIN products p ON oi.product_id = p.id
+              WHERE oi.order_id = o.id),
+             '[]'
+           ) as items
+    FROM delivery_stops ds
+    JOIN orders o ON ds.order_id = o.id
+    JOIN vendors v ON o.vendor_id = v.id
+    WHERE ds.route_id = $1
+    ORDER BY ds.sequence
+  `, [routeId]);
+
+  return { ...routeResult.rows[0], stops: stopsResult.rows };
+};
+
+// Walk an order forward to out_for_delivery, recording each step
+const sendOutForDelivery = async (client, order, staffId) => {
+  let current = order;
+  if (current.status === 'pending') {
+    current = await applyOrderStatusChange(client, current, 'processing', { staffId, reason: 'Route started' });
+  }
+  if (current.status === 'processing') {
+    current = await applyOrderStatusChange(client, current, 'out_for_delivery', { staffId, reason: 'Route started' });
+  }
+  return current;
+};
+
+// The agent starts their route: every order still waiting goes out for delivery
+export const startRoute = async (client, routeId, agentId) => {
+  const routeResult = await client.query(`
+    SELECT * FROM delivery_routes WHERE id = $1 AND agent_id = $2 FOR UPDATE
+  `, [routeId, agentId]);
+
+  if (routeResult.rows.length === 0) {
+    throw new AppError('Route not found', 404);
+  }
+  if (routeResult.rows[0].status !== 'planned') {
+    throw new AppError(`Route is already ${routeResult.rows[0].status}`, 400);
+  }
+
+  const ordersResult = await client.query(`
+    SELECT o.* FROM orders o
+    JOIN delivery_stops ds ON ds.order_id = o.id
+    WHERE ds.route_id = $1 AND ds.status = 'pending'
+    ORDER BY ds.sequence
+    FOR UPDATE OF o
+  `, [routeId]);
+
+  const orders = [];
+  for (const order of ordersResult.rows) {
+    orders.push(await sendOutForDelivery(client, order, agentId));
+  }
+
+  const result = await client.query(`
+    UPDATE delivery_routes SET status = 'in_progress', started_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING *
+  `, [routeId]);
+
+  return { route: result.rows[0], orders };
+};
+
+// Mark a route completed once it is under way and no stop is left pending
+const completeRouteIfDone = async (client, routeId) => {
+  await client.query(`
+    UPDATE delivery_routes SET status = 'completed', completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND status = 'in_progress'
+      AND NOT EXISTS (SELECT 1 FROM delivery_stops WHERE route_id = $1 AND status = 'pending')
+  `, [routeId]);
+};
+
+// A partial delivery can only hand over less of what is on the order
+const checkDeliveredItems = async (client, orderId, deliveredItems) => {
+  const orderedResult = await client.query(`
+    SELECT product_id, SUM(quantity) as quantity FROM order_items WHERE order_id = $1 GROUP BY product_id
+  `, [orderId]);
+  const ordered = new Map(orderedResult.rows.map((row) => [row.product_id, Number(row.quantity)]));
+
+  const seen = new Set();
+  for (const item of deliveredItems) {
+    const productId = parseInt(item.product_id);
+    if (seen.has(productId)) {
+      throw new AppError(`Product ${productId} is listed more than once`, 400);
+    }
+    seen.add(productId);
+
+    if (!ordered.has(productId)) {
+      throw new AppError(`Product ${productId} is not on this order`, 400);
+    }
+    if (Number(item.quantity) > ordered.get(productId)) {
+      throw new AppError(`Delivered quantity for product ${productId} is more than the ${ordered.get(productId)} ordered`, 400);
+    }
+  }
+};
+
+// Record the outcome of a stop. Delivered and partial stops deliver the
+// order (a partial delivery first reduces the order to what was handed
+// over); a failed stop leaves the order out for delivery for an admin to
+// reschedule or cancel.
+export const completeStop = async (client, stopId, agentId, { outcome, notes = null, failureReason = null, deliveredItems = [] }) => {
+  const stopResult = await client.query(`
+    SELECT ds.*, dr.status as route_status
+    FROM delivery_stops ds
+    JOIN delivery_routes dr ON ds.route_id = dr.id
+    WHERE ds.id = $1 AND dr.agent_id = $2
+    FOR UPDATE OF ds
+  `, [stopId, agentId]);
+
+  if (stopResult.rows.length === 0) {
+    throw new AppError('Stop not found', 404);
+  }
+
+  const stop = stopResult.rows[0];
+  if (stop.route_status !== 'in_progress') {
+    throw new AppError('Start the route before completing stops', 400);
+  }
+  if (stop.status !== 'pending') {
+    throw new AppError(`Stop has already been marked ${stop.status}`, 400);
+  }
+
+  const orderResult = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [stop.order_id]);
+  let order = orderResult.rows[0];
+  if (order.status !== 'out_for_delivery') {
+    throw new AppError(`Order is ${order.status} and can no longer be delivered on this route`, 400);
+  }
+
+  if (outcome === 'partial') {
+    await checkDeliveredItems(client, order.id, deliveredItems);
+    const changed = await applyOrderChanges(client, order, deliveredItems, { staffId: agentId });
+    order = changed.order;
+  }
+
+  if (outcome !== 'failed') {
+    order = await applyOrderStatusChange(client, order, 'delivered', {
+      staffId: agentId,
+      reason: outcome === 'partial' ? `Partially delivered${notes ? `: ${notes}` : ''}` : notes
+    });
+  }
+
+  const updatedStop = await client.query(`
+    UPDATE delivery_stops
+    SET status = $1, notes = $2, failure_reason = $3, delivered_items = $4,
+        completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $5
+    RETURNING *
+  `, [outcome, notes, failureReason, outcome === 'partial' ? JSON.stringify(deliveredItems) : null, stopId]);
+
+  await completeRouteIfDone(client, stop.route_id);
+
+  return { stop: updatedStop.rows[0], order };
+};
+
+// An order delivered or cancelled outside its route (by an admin, or by a
+// vendor pause) settles its pending stop: a delivered order closes the stop
+// as delivered and a cancelled one comes off the route, so the route can
+// still complete. Returns the stop, or null when there was none pending.
+export const closeOrderStop = async (client, order) => {
+  let stopResult;
+  if (order.status === 'delivered') {
+    stopResult = await client.query(`
+      UPDATE delivery_stops
+      SET status = 'delivered', notes = 'Delivered outside the route',
+          completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE order_id = $1 AND status = 'pending'
+      RETURNING *
+    `, [order.id]);
+  } else if (order.status === 'cancelled') {
+    stopResult = await client.query(`
+      DELETE FROM delivery_stops WHERE order_id = $1 AND status = 'pending' RETURNING *
+    `, [order.id]);
+  } else {
+    return null;
+  }
+
+  const stop = stopResult.rows[0];
+  if (!stop) {
+    return null;
+  }
+
+  await completeRouteIfDone(client, stop.route_id);
+  return stop;
+};
+
+// Give a failed stop another attempt. With a route ID the stop moves to
+// the end of that route (which must not have finished); without one it is
+// taken off its route so planRoutes() picks the order up again.
+export const rescheduleStop = async (client, stopId, routeId = null) => {
+  const stopResult = await client.query('SELECT * FROM delivery_stops WHERE id = $1 FOR UPDATE', [stopId]);
+  if (stopResult.rows.length === 0) {
+    throw new AppError('Stop not found', 404);
+  }
+
+  const stop = stopResult.rows[0];
+  if (stop.status !== 'failed') {
+    throw new AppError('Only failed stops can be rescheduled', 400);
+  }
+
+  if (!routeId) {
+    await client.query('DELETE FROM delivery_stops WHERE id = $1', [stopId]);
+    return { before: stop, stop: null };
+  }
+
+  const routeResult = await client.query('SELECT * FROM delivery_routes WHERE id = $1 FOR UPDATE', [routeId]);
+  if (routeResult.rows.length === 0) {
+    throw new AppError('Route not found', 404);
+  }
+  if (routeResult.rows[0].status === 'completed') {
+    throw new AppError('Route is already completed', 400);
+  }
+
+  const result = await client.query(`
+    UPDATE delivery_stops
+    SET route_id = $1,
+        sequence = (SELECT COALESCE(MAX(sequence), 0) + 1 FROM delivery_stops WHERE route_id = $1),
+        status = 'pending', failure_reason = NULL, completed_at = NULL, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $2
+    RETURNING *
+  `, [routeId, stopId]);
+
+  return { before: stop, stop: result.rows[0] };
+};
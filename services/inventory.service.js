@@ -0,0 +1,207 @@
+import { query } from '../config/database.js';
+import { emitToAdmins } from './realtime.service.js';
+
+// Stock ledger. Every change to products.stock_quantity or
+// products.reserved_quantity goes through here and is recorded as a row
+// in stock_movements. All functions take a transaction client so the
+// ledger entry commits or rolls back with the change that caused it.
+
+const recordMovement = (client, { productId, movementType, quantity, orderId = null, returnRequestId = null, staffId = null, notes = null }) => client.query(`
+  INSERT INTO stock_movements (product_id, movement_type, quantity, order_id, return_request_id, created_by, notes)
+  VALUES ($1, $2, $3, $4, $5, $6, $7)
+`, [productId, movementType, quantity, orderId, returnRequestId, staffId, notes]);
+
+// Reserve stock for a freshly generated order. Reservations always go
+// through; items that exceed the available quantity are marked short and
+// the order is flagged so packing can see it cannot be fully fulfilled.
+// Product rows are updated (and so locked) in product ID order, as in
+// consumeOrderStock and releaseOrderStock, so concurrent orders sharing
+// products cannot deadlock.
+export const reserveOrderStock = async (client, orderId) => {
+  const itemsResult = await client.query(`
+    SELECT id, product_id, quantity FROM order_items WHERE order_id = $1 ORDER BY product_id, id
+  `, [orderId]);
+
+  const shortages = [];
+  for (const item of itemsResult.rows) {
+    const productResult = await client.query(`
+      UPDATE products
+      SET reserved_quantity = reserved_quantity + $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING stock_quantity, reserved_quantity
+    `, [item.quantity, item.product_id]);
+
+    const { stock_quantity, reserved_quantity } = productResult.rows[0];
+    const overBy = Number(reserved_quantity) - Number(stock_quantity);
+    const shortQuantity = Math.min(Math.max(overBy, 0), Number(item.quantity));
+
+    if (shortQuantity > 0) {
+      await client.query('UPDATE order_items SET short_quantity = $1 WHERE id = $2', [shortQuantity, item.id]);
+      shortages.push({ product_id: item.product_id, short_quantity: shortQuantity });
+    }
+
+    await recordMovement(client, {
+      productId: item.product_id,
+      movementType: 'reservation',
+      quantity: item.quantity,
+      orderId
+    });
+  }
+
+  await client.query(`
+    UPDATE orders SET stock_status = 'reserved', has_stock_shortage = $1
+    WHERE id = $2
+  `, [shortages.length > 0, orderId]);
+
+  return shortages;
+};
+
+// Move an order's reservation out of stock once it is delivered
+export const consumeOrderStock = async (client, orderId, staffId) => {
+  const itemsResult = await client.query('SELECT product_id, quantity FROM order_items WHERE order_id = $1 ORDER BY product_id', [orderId]);
+
+  for (const item of itemsResult.rows) {
+    await client.query(`
+      UPDATE products
+      SET stock_quantity = GREATEST(stock_quantity - $1, 0),
+          reserved_quantity = GREATEST(reserved_quantity - $1, 0),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+    `, [item.quantity, item.product_id]);
+
+    await recordMovement(client, {
+      productId: item.product_id,
+      movementType: 'consumption',
+      quantity: item.quantity,
+      orderId,
+      staffId
+    });
+  }
+
+  await client.query(`UPDATE orders SET stock_status = 'consumed' WHERE id = $1`, [orderId]);
+};
+
+// Give a cancelled order's reservation back to available stock
+export const releaseOrderStock = async (client, orderId, staffId) => {
+  const itemsResult = await client.query('SELECT product_id, quantity FROM order_items WHERE order_id = $1 ORDER BY product_id', [orderId]);
+
+  for (const item of itemsResult.rows) {
+    await client.query(`
+      UPDATE products
+      SET reserved_quantity = GREATEST(reserved_quantity - $1, 0), updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+    `, [item.quantity, item.product_id]);
+
+    await recordMovement(client, {
+      productId: item.product_id,
+      movementType: 'release',
+      quantity: item.quantity,
+      orderId,
+      staffId
+    });
+  }
+
+  await client.query(`UPDATE orders SET stock_status = 'released' WHERE id = $1`, [orderId]);
+};
+
+// Apply the stock side of an order status change. Only orders that still
+// hold a reservation are affected, so repeated updates are harmless.
+export const applyOrderStatusToStock = async (client, order, status, staffId) => {
+  if (order.stock_status !== 'reserved') {
+    return;
+  }
+
+  if (status === 'delivered') {
+    await consumeOrderStock(client, order.id, staffId);
+  } else if (status === 'cancelled') {
+    await releaseOrderStock(client, order.id, staffId);
+  }
+};
+
+// Put returned goods back on the shelf once a return is approved. A
+// return is restocked at most once, however often it is processed.
+export const restockReturn = async (client, returnRequest, staffId) => {
+  const restockedResult = await client.query(`
+    SELECT id FROM stock_movements
+    WHERE return_request_id = $1 AND movement_type = 'restock'
+    LIMIT 1
+  `, [returnRequest.id]);
+  if (restockedResult.rows.length > 0) {
+    return;
+  }
+
+  await client.query(`
+    UPDATE products
+    SET stock_quantity = stock_quantity + $1, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $2
+  `, [returnRequest.quantity, returnRequest.product_id]);
+
+  await recordMovement(client, {
+    productId: returnRequest.product_id,
+    movementType: 'restock',
+    quantity: returnRequest.quantity,
+    returnRequestId: returnRequest.id,
+    staffId
+  });
+};
+
+// Record a manual stock count as the difference from the previous level
+export const adjustStock = async (client, productId, stockQuantity, staffId) => {
+  const currentResult = await client.query('SELECT stock_quantity FROM products WHERE id = $1 FOR UPDATE', [productId]);
+  if (currentResult.rows.length === 0) {
+    return null;
+  }
+
+  const result = await client.query(`
+    UPDATE products
+    SET stock_quantity = $1, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $2
+    RETURNING *
+  `, [stockQuantity, productId]);
+
+  const delta = Number(stockQuantity) - Number(currentResult.rows[0].stock_quantity);
+  if (delta !== 0) {
+    await recordMovement(client, {
+      productId,
+      movementType: 'adjustment',
+      quantity: delta,
+      staffId
+    });
+  }
+
+  return result.rows[0];
+};
+
+// Alert admins about any of the given products that are now at or below
+// their minimum stock level. Call after the stock change has committed.
+// Like the other realtime events this is best effort: a failure is logged,
+// never thrown, so it cannot turn a saved change into an error response.
+export const emitLowStockAlerts = async (productIds) => {
+  if (productIds.length === 0) {
+    return;
+  }
+
+  try {
+    const result = await query(`
+      SELECT id, name, unit, stock_quantity, reserved_quantity, min_stock_level
+      FROM products
+      WHERE id = ANY($1::INTEGER[]) AND is_active = true AND stock_quantity <= min_stock_level
+    `, [productIds]);
+
+    for (const product of result.rows) {
+      emitToAdmins('stock:low', product);
+    }
+  } catch (error) {
+    console.error('Low stock alert error:', error);
+  }
+};
+
+// The same for every product on an order
+export const emitOrderLowStockAlerts = async (orderId) => {
+  try {
+    const itemsResult = await query('SELECT DISTINCT product_id FROM order_items WHERE order_id = $1', [orderId]);
+    await emitLowStockAlerts(itemsResult.rows.map((item) => item.product_id));
+  } catch (error) {
+    console.error('Low stock alert error:', error);
+  }
+};
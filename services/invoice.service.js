@@ -0,0 +1,149 @@
+import moment from 'moment';
+import { postLedgerEntry } from './ledger.service.js';
+
+const INVOICE_DUE_DAYS = parseInt(process.env.INVOICE_DUE_DAYS) || 7;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatDate = (value) => moment(value).format('YYYY-MM-DD');
+
+// Create the invoice and its pending payment for a delivered order.
+// Safe to call more than once: an order only ever gets one invoice.
+export const createInvoiceForOrder = async (client, orderId, staffId) => {
+  const existingResult = await client.query('SELECT * FROM invoices WHERE order_id = $1', [orderId]);
+  if (existingResult.rows.length > 0) {
+    return existingResult.rows[0];
+  }
+
+  const orderResult = await client.query('SELECT * FROM orders WHERE id = $1', [orderId]);
+  const order = orderResult.rows[0];
+
+  const itemsResult = await client.query(`
+    SELECT oi.*, p.name as product_name, p.unit, p.tax_rate
+    FROM order_items oi
+    JOIN products p ON oi.product_id = p.id
+    WHERE oi.order_id = $1
+  `, [orderId]);
+
+  const lines = itemsResult.rows.map((item) => {
+    const lineTotal = Number(item.total_price);
+    const taxRate = Number(item.tax_rate) || 0;
+    return {
+      product_id: item.product_id,
+      description: item.product_name,
+      unit: item.unit,
+      quantity: item.quantity,
+      unit_price: item.unit_price,
+      line_total: lineTotal,
+      tax_rate: taxRate,
+      tax_amount: round(lineTotal * taxRate / 100)
+    };
+  });
+
+  const subtotal = round(lines.reduce((sum, line) => sum + line.line_total, 0));
+  const taxAmount = round(lines.reduce((sum, line) => sum + line.tax_amount, 0));
+  const totalAmount = round(subtotal + taxAmount);
+
+  const invoiceResult = await client.query(`
+    INSERT INTO invoices (invoice_number, order_id, vendor_id, issue_date, due_date, subtotal, tax_amount, total_amount)
+    VALUES (
+      'INV-' || TO_CHAR(CURRENT_DATE, 'YYYYMM') || '-' || LPAD(nextval('invoice_number_seq')::TEXT, 6, '0'),
+      $1, $2, CURRENT_DATE, CURRENT_DATE + $3::INTEGER, $4, $5, $6
+    )
+    RETURNING *
+  `, [orderId, order.vendor_id, INVOICE_DUE_DAYS, subtotal, taxAmount, totalAmount]);
+
+  const invoice = invoiceResult.rows[0];
+
+  for (const line of lines) {
+    await client.query(`
+      INSERT INTO invoice_lines (invoice_id, product_id, description, unit, quantity, unit_price, line_total, tax_rate, tax_amount)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    `, [invoice.id, line.product_id, line.description, line.unit, line.quantity, line.unit_price, line.line_total, line.tax_rate, line.tax_amount]);
+  }
+
+  await client.query(`
+    INSERT INTO payments (vendor_id, order_id, invoice_id, amount, payment_status, notes)
+    VALUES ($1, $2, $3, $4, 'pending', $5)
+  `, [order.vendor_id, orderId, invoice.id, totalAmount, `Invoice ${invoice.invoice_number}`]);
+
+  // The order total was charged at generation; only the tax is new here
+  if (taxAmount > 0) {
+    await postLedgerEntry(client, {
+      vendorId: order.vendor_id,
+      entryType: 'debit',
+      amount: taxAmount,
+      orderId,
+      description: `Tax on invoice ${invoice.invoice_number}`,
+      staffId
+    });
+  }
+
+  return invoice;
+};
+
+export const renderInvoiceHtml = (invoice, lines, vendor) => {
+  const rows = lines.map((line) => `
+        <tr>
+          <td>${escapeHtml(line.description)}</td>
+          <td class="num">${escapeHtml(line.quantity)} ${escapeHtml(line.unit)}</td>
+          <td class="num">₹${escapeHtml(line.unit_price)}</td>
+          <td class="num">${escapeHtml(line.tax_rate)}%</td>
+          <td class="num">₹${escapeHtml(line.tax_amount)}</td>
+          <td class="num">₹${escapeHtml(line.line_total)}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Invoice ${escapeHtml(invoice.invoice_number)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; margin: 40px; color: #222; }
+    table { width: 100%; border-collapse: collapse; margin-top: 24px; }
+    th, td { border-bottom: 1px solid #ddd; padding: 8px; text-align: left; }
+    .num { text-align: right; }
+    .totals td { border: none; }
+  </style>
+</head>
+<body>
+  <h1>Invoice ${escapeHtml(invoice.invoice_number)}</h1>
+  <p>
+    Issued: ${formatDate(invoice.issue_date)}<br>
+    Due: ${formatDate(invoice.due_date)}<br>
+    Order: #${escapeHtml(invoice.order_id)}
+  </p>
+  <p>
+    <strong>${escapeHtml(vendor.name)}</strong><br>
+    ${escapeHtml(vendor.address)}<br>
+    ${escapeHtml(vendor.city)} ${escapeHtml(vendor.pincode)}<br>
+    ${escapeHtml(vendor.phone)}
+  </p>
+  <table>
+    <thead>
+      <tr>
+        <th>Item</th>
+        <th class="num">Quantity</th>
+        <th class="num">Rate</th>
+        <th class="num">Tax %</th>
+        <th class="num">Tax</th>
+        <th class="num">Amount</th>
+      </tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+  <table class="totals">
+    <tr><td class="num">Subtotal</td><td class="num">₹${escapeHtml(invoice.subtotal)}</td></tr>
+    <tr><td class="num">Tax</td><td class="num">₹${escapeHtml(invoice.tax_amount)}</td></tr>
+    <tr><td class="num"><strong>Total</strong></td><td class="num"><strong>₹${escapeHtml(invoice.total_amount)}</strong></td></tr>
+  </table>
+</body>
+</html>`;
+};
@@ -0,0 +1,80 @@
+import moment from 'moment';
+
+// Vendor account ledger. Debits are amounts the vendor owes (delivered
+// goods), credits reduce what they owe (payments, reversals).
+// vendors.current_balance always equals the balance_after of the latest
+// entry, so it can be read without summing the ledger.
+
+// "hold" keeps an over-limit order for admin approval, "reject" refuses it
+export const CREDIT_LIMIT_ACTION = process.env.CREDIT_LIMIT_ACTION === 'reject' ? 'reject' : 'hold';
+
+export const postLedgerEntry = async (client, { vendorId, entryType, amount, orderId = null, paymentId = null, description, staffId = null }) => {
+  const signedAmount = entryType === 'debit' ? Number(amount) : -Number(amount);
+
+  const vendorResult = await client.query(`
+    UPDATE vendors
+    SET current_balance = current_balance + $1, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $2
+    RETURNING current_balance
+  `, [signedAmount, vendorId]);
+
+  const result = await client.query(`
+    INSERT INTO vendor_ledger (vendor_id, entry_type, amount, order_id, payment_id, description, balance_after, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING *
+  `, [vendorId, entryType, amount, orderId, paymentId, description, vendorResult.rows[0].current_balance, staffId]);
+
+  return result.rows[0];
+};
+
+// Would charging `amount` keep the vendor within their credit limit?
+// A limit of 0 means no limit has been set for the vendor.
+export const checkCredit = async (client, vendorId, amount) => {
+  const result = await client.query(`
+    SELECT credit_limit, current_balance FROM vendors WHERE id = $1 FOR UPDATE
+  `, [vendorId]);
+
+  const creditLimit = Number(result.rows[0].credit_limit);
+  const balance = Number(result.rows[0].current_balance);
+
+  return {
+    within_limit: creditLimit <= 0 || balance + Number(amount) <= creditLimit,
+    credit_limit: creditLimit,
+    current_balance: balance,
+    available_credit: creditLimit > 0 ? Math.max(creditLimit - balance, 0) : null
+  };
+};
+
+// Post the charge for an order
+export const debitOrder = (client, order, staffId) => postLedgerEntry(client, {
+  vendorId: order.vendor_id,
+  entryType: 'debit',
+  amount: order.total_amount,
+  orderId: order.id,
+  description: `Order #${order.id} for ${moment(order.order_date).format('YYYY-MM-DD')}`,
+  staffId
+});
+
+// Undo whatever has been charged for an order, e.g. when it is cancelled
+export const reverseOrderCharges = async (client, orderId, staffId) => {
+  const netResult = await client.query(`
+    SELECT vendor_id,
+           SUM(CASE WHEN entry_type = 'debit' THEN amount ELSE -amount END) as net_amount
+    FROM vendor_ledger
+    WHERE order_id = $1 AND payment_id IS NULL
+    GROUP BY vendor_id
+  `, [orderId]);
+
+  if (netResult.rows.length === 0 || Number(netResult.rows[0].net_amount) <= 0) {
+    return null;
+  }
+
+  return postLedgerEntry(client, {
+    vendorId: netResult.rows[0].vendor_id,
+    entryType: 'credit',
+    amount: netResult.rows[0].net_amount,
+    orderId,
+    description: `Reversal for cancelled order #${orderId}`,
+    staffId
+  });
+};
@@ -0,0 +1,122 @@
+import { query } from '../config/database.js';
+import { getProvider } from './notification-providers.js';
+
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_SECONDS = parseInt(process.env.NOTIFICATION_RETRY_BASE_SECONDS) || 60;
+
+const recipientFor = (channel, vendor) => (channel === 'email' ? vendor.email : vendor.phone);
+
+// Try one delivery once. Failures are logged and rescheduled with
+// exponential backoff until the attempt limit is reached.
+export const attemptDelivery = async (delivery) => {
+  const attempt = delivery.attempts + 1;
+
+  try {
+    const provider = getProvider(delivery.channel);
+    const result = await provider.send({
+      to: delivery.recipient,
+      subject: delivery.subject,
+      message: delivery.message
+    });
+
+    const updated = await query(`
+      UPDATE notification_deliveries
+      SET status = 'sent', attempts = $1, provider = $2, provider_message_id = $3,
+          last_error = NULL, next_attempt_at = NULL, sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4
+      RETURNING *
+    `, [attempt, provider.name, result?.provider_message_id || null, delivery.id]);
+
+    return updated.rows[0];
+  } catch (error) {
+    await query(`
+      INSERT INTO notification_delivery_failures (delivery_id, attempt, error)
+      VALUES ($1, $2, $3)
+    `, [delivery.id, attempt, error.message]);
+
+    const exhausted = attempt >= delivery.max_attempts;
+    const backoffSeconds = RETRY_BASE_SECONDS * 2 ** (attempt - 1);
+
+    const updated = await query(`
+      UPDATE notification_deliveries
+      SET status = $1, attempts = $2, last_error = $3,
+          next_attempt_at = CASE WHEN $1 = 'retrying' THEN CURRENT_TIMESTAMP + $4 * INTERVAL '1 second' END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $5
+      RETURNING *
+    `, [exhausted ? 'failed' : 'retrying', attempt, error.message, backoffSeconds, delivery.id]);
+
+    return updated.rows[0];
+  }
+};
+
+// Create a delivery for a notification sent over email, SMS or WhatsApp
+// and make the first attempt straight away. In-app notifications need no
+// delivery and return null.
+export const deliverNotification = async (notification) => {
+  if (!notification.sent_via || notification.sent_via === 'app') {
+    return null;
+  }
+
+  const vendorResult = await query('SELECT email, phone FROM vendors WHERE id = $1', [notification.vendor_id]);
+  const recipient = vendorResult.rows.length > 0 ? recipientFor(notification.sent_via, vendorResult.rows[0]) : null;
+
+  const deliveryResult = await query(`
+    INSERT INTO notification_deliveries (notification_id, channel, recipient, subject, message, status, max_attempts)
+    VALUES ($1, $2, $3, $4, $5, 'pending', $6)
+    RETURNING *
+  `, [notification.id, notification.sent_via, recipient, notification.title, notification.message, MAX_ATTEMPTS]);
+
+  const delivery = deliveryResult.rows[0];
+
+  if (!recipient) {
+    await query(`
+      INSERT INTO notification_delivery_failures (delivery_id, attempt, error)
+      VALUES ($1, 0, $2)
+    `, [delivery.id, `Vendor has no ${notification.sent_via === 'email' ? 'email address' : 'phone number'}`]);
+
+    const failed = await query(`
+      UPDATE notification_deliveries
+      SET status = 'failed', last_error = 'Missing recipient', updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [delivery.id]);
+
+    return failed.rows[0];
+  }
+
+  return attemptDelivery(delivery);
+};
+
+// Retry every delivery whose backoff has elapsed. Run periodically by the scheduler.
+export const processDueDeliveries = async () => {
+  const dueResult = await query(`
+    SELECT * FROM notification_deliveries
+    WHERE status = 'retrying' AND next_attempt_at <= CURRENT_TIMESTAMP
+    ORDER BY next_attempt_at
+    LIMIT 100
+  `);
+
+  const results = [];
+  for (const delivery of dueResult.rows) {
+    results.push(await attemptDelivery(delivery));
+  }
+
+  return results;
+};
+
+// Give a failed delivery a fresh set of attempts (admin action)
+export const retryDelivery = async (deliveryId) => {
+  const result = await query(`
+    UPDATE notification_deliveries
+    SET attempts = 0, status = 'pending', updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND status IN ('failed', 'retrying') AND recipient IS NOT NULL
+    RETURNING *
+  `, [deliveryId]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  return attemptDelivery(result.rows[0]);
+};
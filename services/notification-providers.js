@@ -0,0 +1,148 @@
+import nodemailer from 'nodemailer';
+import twilio from 'twilio';
+
+// One provider per delivery channel. A provider is any object with
+// send({ to, subject, message }) resolving to { provider_message_id }
+// and rejecting when delivery fails. Real providers are built from the
+// EMAIL_* and TWILIO_* settings. A channel without settings fails every
+// delivery, unless NOTIFICATION_PROVIDER=console is set outside production
+// to print messages instead. Tests can install a fake with setProvider().
+
+export const CHANNELS = ['email', 'sms', 'whatsapp'];
+
+const isEmailConfigured = () => Boolean(process.env.EMAIL_HOST && process.env.EMAIL_USER && process.env.EMAIL_PASS);
+
+const isTwilioConfigured = () => Boolean(
+  process.env.TWILIO_ACCOUNT_SID?.startsWith('AC')
+  && process.env.TWILIO_AUTH_TOKEN
+  && process.env.TWILIO_PHONE_NUMBER
+);
+
+export const createEmailProvider = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.EMAIL_HOST,
+    port: parseInt(process.env.EMAIL_PORT) || 587,
+    secure: parseInt(process.env.EMAIL_PORT) === 465,
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS
+    }
+  });
+
+  return {
+    name: 'smtp',
+    async send({ to, subject, message }) {
+      const info = await transporter.sendMail({
+        from: process.env.EMAIL_USER,
+        to,
+        subject,
+        text: message
+      });
+      return { provider_message_id: info.messageId };
+    }
+  };
+};
+
+const createTwilioProvider = (name, formatAddress) => {
+  const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+
+  return {
+    name,
+    async send({ to, subject, message }) {
+      const result = await client.messages.create({
+        from: formatAddress(process.env.TWILIO_PHONE_NUMBER),
+        to: formatAddress(to),
+        body: subject ? `${subject}\n${message}` : message
+      });
+      return { provider_message_id: result.sid };
+    }
+  };
+};
+
+export const createSmsProvider = () => createTwilioProvider('twilio-sms', (number) => number);
+
+export const createWhatsAppProvider = () => createTwilioProvider('twilio-whatsapp', (number) => `whatsapp:${number}`);
+
+export const createConsoleProvider = (channel) => ({
+  name: 'console',
+  async send({ to, subject, message }) {
+    console.log(`📨 [${channel} to ${to}] ${subject ? `${subject}: ` : ''}${message}`);
+    return { provider_message_id: null };
+  }
+});
+
+// In-memory transport for tests. Messages are kept in `sent`; queue
+// errors with failNext() to exercise retries.
+export const createFakeProvider = () => {
+  const pendingFailures = [];
+  return {
+    name: 'fake',
+    sent: [],
+    failNext(error = new Error('Fake delivery failure')) {
+      pendingFailures.push(error);
+    },
+    async send(payload) {
+      if (pendingFailures.length > 0) {
+        throw pendingFailures.shift();
+      }
+      this.sent.push(payload);
+      return { provider_message_id: `fake-${this.sent.length}` };
+    }
+  };
+};
+
+// Printing messages exposes OTPs and links in the logs, so the console
+// provider has to be asked for and is never used in production
+const isConsoleEnabled = () => process.env.NOTIFICATION_PROVIDER === 'console'
+  && process.env.NODE_ENV !== 'production';
+
+const createUnconfiguredProvider = (channel) => ({
+  name: 'unconfigured',
+  async send() {
+    throw new Error(`No ${channel} provider is configured`);
+  }
+});
+
+const buildDefaultProvider = (channel) => {
+  if (channel === 'email' && isEmailConfigured()) {
+    return createEmailProvider();
+  }
+  if (channel === 'sms' && isTwilioConfigured()) {
+    return createSmsProvider();
+  }
+  if (channel === 'whatsapp' && isTwilioConfigured()) {
+    return createWhatsAppProvider();
+  }
+  if (isConsoleEnabled()) {
+    return createConsoleProvider(channel);
+  }
+  return createUnconfiguredProvider(channel);
+};
+
+const providers = {};
+
+export const getProvider = (channel) => {
+  if (!CHANNELS.includes(channel)) {
+    throw new Error(`Unknown delivery channel: ${channel}`);
+  }
+  if (!providers[channel]) {
+    providers[channel] = buildDefaultProvider(channel);
+  }
+  return providers[channel];
+};
+
+export const setProvider = (channel, provider) => {
+  if (!CHANNELS.includes(channel)) {
+    throw new Error(`Unknown delivery channel: ${channel}`);
+  }
+  if (!provider || typeof provider.send !== 'function') {
+    throw new Error('Provider must implement send({ to, subject, message })');
+  }
+  providers[channel] = provider;
+};
+
+export const resetProviders = () => {
+  for (const channel of CHANNELS) {
+    delete providers[channel];
+  }
+};
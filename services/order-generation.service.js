@@ -0,0 +1,209 @@
+import { query, withTransaction } from '../config/database.js';
+import { reserveOrderStock } from './inventory.service.js';
+import { checkCredit, debitOrder, CREDIT_LIMIT_ACTION } from './ledger.service.js';
+import { emitToAdmins, emitToVendor } from './realtime.service.js';
+import { recordStatusHistory } from './order-status.service.js';
+import { getScheduledNeeds } from './daily-needs.service.js';
+import { getPausedVendorIds } from './vendor-pause.service.js';
+import { getEffectivePrices } from './product-price.service.js';
+
+// Collect the items a vendor should receive on the given date from their
+// daily needs plus any extra orders placed for that day.
+const buildOrderItems = async (vendorId, orderDate) => {
+  const dailyNeeds = await getScheduledNeeds(orderDate, { vendorId });
+
+  const extraOrdersResult = await query(`
+    SELECT eo.*, p.name as product_name, p.price, p.unit
+    FROM extra_orders eo
+    JOIN products p ON eo.product_id = p.id
+    WHERE eo.vendor_id = $1 AND eo.order_date = $2 AND eo.status = 'approved' AND p.is_active = true
+  `, [vendorId, orderDate]);
+
+  // Charge the price effective on the order date, which may differ from
+  // today's price when a price change has been scheduled
+  const rows = [...dailyNeeds, ...extraOrdersResult.rows];
+  const prices = await getEffectivePrices(rows.map((row) => row.product_id), orderDate);
+
+  return rows.map((row) => {
+    const unitPrice = prices.get(row.product_id) ?? Number(row.price);
+    return {
+      product_id: row.product_id,
+      quantity: row.quantity,
+      unit_price: unitPrice,
+      total_price: row.quantity * unitPrice
+    };
+  });
+};
+
+// Build pending orders for every active vendor with daily needs on the
+// given date. Shared by the admin endpoint and the nightly scheduler.
+//
+// Each vendor's order and its items are written in one transaction, and
+// the unique index on (vendor_id, order_date) for daily orders makes a
+// second run for the same date report the existing order instead of
+// creating a duplicate.
+export const generateDailyOrders = async (orderDate) => {
+  const report = {
+    order_date: orderDate,
+    created: [],
+    already_present: [],
+    held: [],
+    skipped: [],
+    failed: []
+  };
+
+  // Get all active vendors with daily needs
+  const vendorsResult = await query(`
+    SELECT DISTINCT v.id, v.name, v.address
+    FROM vendors v
+    JOIN daily_needs dn ON v.id = dn.vendor_id
+    WHERE v.is_active = true
+  `);
+
+  const existingResult = await query(`
+    SELECT id, vendor_id FROM orders
+    WHERE order_date = $1 AND order_type = 'daily'
+  `, [orderDate]);
+  const existingByVendor = new Map(existingResult.rows.map((row) => [row.vendor_id, row.id]));
+  const pausedVendorIds = await getPausedVendorIds(orderDate);
+
+  for (const vendor of vendorsResult.rows) {
+    if (existingByVendor.has(vendor.id)) {
+      report.already_present.push({
+        vendor_id: vendor.id,
+        vendor_name: vendor.name,
+        order_id: existingByVendor.get(vendor.id)
+      });
+      continue;
+    }
+
+    if (pausedVendorIds.has(vendor.id)) {
+      report.skipped.push({ vendor_id: vendor.id, vendor_name: vendor.name, reason: 'paused' });
+      continue;
+    }
+
+    try {
+      // Check if order is cancelled for this date
+      const cancelledResult = await query(`
+        SELECT id FROM cancelled_orders
+        WHERE vendor_id = $1 AND cancel_date = $2
+      `, [vendor.id, orderDate]);
+
+      if (cancelledResult.rows.length > 0) {
+        report.skipped.push({ vendor_id: vendor.id, vendor_name: vendor.name, reason: 'cancelled' });
+        continue;
+      }
+
+      const orderItems = await buildOrderItems(vendor.id, orderDate);
+      if (orderItems.length === 0) {
+        report.skipped.push({ vendor_id: vendor.id, vendor_name: vendor.name, reason: 'no_active_items' });
+        continue;
+      }
+
+      const totalAmount = orderItems.reduce((sum, item) => sum + item.total_price, 0);
+
+      const order = await withTransaction(async (client) => {
+        const credit = await checkCredit(client, vendor.id, totalAmount);
+        if (!credit.within_limit && CREDIT_LIMIT_ACTION === 'reject') {
+          return { rejected: true, credit };
+        }
+
+        const status = credit.within_limit ? 'pending' : 'on_hold';
+
+        const orderResult = await client.query(`
+          INSERT INTO orders (vendor_id, order_date, total_amount, status, delivery_address, order_type)
+          VALUES ($1, $2, $3, $4, $5, 'daily')
+          ON CONFLICT (vendor_id, order_date) WHERE order_type = 'daily' DO NOTHING
+          RETURNING *
+        `, [vendor.id, orderDate, totalAmount, status, vendor.address]);
+
+        // Another run created the order between our check and the insert
+        if (orderResult.rows.length === 0) {
+          return null;
+        }
+
+        const createdOrder = orderResult.rows[0];
+
+        await recordStatusHistory(client, {
+          orderId: createdOrder.id,
+          toStatus: status,
+          reason: status === 'on_hold' ? 'Credit limit exceeded' : 'Generated from daily needs'
+        });
+
+        for (const item of orderItems) {
+          await client.query(`
+            INSERT INTO order_items (order_id, product_id, quantity, unit_price, total_price)
+            VALUES ($1, $2, $3, $4, $5)
+          `, [createdOrder.id, item.product_id, item.quantity, item.unit_price, item.total_price]);
+        }
+
+        const shortages = await reserveOrderStock(client, createdOrder.id);
+
+        // Held orders are only charged once an admin approves them
+        if (status === 'pending') {
+          await debitOrder(client, createdOrder);
+        }
+
+        return { ...createdOrder, shortages, credit };
+      });
+
+      if (!order) {
+        report.already_present.push({ vendor_id: vendor.id, vendor_name: vendor.name });
+        continue;
+      }
+
+      if (order.rejected) {
+        report.skipped.push({
+          vendor_id: vendor.id,
+          vendor_name: vendor.name,
+          reason: 'credit_limit_exceeded',
+          total_amount: totalAmount,
+          available_credit: order.credit.available_credit
+        });
+        continue;
+      }
+
+      emitToVendor(vendor.id, 'order:created', {
+        order_id: order.id,
+        order_date: orderDate,
+        status: order.status,
+        total_amount: totalAmount,
+        item_count: orderItems.length
+      });
+
+      if (order.status === 'on_hold') {
+        report.held.push({
+          order_id: order.id,
+          vendor_id: vendor.id,
+          vendor_name: vendor.name,
+          total_amount: totalAmount,
+          available_credit: order.credit.available_credit
+        });
+        continue;
+      }
+
+      report.created.push({
+        order_id: order.id,
+        vendor_id: vendor.id,
+        vendor_name: vendor.name,
+        total_amount: totalAmount,
+        item_count: orderItems.length,
+        stock_shortages: order.shortages
+      });
+    } catch (error) {
+      console.error(`Generate order for vendor ${vendor.id} failed:`, error);
+      report.failed.push({ vendor_id: vendor.id, vendor_name: vendor.name, error: error.message });
+    }
+  }
+
+  emitToAdmins('orders:generated', {
+    order_date: orderDate,
+    created: report.created.length,
+    held: report.held.length,
+    already_present: report.already_present.length,
+    skipped: report.skipped.length,
+    failed: report.failed.length
+  });
+
+  return report;
+};
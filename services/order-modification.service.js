@@ -0,0 +1,216 @@
+import moment from 'moment';
+import { businessMoment } from '../utils/dates.js';
+import { AppError } from '../utils/errors.js';
+import { releaseOrderStock, reserveOrderStock } from './inventory.service.js';
+import { checkCredit, postLedgerEntry } from './ledger.service.js';
+import { getEffectivePrices } from './product-price.service.js';
+
+// Vendors may change a pending order until ORDER_CUTOFF_TIME on the day
+// before its order date. After that, ORDER_CUTOFF_ACTION decides whether
+// the change is refused ("refuse") or saved as a change request for an
+// admin to approve ("request").
+export const ORDER_CUTOFF_TIME = process.env.ORDER_CUTOFF_TIME || '23:00';
+export const ORDER_CUTOFF_ACTION = process.env.ORDER_CUTOFF_ACTION === 'refuse' ? 'refuse' : 'request';
+
+// Statuses an admin can still apply an approved change to
+const ADMIN_MODIFIABLE_STATUSES = ['pending', 'processing'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// The cutoff is a time of day in CRON_TIMEZONE, like the jobs that
+// generate and pack the orders, not in the server's local time zone
+export const getModificationCutoff = (orderDate) => businessMoment(
+  moment(orderDate).subtract(1, 'day').format('YYYY-MM-DD'),
+  ORDER_CUTOFF_TIME
+);
+
+export const isBeforeCutoff = (orderDate, now = moment()) => now.isBefore(getModificationCutoff(orderDate));
+
+// Work out the order's items after the changes without touching the
+// database. Each change sets a product's total quantity; 0 removes it.
+// A product can have several lines (a daily need and an extra order);
+// untouched lines are kept as they are, and a changed product becomes one
+// line at the average unit price of its old lines. Added products are
+// charged the price effective on the order date.
+const planItems = async (client, order, changes) => {
+  const itemsResult = await client.query('SELECT * FROM order_items WHERE order_id = $1 ORDER BY id', [order.id]);
+  const items = new Map();
+  for (const item of itemsResult.rows) {
+    items.set(item.product_id, [...(items.get(item.product_id) || []), { ...item }]);
+  }
+
+  for (const change of changes) {
+    const productId = parseInt(change.product_id);
+    const quantity = Number(change.quantity);
+    const existing = items.get(productId);
+
+    if (quantity === 0) {
+      items.delete(productId);
+    } else if (existing) {
+      const oldQuantity = existing.reduce((sum, line) => sum + Number(line.quantity), 0);
+      const oldTotal = existing.reduce((sum, line) => sum + Number(line.total_price), 0);
+      const unitPrice = oldQuantity > 0 ? round(oldTotal / oldQuantity) : Number(existing[0].unit_price);
+      items.set(productId, [{
+        product_id: productId,
+        quantity,
+        unit_price: unitPrice,
+        total_price: round(quantity * unitPrice)
+      }]);
+    } else {
+      const productResult = await client.query('SELECT id FROM products WHERE id = $1 AND is_active = true', [productId]);
+      if (productResult.rows.length === 0) {
+        throw new AppError(`Product ${productId} is not available`, 400);
+      }
+
+      const prices = await getEffectivePrices([productId], moment(order.order_date).format('YYYY-MM-DD'), client);
+      const unitPrice = prices.get(productId);
+      items.set(productId, [{
+        product_id: productId,
+        quantity,
+        unit_price: unitPrice,
+        total_price: round(quantity * unitPrice)
+      }]);
+    }
+  }
+
+  if (items.size === 0) {
+    throw new AppError('An order must keep at least one item', 400);
+  }
+
+  return [...items.values()].flat();
+};
+
+// Replace a locked order's items, recalculate its total, move the stock
+// reservation and post the difference to the vendor's ledger.
+export const applyOrderChanges = async (client, order, changes, { staffId = null, enforceCreditLimit = false } = {}) => {
+  const plannedItems = await planItems(client, order, changes);
+  const newTotal = round(plannedItems.reduce((sum, item) => sum + Number(item.total_price), 0));
+  const difference = round(newTotal - Number(order.total_amount));
+
+  if (enforceCreditLimit && difference > 0) {
+    const credit = await checkCredit(client, order.vendor_id, difference);
+    if (!credit.within_limit) {
+      throw new AppError('This change would exceed your credit limit', 400, credit);
+    }
+  }
+
+  const wasReserved = order.stock_status === 'reserved';
+  if (wasReserved) {
+    await releaseOrderStock(client, order.id, staffId);
+  }
+
+  await client.query('DELETE FROM order_items WHERE order_id = $1', [order.id]);
+  for (const item of plannedItems) {
+    await client.query(`
+      INSERT INTO order_items (order_id, product_id, quantity, unit_price, total_price)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [order.id, item.product_id, item.quantity, item.unit_price, item.total_price]);
+  }
+
+  await client.query(`
+    UPDATE orders SET total_amount = $1, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $2
+  `, [newTotal, order.id]);
+
+  const shortages = wasReserved ? await reserveOrderStock(client, order.id) : [];
+
+  if (difference !== 0) {
+    await postLedgerEntry(client, {
+      vendorId: order.vendor_id,
+      entryType: difference > 0 ? 'debit' : 'credit',
+      amount: Math.abs(difference),
+      orderId: order.id,
+      description: `Order #${order.id} modified`,
+      staffId
+    });
+  }
+
+  const updatedResult = await client.query('SELECT * FROM orders WHERE id = $1', [order.id]);
+
+  return {
+    order: updatedResult.rows[0],
+    difference,
+    shortages
+  };
+};
+
+// A vendor asks to change one of their orders. Before the cutoff the
+// change is applied straight away; after it, depending on
+// ORDER_CUTOFF_ACTION, it is refused or saved for admin approval.
+export const modifyOrderAsVendor = async (client, vendorId, orderId, changes, reason) => {
+  const orderResult = await client.query(`
+    SELECT * FROM orders WHERE id = $1 AND vendor_id = $2 FOR UPDATE
+  `, [orderId, vendorId]);
+
+  if (orderResult.rows.length === 0) {
+    throw new AppError('Order not found', 404);
+  }
+
+  const order = orderResult.rows[0];
+  if (order.status !== 'pending') {
+    throw new AppError(`Only pending orders can be changed. This order is ${order.status}`, 400);
+  }
+
+  if (isBeforeCutoff(order.order_date)) {
+    const result = await applyOrderChanges(client, order, changes, { enforceCreditLimit: true });
+    return { applied: true, ...result };
+  }
+
+  if (ORDER_CUTOFF_ACTION === 'refuse') {
+    throw new AppError('The cutoff for changing this order has passed', 400, {
+      cutoff_at: getModificationCutoff(order.order_date).toISOString()
+    });
+  }
+
+  // A new request replaces any earlier one still waiting for review
+  await client.query(`
+    UPDATE order_change_requests SET status = 'superseded', updated_at = CURRENT_TIMESTAMP
+    WHERE order_id = $1 AND status = 'pending'
+  `, [order.id]);
+
+  const requestResult = await client.query(`
+    INSERT INTO order_change_requests (order_id, vendor_id, changes, reason)
+    VALUES ($1, $2, $3, $4)
+    RETURNING *
+  `, [order.id, vendorId, JSON.stringify(changes), reason]);
+
+  return { applied: false, order, change_request: requestResult.rows[0] };
+};
+
+// Approve or reject a change request. Approval applies the requested
+// changes as long as the order has not gone out for delivery yet.
+export const reviewChangeRequest = async (client, requestId, approve, { staffId, notes = null }) => {
+  const requestResult = await client.query(`
+    SELECT * FROM order_change_requests WHERE id = $1 FOR UPDATE
+  `, [requestId]);
+
+  if (requestResult.rows.length === 0) {
+    throw new AppError('Change request not found', 404);
+  }
+
+  const changeRequest = requestResult.rows[0];
+  if (changeRequest.status !== 'pending') {
+    throw new AppError(`Change request has already been ${changeRequest.status}`, 400);
+  }
+
+  let result = null;
+  if (approve) {
+    const orderResult = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [changeRequest.order_id]);
+    const order = orderResult.rows[0];
+
+    if (!ADMIN_MODIFIABLE_STATUSES.includes(order.status)) {
+      throw new AppError(`Order is ${order.status} and can no longer be changed`, 400);
+    }
+
+    result = await applyOrderChanges(client, order, changeRequest.changes, { staffId });
+  }
+
+  const updatedRequest = await client.query(`
+    UPDATE order_change_requests
+    SET status = $1, reviewed_by = $2, reviewed_at = CURRENT_TIMESTAMP, review_notes = $3, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $4
+    RETURNING *
+  `, [approve ? 'approved' : 'rejected', staffId, notes, requestId]);
+
+  return { change_request: updatedRequest.rows[0], before: changeRequest, ...result };
+};
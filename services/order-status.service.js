@@ -0,0 +1,101 @@
+import { pool } from '../config/database.js';
+import { AppError } from '../utils/errors.js';
+import { applyOrderStatusToStock } from './inventory.service.js';
+import { reverseOrderCharges } from './ledger.service.js';
+import { createInvoiceForOrder } from './invoice.service.js';
+
+// Orders move forward through the delivery flow and can be cancelled
+// until they are delivered. Delivered and cancelled are final. Held
+// orders only leave on_hold through the credit-hold approval.
+export const ORDER_TRANSITIONS = {
+  on_hold: ['pending', 'cancelled'],
+  pending: ['processing', 'cancelled'],
+  processing: ['out_for_delivery', 'cancelled'],
+  out_for_delivery: ['delivered', 'cancelled'],
+  delivered: [],
+  cancelled: []
+};
+
+export const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+export const canTransition = (fromStatus, toStatus) => (ORDER_TRANSITIONS[fromStatus] || []).includes(toStatus);
+
+export const assertTransition = (fromStatus, toStatus) => {
+  if (canTransition(fromStatus, toStatus)) {
+    return;
+  }
+
+  const allowed = ORDER_TRANSITIONS[fromStatus] || [];
+  const message = fromStatus === toStatus
+    ? `Order is already ${fromStatus}`
+    : `Cannot change order status from ${fromStatus} to ${toStatus}`;
+
+  throw new AppError(message, 400, { from: fromStatus, to: toStatus, allowed });
+};
+
+// Append a row to the order's timeline. fromStatus is null for the row
+// written when the order is created.
+export const recordStatusHistory = async (client, { orderId, fromStatus = null, toStatus, staffId = null, reason = null }) => {
+  await client.query(`
+    INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, reason)
+    VALUES ($1, $2, $3, $4, $5)
+  `, [orderId, fromStatus, toStatus, staffId, reason]);
+};
+
+// Move a locked order to a new status, enforcing the allowed transitions
+// and recording who did it and why. Returns the updated order.
+export const transitionOrderStatus = async (client, order, toStatus, { staffId = null, reason = null } = {}) => {
+  assertTransition(order.status, toStatus);
+
+  const result = await client.query(`
+    UPDATE orders
+    SET status = $1, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $2
+    RETURNING *
+  `, [toStatus, order.id]);
+
+  await recordStatusHistory(client, {
+    orderId: order.id,
+    fromStatus: order.status,
+    toStatus,
+    staffId,
+    reason
+  });
+
+  return result.rows[0];
+};
+
+// Change a locked order's status together with its side effects: stock
+// is consumed on delivery and released on cancellation, cancelled orders
+// have their charges reversed, and delivered orders are invoiced.
+export const applyOrderStatusChange = async (client, order, toStatus, { staffId = null, reason = null } = {}) => {
+  assertTransition(order.status, toStatus);
+
+  await applyOrderStatusToStock(client, order, toStatus, staffId);
+
+  if (toStatus === 'cancelled') {
+    await reverseOrderCharges(client, order.id, staffId);
+  } else if (toStatus === 'delivered') {
+    await createInvoiceForOrder(client, order.id, staffId);
+  }
+
+  return transitionOrderStatus(client, order, toStatus, { staffId, reason });
+};
+
+// An order's status changes, oldest first. Vendors see the history
+// without includeStaff, so staff IDs and names stay internal.
+export const getStatusHistory = async (orderId, { includeStaff = true } = {}, client = pool) => {
+  const result = await client.query(`
+    SELECT h.id, h.from_status, h.to_status, h.reason, h.created_at,
+           h.changed_by, s.name as changed_by_name
+    FROM order_status_history h
+    LEFT JOIN staff s ON h.changed_by = s.id
+    WHERE h.order_id = $1
+    ORDER BY h.created_at, h.id
+  `, [orderId]);
+
+  if (includeStaff) {
+    return result.rows;
+  }
+  return result.rows.map(({ changed_by, changed_by_name, ...entry }) => entry);
+};
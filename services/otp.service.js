@@ -0,0 +1,120 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { withTransaction } from '../config/database.js';
+import { AppError } from '../utils/errors.js';
+import { sendSms } from './sms.service.js';
+
+const OTP_LENGTH = parseInt(process.env.OTP_LENGTH) || 6;
+const OTP_EXPIRY_MINUTES = parseInt(process.env.OTP_EXPIRY_MINUTES) || 5;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60;
+
+const generateCode = () => {
+  const max = 10 ** OTP_LENGTH;
+  return crypto.randomInt(0, max).toString().padStart(OTP_LENGTH, '0');
+};
+
+// Issue a new OTP for the phone and send it by SMS. Any earlier unused
+// code for the same purpose is discarded so only the latest one works.
+// Requests for the same phone and purpose are serialised with an advisory
+// lock, so parallel requests cannot both slip past the resend cooldown.
+export const requestOtp = async (phone, purpose) => withTransaction(async (client) => {
+  await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`vendor_otp:${phone}:${purpose}`]);
+
+  const latestResult = await client.query(`
+    SELECT created_at FROM vendor_otps
+    WHERE phone = $1 AND purpose = $2 AND consumed_at IS NULL
+    ORDER BY created_at DESC
+    LIMIT 1
+  `, [phone, purpose]);
+
+  if (latestResult.rows.length > 0) {
+    const elapsedSeconds = (Date.now() - new Date(latestResult.rows[0].created_at).getTime()) / 1000;
+    if (elapsedSeconds < OTP_RESEND_COOLDOWN_SECONDS) {
+      const retryAfter = Math.ceil(OTP_RESEND_COOLDOWN_SECONDS - elapsedSeconds);
+      throw new AppError(`Please wait ${retryAfter} seconds before requesting another OTP`, 429, {
+        retry_after_seconds: retryAfter
+      });
+    }
+  }
+
+  await client.query(`
+    DELETE FROM vendor_otps
+    WHERE phone = $1 AND purpose = $2 AND consumed_at IS NULL
+  `, [phone, purpose]);
+
+  const code = generateCode();
+  const codeHash = await bcrypt.hash(code, 10);
+
+  await client.query(`
+    INSERT INTO vendor_otps (phone, purpose, code_hash, expires_at)
+    VALUES ($1, $2, $3, CURRENT_TIMESTAMP + $4 * INTERVAL '1 minute')
+  `, [phone, purpose, codeHash, OTP_EXPIRY_MINUTES]);
+
+  // Sent inside the transaction: if the SMS fails the new code is rolled
+  // back and the previous one stays valid
+  await sendSms(phone, `Your VendorCluster verification code is ${code}. It expires in ${OTP_EXPIRY_MINUTES} minutes.`);
+
+  return {
+    expires_in_seconds: OTP_EXPIRY_MINUTES * 60,
+    resend_after_seconds: OTP_RESEND_COOLDOWN_SECONDS
+  };
+});
+
+// Check a code against the latest unused OTP. Wrong guesses count towards
+// the attempt limit; a correct code is consumed and cannot be reused. The
+// OTP row stays locked while the code is checked, so parallel guesses are
+// counted one after another and cannot get past the limit together.
+export const verifyOtp = async (phone, purpose, code) => {
+  const outcome = await withTransaction(async (client) => {
+    const result = await client.query(`
+      SELECT *, expires_at < CURRENT_TIMESTAMP AS is_expired
+      FROM vendor_otps
+      WHERE phone = $1 AND purpose = $2 AND consumed_at IS NULL
+      ORDER BY created_at DESC
+      LIMIT 1
+      FOR UPDATE
+    `, [phone, purpose]);
+
+    if (result.rows.length === 0) {
+      throw new AppError('No active OTP for this phone number. Please request a new one', 400);
+    }
+
+    const otp = result.rows[0];
+
+    if (otp.is_expired) {
+      throw new AppError('OTP has expired. Please request a new one', 400);
+    }
+
+    if (otp.attempts >= OTP_MAX_ATTEMPTS) {
+      throw new AppError('Too many failed attempts. Please request a new OTP', 429);
+    }
+
+    const isValid = await bcrypt.compare(String(code), otp.code_hash);
+    if (!isValid) {
+      // Returned rather than thrown so the failed attempt is committed
+      const updated = await client.query(`
+        UPDATE vendor_otps SET attempts = attempts + 1
+        WHERE id = $1
+        RETURNING attempts
+      `, [otp.id]);
+
+      return { valid: false, attempts: updated.rows[0].attempts };
+    }
+
+    await client.query(`
+      UPDATE vendor_otps SET consumed_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [otp.id]);
+
+    return { valid: true };
+  });
+
+  if (!outcome.valid) {
+    throw new AppError('Invalid OTP', 400, {
+      attempts_remaining: Math.max(OTP_MAX_ATTEMPTS - outcome.attempts, 0)
+    });
+  }
+
+  return true;
+};
@@ -0,0 +1,131 @@
+import PDFDocument from 'pdfkit';
+import { toCsv } from '../utils/csv.js';
+
+// Printable versions of the packing list from buildPackingList():
+// one packing slip per vendor to pack and hand to delivery, and a
+// consolidated pick list per product for the warehouse.
+
+const PAGE_MARGIN = 40;
+
+const formatQuantity = (quantity) => Number(quantity).toFixed(2).replace(/\.00$/, '');
+
+const vendorAddress = (vendor) => [vendor.vendor_address, vendor.vendor_city, vendor.vendor_pincode]
+  .filter(Boolean)
+  .join(', ');
+
+// Render into memory; the documents are small enough to send in one go
+const renderPdf = (draw) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN });
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  draw(doc);
+  doc.end();
+});
+
+// Draw a simple table: columns are { header, width, align, value(row) }
+const drawTable = (doc, columns, rows) => {
+  const drawRow = (cells, font) => {
+    if (doc.y > doc.page.height - PAGE_MARGIN - 40) {
+      doc.addPage();
+    }
+    const y = doc.y;
+    let x = PAGE_MARGIN;
+    let rowHeight = 0;
+    doc.font(font).fontSize(10);
+    columns.forEach((column, index) => {
+      const height = doc.heightOfString(cells[index], { width: column.width - 6 });
+      doc.text(cells[index], x, y, { width: column.width - 6, align: column.align || 'left' });
+      rowHeight = Math.max(rowHeight, height);
+      x += column.width;
+    });
+    doc.y = y + rowHeight + 4;
+    doc.moveTo(PAGE_MARGIN, doc.y - 2).lineTo(x, doc.y - 2).strokeColor('#cccccc').stroke();
+  };
+
+  drawRow(columns.map((column) => column.header), 'Helvetica-Bold');
+  for (const row of rows) {
+    drawRow(columns.map((column) => String(column.value(row) ?? '')), 'Helvetica');
+  }
+  doc.x = PAGE_MARGIN;
+};
+
+const slipColumns = [
+  { header: 'Product', width: 230, value: (item) => item.product_name },
+  { header: 'Unit', width: 80, value: (item) => item.unit },
+  { header: 'Quantity', width: 80, align: 'right', value: (item) => formatQuantity(item.total_quantity) },
+  { header: 'Short', width: 60, align: 'right', value: (item) => (item.short_quantity > 0 ? formatQuantity(item.short_quantity) : '') },
+  { header: 'Packed', width: 60, value: () => '[  ]' }
+];
+
+export const renderPackingSlipsPdf = (packingList) => renderPdf((doc) => {
+  packingList.vendors.forEach((vendor, index) => {
+    if (index > 0) {
+      doc.addPage();
+    }
+
+    doc.font('Helvetica-Bold').fontSize(18).text('Packing Slip');
+    doc.font('Helvetica').fontSize(10).text(`Delivery date: ${packingList.date}`);
+    doc.moveDown();
+
+    doc.font('Helvetica-Bold').fontSize(12).text(`Order #${vendor.order_id}`);
+    doc.font('Helvetica').fontSize(11).text(vendor.vendor_name);
+    if (vendorAddress(vendor)) {
+      doc.text(vendorAddress(vendor));
+    }
+    if (vendor.vendor_phone) {
+      doc.text(`Phone: ${vendor.vendor_phone}`);
+    }
+    doc.moveDown();
+
+    drawTable(doc, slipColumns, vendor.items);
+
+    doc.moveDown(2);
+    doc.font('Helvetica').fontSize(10)
+      .text('Packed by: ____________________', { continued: true })
+      .text('     Received by: ____________________');
+  });
+});
+
+const pickListColumns = [
+  { header: 'Product', width: 170, value: (product) => product.product_name },
+  { header: 'Unit', width: 60, value: (product) => product.unit },
+  { header: 'Total', width: 70, align: 'right', value: (product) => formatQuantity(product.total_quantity) },
+  { header: 'Short', width: 60, align: 'right', value: (product) => (product.short_quantity > 0 ? formatQuantity(product.short_quantity) : '') },
+  { header: 'Vendors', width: 155, value: (product) => product.vendors.map((vendor) => `${vendor.vendor_name} (${formatQuantity(vendor.total_quantity)})`).join(', ') }
+];
+
+export const renderPickListPdf = (packingList) => renderPdf((doc) => {
+  doc.font('Helvetica-Bold').fontSize(18).text('Pick List');
+  doc.font('Helvetica').fontSize(10)
+    .text(`Delivery date: ${packingList.date}`)
+    .text(packingList.source === 'orders' ? 'Based on generated orders' : 'Forecast - orders not generated yet')
+    .text(`${packingList.summary.total_products} products for ${packingList.summary.total_vendors} vendors`);
+  doc.moveDown();
+
+  drawTable(doc, pickListColumns, packingList.packing_list);
+});
+
+export const packingSlipsCsv = (packingList) => toCsv([
+  { header: 'order_id', key: 'order_id' },
+  { header: 'vendor_id', key: 'vendor_id' },
+  { header: 'vendor_name', key: 'vendor_name' },
+  { header: 'vendor_phone', key: 'vendor_phone' },
+  { header: 'vendor_address', value: (row) => vendorAddress(row) },
+  { header: 'product_id', key: 'product_id' },
+  { header: 'product_name', key: 'product_name' },
+  { header: 'unit', key: 'unit' },
+  { header: 'quantity', key: 'total_quantity' },
+  { header: 'short_quantity', key: 'short_quantity' }
+], packingList.vendors.flatMap((vendor) => vendor.items.map((item) => ({ ...vendor, ...item }))));
+
+export const pickListCsv = (packingList) => toCsv([
+  { header: 'product_id', key: 'product_id' },
+  { header: 'product_name', key: 'product_name' },
+  { header: 'unit', key: 'unit' },
+  { header: 'total_quantity', key: 'total_quantity' },
+  { header: 'short_quantity', key: 'short_quantity' },
+  { header: 'vendor_count', key: 'vendor_count' }
+], packingList.packing_list);
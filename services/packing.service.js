@@ -0,0 +1,212 @@
+import { query } from '../config/database.js';
+import { getScheduledNeeds } from './daily-needs.service.js';
+
+// What has to be packed for a delivery date. Once orders exist for the
+// date they are the source of truth (they already reflect schedules,
+// pauses, credit holds and vendor edits). Before generation the list is a
+// forecast built from scheduled daily needs and approved extra orders,
+// leaving out vendors who cancelled the day or paused deliveries.
+// Duplicate daily orders re-tagged legacy_duplicate by the migration are
+// never packed.
+
+const round = (value) => Math.round(Number(value) * 100) / 100;
+
+const getSkippedVendors = async (date) => {
+  const cancelledResult = await query(`
+    SELECT v.id as vendor_id, v.name as vendor_name, co.reason
+    FROM cancelled_orders co
+    JOIN vendors v ON co.vendor_id = v.id
+    WHERE co.cancel_date = $1 AND v.is_active = true
+    ORDER BY v.name
+  `, [date]);
+
+  const pausedResult = await query(`
+    SELECT v.id as vendor_id, v.name as vendor_name, vp.start_date, vp.end_date, vp.reason
+    FROM vendor_pauses vp
+    JOIN vendors v ON vp.vendor_id = v.id
+    WHERE vp.cancelled_at IS NULL AND vp.start_date <= $1 AND vp.end_date >= $1 AND v.is_active = true
+    ORDER BY v.name
+  `, [date]);
+
+  return { cancelled: cancelledResult.rows, paused: pausedResult.rows };
+};
+
+const getOrderLines = async (date) => {
+  const result = await query(`
+    SELECT o.id as order_id, o.status as order_status, o.vendor_id,
+           v.name as vendor_name, v.phone as vendor_phone, v.address as vendor_address,
+           v.city as vendor_city, v.pincode as vendor_pincode,
+           oi.product_id, p.name as product_name, p.unit, oi.unit_price as price,
+           oi.quantity, oi.short_quantity
+    FROM orders o
+    JOIN order_items oi ON oi.order_id = o.id
+    JOIN vendors v ON o.vendor_id = v.id
+    JOIN products p ON oi.product_id = p.id
+    WHERE o.order_date = $1 AND o.status NOT IN ('cancelled', 'on_hold')
+      AND o.order_type <> 'legacy_duplicate'
+  `, [date]);
+
+  return result.rows.map((row) => ({ ...row, line_type: 'order' }));
+};
+
+const getForecastLines = async (date, skippedVendorIds) => {
+  const vendorsResult = await query(`
+    SELECT id, phone, address, city, pincode FROM vendors WHERE is_active = true
+  `);
+  const vendorsById = new Map(vendorsResult.rows.map((vendor) => [vendor.id, vendor]));
+
+  const needLines = (await getScheduledNeeds(date))
+    .filter((need) => !skippedVendorIds.has(need.vendor_id))
+    .map((need) => ({ ...need, line_type: 'daily' }));
+
+  const extraResult = await query(`
+    SELECT eo.vendor_id, v.name as vendor_name, eo.product_id, p.name as product_name,
+           p.unit, p.price, eo.quantity
+    FROM extra_orders eo
+    JOIN products p ON eo.product_id = p.id
+    JOIN vendors v ON eo.vendor_id = v.id
+    WHERE eo.order_date = $1 AND eo.status = 'approved' AND p.is_active = true AND v.is_active = true
+  `, [date]);
+
+  const extraLines = extraResult.rows
+    .filter((extra) => !skippedVendorIds.has(extra.vendor_id))
+    .map((extra) => ({ ...extra, line_type: 'extra' }));
+
+  return [...needLines, ...extraLines].map((line) => {
+    const vendor = vendorsById.get(line.vendor_id) || {};
+    return {
+      ...line,
+      order_id: null,
+      order_status: null,
+      vendor_phone: vendor.phone,
+      vendor_address: vendor.address,
+      vendor_city: vendor.city,
+      vendor_pincode: vendor.pincode,
+      short_quantity: 0
+    };
+  });
+};
+
+const addQuantity = (target, line) => {
+  const quantity = Number(line.quantity);
+  target.total_quantity = round(target.total_quantity + quantity);
+  target.short_quantity = round(target.short_quantity + Number(line.short_quantity || 0));
+  if (line.line_type === 'daily') {
+    target.daily_quantity = round(target.daily_quantity + quantity);
+  } else if (line.line_type === 'extra') {
+    target.extra_quantity = round(target.extra_quantity + quantity);
+  }
+};
+
+const emptyQuantities = () => ({ daily_quantity: 0, extra_quantity: 0, total_quantity: 0, short_quantity: 0 });
+
+// Group lines by product (with a per-vendor split) and by vendor (with
+// their items), both keyed by ID so products sharing a name stay apart.
+const aggregateLines = (lines) => {
+  const products = new Map();
+  const vendors = new Map();
+
+  for (const line of lines) {
+    if (!products.has(line.product_id)) {
+      products.set(line.product_id, {
+        product_id: line.product_id,
+        product_name: line.product_name,
+        unit: line.unit,
+        price: Number(line.price),
+        ...emptyQuantities(),
+        vendors: new Map()
+      });
+    }
+    const product = products.get(line.product_id);
+    addQuantity(product, line);
+
+    if (!product.vendors.has(line.vendor_id)) {
+      product.vendors.set(line.vendor_id, { vendor_id: line.vendor_id, vendor_name: line.vendor_name, ...emptyQuantities() });
+    }
+    addQuantity(product.vendors.get(line.vendor_id), line);
+
+    if (!vendors.has(line.vendor_id)) {
+      vendors.set(line.vendor_id, {
+        vendor_id: line.vendor_id,
+        vendor_name: line.vendor_name,
+        vendor_phone: line.vendor_phone,
+        vendor_address: line.vendor_address,
+        vendor_city: line.vendor_city,
+        vendor_pincode: line.vendor_pincode,
+        order_id: line.order_id,
+        order_status: line.order_status,
+        items: new Map()
+      });
+    }
+    const vendorItems = vendors.get(line.vendor_id).items;
+    if (!vendorItems.has(line.product_id)) {
+      vendorItems.set(line.product_id, {
+        product_id: line.product_id,
+        product_name: line.product_name,
+        unit: line.unit,
+        ...emptyQuantities()
+      });
+    }
+    addQuantity(vendorItems.get(line.product_id), line);
+  }
+
+  const byName = (key) => (a, b) => String(a[key]).localeCompare(String(b[key]));
+
+  return {
+    products: [...products.values()]
+      .map((product) => {
+        const productVendors = [...product.vendors.values()].sort(byName('vendor_name'));
+        return {
+          ...product,
+          vendor_count: productVendors.length,
+          vendor_names: productVendors.map((vendor) => vendor.vendor_name),
+          vendors: productVendors
+        };
+      })
+      .sort(byName('product_name')),
+    vendors: [...vendors.values()]
+      .map((vendor) => ({ ...vendor, items: [...vendor.items.values()].sort(byName('product_name')) }))
+      .sort(byName('vendor_name'))
+  };
+};
+
+export const buildPackingList = async (date) => {
+  const ordersResult = await query(`
+    SELECT o.id, o.status, o.total_amount, v.id as vendor_id, v.name as vendor_name
+    FROM orders o
+    JOIN vendors v ON o.vendor_id = v.id
+    WHERE o.order_date = $1 AND o.order_type <> 'legacy_duplicate'
+  `, [date]);
+
+  const skipped = await getSkippedVendors(date);
+  const fromOrders = ordersResult.rows.length > 0;
+
+  let lines;
+  if (fromOrders) {
+    lines = await getOrderLines(date);
+  } else {
+    const skippedVendorIds = new Set([...skipped.cancelled, ...skipped.paused].map((row) => row.vendor_id));
+    lines = await getForecastLines(date, skippedVendorIds);
+  }
+
+  const { products, vendors } = aggregateLines(lines);
+  const heldOrders = ordersResult.rows.filter((order) => order.status === 'on_hold');
+
+  return {
+    date,
+    source: fromOrders ? 'orders' : 'forecast',
+    packing_list: products,
+    vendors,
+    cancelled_orders: skipped.cancelled,
+    paused_vendors: skipped.paused,
+    held_orders: heldOrders,
+    summary: {
+      total_products: products.length,
+      total_vendors: vendors.length,
+      short_products: products.filter((product) => product.short_quantity > 0).length,
+      cancelled_vendors: skipped.cancelled.length,
+      paused_vendors: skipped.paused.length,
+      held_orders: heldOrders.length
+    }
+  };
+};
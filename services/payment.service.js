@@ -0,0 +1,194 @@
+import { AppError } from '../utils/errors.js';
+import { postLedgerEntry } from './ledger.service.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Delivered orders that still have money due, oldest first. The amount
+// billed is the invoice total when one exists, otherwise the order total.
+export const getOutstandingOrders = async (client, vendorId, { lock = false } = {}) => {
+  const result = await client.query(`
+    SELECT o.id, o.order_date, o.amount_paid,
+           COALESCE(i.total_amount, o.total_amount) as amount_billed,
+           COALESCE(i.total_amount, o.total_amount) - o.amount_paid as amount_due,
+           i.invoice_number
+    FROM orders o
+    LEFT JOIN invoices i ON i.order_id = o.id
+    WHERE o.vendor_id = $1
+      AND o.status = 'delivered'
+      AND COALESCE(i.total_amount, o.total_amount) > o.amount_paid
+    ORDER BY o.order_date, o.id
+    ${lock ? 'FOR UPDATE OF o' : ''}
+  `, [vendorId]);
+
+  return result.rows;
+};
+
+const applyAllocation = async (client, paymentId, order, amount) => {
+  await client.query(`
+    INSERT INTO payment_allocations (payment_id, order_id, amount)
+    VALUES ($1, $2, $3)
+  `, [paymentId, order.id, amount]);
+
+  const orderResult = await client.query(`
+    UPDATE orders
+    SET amount_paid = amount_paid + $1,
+        payment_status = CASE WHEN amount_paid + $1 >= $2 THEN 'paid' ELSE 'partial' END,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $3
+    RETURNING payment_status
+  `, [amount, order.amount_billed, order.id]);
+
+  // The pending invoice payment has been covered by received money
+  if (orderResult.rows[0].payment_status === 'paid') {
+    await client.query(`
+      UPDATE payments SET payment_status = 'settled'
+      WHERE order_id = $1 AND invoice_id IS NOT NULL AND payment_status = 'pending'
+    `, [order.id]);
+  }
+
+  return { order_id: order.id, invoice_number: order.invoice_number, amount };
+};
+
+// Work out how a payment is spread over a vendor's outstanding orders,
+// without writing anything. With explicit allocations each one must
+// target an outstanding order and not exceed what is still due on it
+// after the earlier allocations; otherwise the oldest orders are paid off
+// first. Whatever is left stays on the vendor's ledger as an advance.
+export const planAllocations = (outstanding, amount, explicitAllocations) => {
+  const amountDue = new Map(outstanding.map((order) => [order.id, Number(order.amount_due)]));
+  let remaining = Number(amount);
+  const allocations = [];
+
+  if (explicitAllocations && explicitAllocations.length > 0) {
+    const requestedTotal = explicitAllocations.reduce((sum, allocation) => sum + Number(allocation.amount), 0);
+    if (round(requestedTotal) > round(remaining)) {
+      throw new AppError('Allocations exceed the payment amount', 400);
+    }
+
+    for (const allocation of explicitAllocations) {
+      const order = outstanding.find((row) => row.id === Number(allocation.order_id));
+      if (!order) {
+        throw new AppError(`Order ${allocation.order_id} has no outstanding amount for this vendor`, 400);
+      }
+      if (round(Number(allocation.amount)) > round(amountDue.get(order.id))) {
+        throw new AppError(`Allocation for order ${order.id} exceeds the amount due (${amountDue.get(order.id)})`, 400);
+      }
+
+      allocations.push({ order, amount: round(Number(allocation.amount)) });
+      amountDue.set(order.id, round(amountDue.get(order.id) - Number(allocation.amount)));
+      remaining = round(remaining - Number(allocation.amount));
+    }
+  } else {
+    for (const order of outstanding) {
+      if (remaining <= 0) {
+        break;
+      }
+
+      const allocated = round(Math.min(remaining, amountDue.get(order.id)));
+      allocations.push({ order, amount: allocated });
+      remaining = round(remaining - allocated);
+    }
+  }
+
+  return { allocations, unallocated_amount: remaining };
+};
+
+// Spread a payment over a vendor's outstanding orders (see planAllocations)
+export const allocatePayment = async (client, payment, explicitAllocations) => {
+  const outstanding = await getOutstandingOrders(client, payment.vendor_id, { lock: true });
+  const plan = planAllocations(outstanding, payment.amount, explicitAllocations);
+
+  const allocations = [];
+  for (const { order, amount } of plan.allocations) {
+    allocations.push(await applyAllocation(client, payment.id, order, amount));
+  }
+
+  return { allocations, unallocated_amount: plan.unallocated_amount };
+};
+
+// Credit and allocate a payment an admin has marked completed. A payment
+// raised for one order pays that order first. An invoice payment only
+// covers what is still due on its order, since advances or other payments
+// may already have paid part of it, so its amount is brought down to match
+// and a later reversal debits the same amount. Returns the payment.
+export const completePayment = async (client, payment, staffId) => {
+  const outstanding = await getOutstandingOrders(client, payment.vendor_id, { lock: true });
+  const order = outstanding.find((row) => row.id === payment.order_id);
+  let completed = payment;
+
+  if (payment.invoice_id) {
+    if (!order) {
+      throw new AppError(`Order ${payment.order_id} has nothing left to pay`, 400);
+    }
+
+    const amountDue = round(Number(order.amount_due));
+    if (amountDue < round(Number(payment.amount))) {
+      const result = await client.query(`
+        UPDATE payments SET amount = $1
+        WHERE id = $2
+        RETURNING *
+      `, [amountDue, payment.id]);
+      completed = result.rows[0];
+    }
+  }
+
+  await postLedgerEntry(client, {
+    vendorId: completed.vendor_id,
+    entryType: 'credit',
+    amount: completed.amount,
+    orderId: completed.order_id,
+    paymentId: completed.id,
+    description: `Payment #${completed.id}`,
+    staffId
+  });
+
+  await allocatePayment(client, completed, order
+    ? [{ order_id: order.id, amount: Math.min(Number(completed.amount), Number(order.amount_due)) }]
+    : null);
+
+  return completed;
+};
+
+// Undo a payment's allocations, e.g. when a completed payment is reverted
+export const removePaymentAllocations = async (client, paymentId) => {
+  const allocationsResult = await client.query('DELETE FROM payment_allocations WHERE payment_id = $1 RETURNING *', [paymentId]);
+
+  for (const allocation of allocationsResult.rows) {
+    await client.query(`
+      UPDATE orders
+      SET amount_paid = GREATEST(amount_paid - $1, 0),
+          payment_status = CASE WHEN amount_paid - $1 > 0 THEN 'partial' ELSE 'unpaid' END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+    `, [allocation.amount, allocation.order_id]);
+
+    await client.query(`
+      UPDATE payments SET payment_status = 'pending'
+      WHERE order_id = $1 AND invoice_id IS NOT NULL AND payment_status = 'settled'
+    `, [allocation.order_id]);
+  }
+};
+
+// Record money received from a vendor, credit their ledger and allocate it
+export const recordPayment = async (client, { vendorId, amount, paymentMethod, reference, notes, allocations, staffId }) => {
+  const paymentResult = await client.query(`
+    INSERT INTO payments (vendor_id, amount, payment_method, payment_status, transaction_id, payment_date, notes)
+    VALUES ($1, $2, $3, 'completed', $4, CURRENT_TIMESTAMP, $5)
+    RETURNING *
+  `, [vendorId, amount, paymentMethod, reference, notes]);
+
+  const payment = paymentResult.rows[0];
+
+  await postLedgerEntry(client, {
+    vendorId,
+    entryType: 'credit',
+    amount,
+    paymentId: payment.id,
+    description: `Payment received (${paymentMethod}${reference ? ` ${reference}` : ''})`,
+    staffId
+  });
+
+  const allocation = await allocatePayment(client, payment, allocations);
+
+  return { payment, ...allocation };
+};
@@ -0,0 +1,342 @@
+import ExcelJS from 'exceljs';
+import moment from 'moment';
+import { AppError } from '../utils/errors.js';
+import { guardFormula, parseCsv, toCsv, unguardFormula } from '../utils/csv.js';
+import { adjustStock } from './inventory.service.js';
+import { setProductPrice } from './product-price.service.js';
+
+// Bulk catalog import and export. The export writes the same columns the
+// import reads, so a downloaded catalog can be edited and uploaded again.
+// Imported rows are matched to existing products by SKU, or by name when
+// the row has no SKU, and are created or updated accordingly.
+//
+// Stock moves between an export and its re-upload, so the export also
+// writes the stock it saw in exported_stock_quantity. An updated product's
+// stock is only set when stock_quantity is filled in and differs from that
+// snapshot; otherwise the current stock is kept.
+
+export const MAX_IMPORT_ROWS = 5000;
+
+// Columns the import understands, in export order
+export const IMPORT_FIELDS = [
+  'sku',
+  'name',
+  'description',
+  'category',
+  'unit',
+  'price',
+  'tax_rate',
+  'stock_quantity',
+  'min_stock_level',
+  'expiry_date',
+  'is_active'
+];
+
+const NUMERIC_FIELDS = ['price', 'tax_rate', 'stock_quantity', 'min_stock_level'];
+
+const STOCK_SNAPSHOT_FIELD = 'exported_stock_quantity';
+
+const EXPORT_COLUMNS = [
+  { header: 'id', key: 'id' },
+  ...IMPORT_FIELDS.map((field) => ({ header: field, key: field })),
+  { header: 'reserved_quantity', key: 'reserved_quantity' },
+  { header: STOCK_SNAPSHOT_FIELD, key: STOCK_SNAPSHOT_FIELD },
+  { header: 'updated_at', key: 'updated_at' }
+];
+
+const normalizeHeader = (header) => String(header).trim().toLowerCase().replace(/\s+/g, '_');
+
+const cellText = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return moment.utc(value).format('YYYY-MM-DD');
+  }
+  if (typeof value === 'object') {
+    if ('result' in value) {
+      return cellText(value.result);
+    }
+    if ('richText' in value) {
+      return value.richText.map((part) => part.text).join('');
+    }
+    if ('text' in value) {
+      return cellText(value.text);
+    }
+  }
+  return String(value);
+};
+
+// Rows as { number, cells }. CSV rows are numbered by record since a
+// quoted cell can span lines.
+const readRows = async (file) => {
+  if (file.format === 'csv') {
+    return parseCsv(file.buffer.toString('utf8')).map((cells, index) => ({ number: index + 1, cells }));
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(file.buffer);
+  } catch (error) {
+    throw new AppError('Could not read the XLSX file', 400);
+  }
+
+  const sheet = workbook.worksheets[0];
+  const rows = [];
+  sheet?.eachRow((row, number) => {
+    // row.values is 1-based
+    rows.push({ number, cells: row.values.slice(1).map(cellText) });
+  });
+  return rows;
+};
+
+// Read an uploaded CSV or XLSX file into { row, values, exportedStock }
+// entries, where row is the line number in the file, values holds the
+// known columns (blank cells are left out) and exportedStock is the
+// stock snapshot from an earlier export, if the file has one.
+export const readCatalogFile = async (file) => {
+  const [headerRow, ...dataRows] = await readRows(file);
+  if (!headerRow) {
+    throw new AppError('The file is empty', 400);
+  }
+
+  const headers = headerRow.cells.map(normalizeHeader);
+  if (!headers.includes('name')) {
+    throw new AppError('The file must have a header row with at least a name column', 400, { columns: IMPORT_FIELDS });
+  }
+  if (dataRows.length > MAX_IMPORT_ROWS) {
+    throw new AppError(`A file can have at most ${MAX_IMPORT_ROWS} products`, 400);
+  }
+
+  return {
+    ignored_columns: headers.filter((header) => header && !IMPORT_FIELDS.includes(header) && header !== STOCK_SNAPSHOT_FIELD),
+    rows: dataRows.map(({ number, cells }) => {
+      const values = {};
+      let exportedStock = null;
+      headers.forEach((header, column) => {
+        const text = unguardFormula((cells[column] ?? '').trim());
+        if (IMPORT_FIELDS.includes(header) && text !== '') {
+          values[header] = text;
+        } else if (header === STOCK_SNAPSHOT_FIELD && text !== '') {
+          exportedStock = Number(text);
+        }
+      });
+      return { row: number, values, exportedStock };
+    })
+  };
+};
+
+const parseBoolean = (value) => ['true', '1', 'yes'].includes(String(value).toLowerCase());
+
+// Validated cell text to column values
+const toProductData = (values) => {
+  const data = {};
+  for (const [field, value] of Object.entries(values)) {
+    if (NUMERIC_FIELDS.includes(field)) {
+      data[field] = Number(value);
+    } else if (field === 'is_active') {
+      data[field] = parseBoolean(value);
+    } else if (field === 'expiry_date') {
+      data[field] = moment(value).format('YYYY-MM-DD');
+    } else {
+      data[field] = value;
+    }
+  }
+  return data;
+};
+
+const currentValue = (product, field) => {
+  const value = product[field];
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (NUMERIC_FIELDS.includes(field)) {
+    return Number(value);
+  }
+  if (field === 'expiry_date') {
+    return moment(value).format('YYYY-MM-DD');
+  }
+  return value;
+};
+
+const changedFields = (product, data) => Object.keys(data)
+  .filter((field) => currentValue(product, field) !== data[field]);
+
+const lower = (value) => String(value).toLowerCase();
+
+// Work out what each row would do: create, update or leave a product
+// unchanged, or the errors that stop it. validateRow(values) resolves to
+// a list of { field, message } using the create route's rules.
+const planImport = async (client, rows, validateRow) => {
+  const productsResult = await client.query('SELECT * FROM products ORDER BY id');
+  const bySku = new Map();
+  const byName = new Map();
+  for (const product of productsResult.rows) {
+    if (product.sku) {
+      bySku.set(lower(product.sku), product);
+    }
+    const sameName = byName.get(lower(product.name)) || [];
+    byName.set(lower(product.name), [...sameName, product]);
+  }
+
+  const seenKeys = new Map();
+
+  const plan = [];
+  for (const { row, values, exportedStock = null } of rows) {
+    const errors = await validateRow(values);
+    const entry = { row, action: null, product_id: null, sku: values.sku || null, name: values.name || null, changes: [], errors };
+    plan.push(entry);
+    if (errors.length > 0) {
+      continue;
+    }
+
+    const key = values.sku ? `sku:${lower(values.sku)}` : `name:${lower(values.name)}`;
+    if (seenKeys.has(key)) {
+      entry.errors.push({ field: values.sku ? 'sku' : 'name', message: `Duplicate of row ${seenKeys.get(key)}` });
+      continue;
+    }
+    seenKeys.set(key, row);
+
+    // A SKU match wins; otherwise a product with the same name and no SKU of its own
+    const nameMatches = (byName.get(lower(values.name)) || [])
+      .filter((product) => !values.sku || !product.sku);
+    let existing = values.sku ? bySku.get(lower(values.sku)) : null;
+    if (!existing && nameMatches.length > 1) {
+      entry.errors.push({ field: 'name', message: `${nameMatches.length} products are named "${values.name}". Add a SKU to choose one` });
+      continue;
+    }
+    existing = existing || nameMatches[0];
+
+    const data = toProductData(values);
+    if (existing && data.stock_quantity === exportedStock) {
+      delete data.stock_quantity;
+    }
+    if (!existing && data.stock_quantity === undefined) {
+      entry.errors.push({ field: 'stock_quantity', message: 'Valid stock quantity is required' });
+      continue;
+    }
+
+    if (existing) {
+      entry.product_id = existing.id;
+      entry.changes = changedFields(existing, data);
+      entry.action = entry.changes.length > 0 ? 'update' : 'unchanged';
+      entry.existing = existing;
+    } else {
+      entry.action = 'create';
+      entry.changes = Object.keys(data);
+    }
+    entry.data = data;
+  }
+
+  return plan;
+};
+
+const createProduct = async (client, data, staffId) => {
+  const result = await client.query(`
+    INSERT INTO products (sku, name, description, unit, price, stock_quantity, min_stock_level, category, expiry_date, tax_rate, is_active)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    RETURNING *
+  `, [
+    data.sku || null, data.name, data.description || null, data.unit, data.price, data.stock_quantity,
+    data.min_stock_level || 0, data.category, data.expiry_date || null, data.tax_rate || 0, data.is_active ?? true
+  ]);
+
+  await setProductPrice(client, result.rows[0].id, data.price, { staffId, reason: 'Catalog import' });
+
+  return result.rows[0];
+};
+
+// Stock goes through adjustStock so the change shows in the stock ledger,
+// and a new price starts today in the price history
+const updateProduct = async (client, product, data, changes, staffId) => {
+  const columns = changes.filter((field) => !['stock_quantity', 'price'].includes(field));
+  let updated = product;
+
+  if (columns.length > 0) {
+    const assignments = columns.map((field, index) => `${field} = $${index + 1}`);
+    const result = await client.query(`
+      UPDATE products
+      SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $${columns.length + 1}
+      RETURNING *
+    `, [...columns.map((field) => data[field]), product.id]);
+    updated = result.rows[0];
+  }
+
+  if (changes.includes('stock_quantity')) {
+    updated = await adjustStock(client, product.id, data.stock_quantity, staffId);
+  }
+
+  if (changes.includes('price')) {
+    await setProductPrice(client, product.id, data.price, { staffId, reason: 'Catalog import' });
+    const result = await client.query('SELECT * FROM products WHERE id = $1', [product.id]);
+    updated = result.rows[0];
+  }
+
+  return updated;
+};
+
+// Plan the import and, unless this is a dry run or some row has errors,
+// apply it. onApplied(entry, before, after) is called for each product
+// written so the caller can audit it in the same transaction. Nothing is
+// written when any row fails.
+export const importProducts = async (client, rows, { validateRow, dryRun = false, staffId = null, onApplied = async () => {} }) => {
+  const plan = await planImport(client, rows, validateRow);
+  const failed = plan.filter((entry) => entry.errors.length > 0);
+  const applied = !dryRun && failed.length === 0;
+
+  if (applied) {
+    for (const entry of plan) {
+      if (entry.action === 'create') {
+        const product = await createProduct(client, entry.data, staffId);
+        entry.product_id = product.id;
+        await onApplied(entry, null, product);
+      } else if (entry.action === 'update') {
+        const product = await updateProduct(client, entry.existing, entry.data, entry.changes, staffId);
+        await onApplied(entry, entry.existing, product);
+      }
+    }
+  }
+
+  const count = (action) => plan.filter((entry) => entry.action === action).length;
+
+  return {
+    dry_run: dryRun,
+    applied,
+    summary: {
+      total_rows: plan.length,
+      created: count('create'),
+      updated: count('update'),
+      unchanged: count('unchanged'),
+      failed: failed.length
+    },
+    rows: plan.map(({ existing, data, ...entry }) => entry),
+    errors: failed.flatMap((entry) => entry.errors.map((error) => ({ row: entry.row, ...error })))
+  };
+};
+
+const exportRow = (product) => ({
+  ...product,
+  expiry_date: product.expiry_date ? moment(product.expiry_date).format('YYYY-MM-DD') : null,
+  [STOCK_SNAPSHOT_FIELD]: product.stock_quantity
+});
+
+const TEXT_FIELDS = ['sku', 'name', 'description', 'category', 'unit'];
+
+export const catalogCsv = (products) => toCsv(EXPORT_COLUMNS, products.map(exportRow));
+
+export const catalogXlsx = async (products) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Products');
+  sheet.columns = EXPORT_COLUMNS.map((column) => ({ header: column.header, key: column.key, width: column.key === 'description' ? 40 : 16 }));
+  for (const product of products.map(exportRow)) {
+    sheet.addRow({
+      ...product,
+      ...Object.fromEntries(TEXT_FIELDS.map((field) => [field, product[field] === null ? null : guardFormula(String(product[field]))])),
+      ...Object.fromEntries(NUMERIC_FIELDS.concat('reserved_quantity', STOCK_SNAPSHOT_FIELD)
+        .map((field) => [field, product[field] === null ? null : Number(product[field])]))
+    });
+  }
+  sheet.getRow(1).font = { bold: true };
+  return workbook.xlsx.writeBuffer();
+};
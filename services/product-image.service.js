@@ -0,0 +1,143 @@
+import sharp from 'sharp';
+import { query } from '../config/database.js';
+import { AppError } from '../utils/errors.js';
+import { deleteFile, saveFile } from './storage.service.js';
+
+// Product pictures for the catalog. Every upload is re-encoded as WebP at
+// a bounded size (which also drops camera metadata) along with a square
+// thumbnail for list views. The first image by sort order is the
+// product's main picture.
+
+export const MAX_IMAGES_PER_PRODUCT = 10;
+
+const IMAGE_FOLDER = 'product-images';
+const IMAGE_MAX_DIMENSION = 1600;
+const THUMBNAIL_SIZE = 300;
+const IMAGE_MIMETYPE = 'image/webp';
+
+const renderImage = async (buffer) => {
+  try {
+    const image = await sharp(buffer)
+      .rotate()
+      .resize(IMAGE_MAX_DIMENSION, IMAGE_MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 82 })
+      .toBuffer({ resolveWithObject: true });
+
+    const thumbnail = await sharp(buffer)
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' })
+      .webp({ quality: 75 })
+      .toBuffer();
+
+    return { image, thumbnail };
+  } catch (error) {
+    throw new AppError('Could not read image. Upload a valid JPEG, PNG or WebP file', 400);
+  }
+};
+
+// Resize and store uploaded files. Returns what addProductImages needs
+// to insert the rows; pass it to discardImageFiles if that fails.
+export const storeProductImages = async (files = []) => {
+  const stored = [];
+  try {
+    for (const file of files) {
+      const { image, thumbnail } = await renderImage(file.buffer);
+      stored.push({
+        image_key: await saveFile(IMAGE_FOLDER, image.data, '.webp'),
+        thumbnail_key: await saveFile(IMAGE_FOLDER, thumbnail, '.webp'),
+        width: image.info.width,
+        height: image.info.height,
+        size_bytes: image.info.size,
+        original_name: file.originalname
+      });
+    }
+  } catch (error) {
+    await discardImageFiles(stored);
+    throw error;
+  }
+  return stored;
+};
+
+export const discardImageFiles = async (images) => {
+  for (const image of images) {
+    await deleteFile(image.image_key);
+    await deleteFile(image.thumbnail_key);
+  }
+};
+
+// Insert stored images after the product's existing ones
+export const addProductImages = async (client, productId, stored) => {
+  const existingResult = await client.query(`
+    SELECT COUNT(*) as image_count, COALESCE(MAX(sort_order), 0) as last_sort_order
+    FROM product_images WHERE product_id = $1
+  `, [productId]);
+
+  const { image_count, last_sort_order } = existingResult.rows[0];
+  if (parseInt(image_count) + stored.length > MAX_IMAGES_PER_PRODUCT) {
+    throw new AppError(`A product can have at most ${MAX_IMAGES_PER_PRODUCT} images`, 400);
+  }
+
+  const images = [];
+  for (const [index, image] of stored.entries()) {
+    const result = await client.query(`
+      INSERT INTO product_images (
+        product_id, image_key, thumbnail_key, mimetype, width, height, size_bytes, original_name, sort_order
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `, [
+      productId, image.image_key, image.thumbnail_key, IMAGE_MIMETYPE,
+      image.width, image.height, image.size_bytes, image.original_name, last_sort_order + index + 1
+    ]);
+    images.push(result.rows[0]);
+  }
+
+  return images;
+};
+
+// Public shape of an image: storage keys become serving URLs
+export const presentProductImage = (image) => ({
+  id: image.id,
+  url: `/api/products/images/${image.id}`,
+  thumbnail_url: `/api/products/images/${image.id}/thumbnail`,
+  width: image.width,
+  height: image.height,
+  sort_order: image.sort_order
+});
+
+export const getProductImages = async (productId) => {
+  const result = await query(`
+    SELECT * FROM product_images WHERE product_id = $1 ORDER BY sort_order, id
+  `, [productId]);
+
+  return result.rows;
+};
+
+// Add images, image_url and thumbnail_url (of the main image) to products
+export const attachProductImages = async (products) => {
+  if (products.length === 0) {
+    return products;
+  }
+
+  const result = await query(`
+    SELECT * FROM product_images WHERE product_id = ANY($1::INTEGER[]) ORDER BY sort_order, id
+  `, [products.map((product) => product.id)]);
+
+  const imagesByProduct = new Map();
+  for (const image of result.rows) {
+    if (!imagesByProduct.has(image.product_id)) {
+      imagesByProduct.set(image.product_id, []);
+    }
+    imagesByProduct.get(image.product_id).push(presentProductImage(image));
+  }
+
+  return products.map((product) => {
+    const images = imagesByProduct.get(product.id) || [];
+    return {
+      ...product,
+      image_url: images[0]?.url || null,
+      thumbnail_url: images[0]?.thumbnail_url || null,
+      images
+    };
+  });
+};
@@ -0,0 +1,117 @@
+import moment from 'moment';
+import { pool } from '../config/database.js';
+import { businessDate } from '../utils/dates.js';
+import { AppError } from '../utils/errors.js';
+
+// Product prices with effective-from dates. A price row applies from its
+// date until the next row's date, so tomorrow's price can be scheduled
+// today. products.price keeps the price effective today, since that is
+// what the catalog and vendor app show; syncCurrentPrices() rolls it
+// forward when a scheduled price starts.
+
+const today = () => businessDate();
+
+// Price of each product on a date as a Map of product ID to price.
+// Products with no history on or before the date keep products.price.
+export const getEffectivePrices = async (productIds, date, client = pool) => {
+  if (productIds.length === 0) {
+    return new Map();
+  }
+
+  const result = await client.query(`
+    SELECT p.id, COALESCE(pp.price, p.price) as price
+    FROM products p
+    LEFT JOIN LATERAL (
+      SELECT price FROM product_prices
+      WHERE product_id = p.id AND effective_from <= $2
+      ORDER BY effective_from DESC
+      LIMIT 1
+    ) pp ON true
+    WHERE p.id = ANY($1::INTEGER[])
+  `, [productIds.map(Number), date]);
+
+  return new Map(result.rows.map((row) => [row.id, Number(row.price)]));
+};
+
+// Copy the price effective today onto products.price, for one product or
+// all of them. Returns the products whose price changed.
+export const syncCurrentPrices = async (client = pool, productId = null) => {
+  const result = await client.query(`
+    UPDATE products p
+    SET price = current.price, updated_at = CURRENT_TIMESTAMP
+    FROM (
+      SELECT DISTINCT ON (product_id) product_id, price
+      FROM product_prices
+      WHERE effective_from <= $1
+      ORDER BY product_id, effective_from DESC
+    ) current
+    WHERE p.id = current.product_id AND p.price <> current.price
+      AND ($2::INTEGER IS NULL OR p.id = $2)
+    RETURNING p.id, p.name, p.price
+  `, [today(), productId]);
+
+  return result.rows;
+};
+
+// Set a product's price from a date (today by default). Setting a price
+// for a date that already has one replaces it.
+export const setProductPrice = async (client, productId, price, { effectiveFrom = today(), staffId = null, reason = null } = {}) => {
+  const result = await client.query(`
+    INSERT INTO product_prices (product_id, price, effective_from, reason, created_by)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (product_id, effective_from)
+    DO UPDATE SET price = EXCLUDED.price, reason = EXCLUDED.reason,
+                  created_by = EXCLUDED.created_by, created_at = CURRENT_TIMESTAMP
+    RETURNING *
+  `, [productId, price, effectiveFrom, reason, staffId]);
+
+  await syncCurrentPrices(client, productId);
+
+  return result.rows[0];
+};
+
+// Drop a price that has not taken effect yet
+export const cancelScheduledPrice = async (client, productId, priceId) => {
+  const result = await client.query(`
+    SELECT * FROM product_prices WHERE id = $1 AND product_id = $2 FOR UPDATE
+  `, [priceId, productId]);
+
+  if (result.rows.length === 0) {
+    throw new AppError('Price not found', 404);
+  }
+  if (moment(result.rows[0].effective_from).format('YYYY-MM-DD') <= today()) {
+    throw new AppError('Only prices that have not taken effect yet can be cancelled', 400);
+  }
+
+  await client.query('DELETE FROM product_prices WHERE id = $1', [priceId]);
+  return result.rows[0];
+};
+
+// A product's prices, newest first, each with the last day it applied
+// (null while it is still current) and whether it is current or scheduled
+export const getPriceHistory = async (productId, { fromDate, toDate } = {}, client = pool) => {
+  const result = await client.query(`
+    SELECT * FROM (
+      SELECT pp.id, pp.price, pp.effective_from,
+             LEAD(pp.effective_from) OVER (ORDER BY pp.effective_from) - 1 as effective_to,
+             pp.reason, pp.created_by, s.name as created_by_name, pp.created_at
+      FROM product_prices pp
+      LEFT JOIN staff s ON pp.created_by = s.id
+      WHERE pp.product_id = $1
+    ) history
+    WHERE ($2::DATE IS NULL OR effective_to IS NULL OR effective_to >= $2)
+      AND ($3::DATE IS NULL OR effective_from <= $3)
+    ORDER BY effective_from DESC
+  `, [productId, fromDate || null, toDate || null]);
+
+  const now = today();
+  return result.rows.map((row) => {
+    const from = moment(row.effective_from).format('YYYY-MM-DD');
+    const to = row.effective_to ? moment(row.effective_to).format('YYYY-MM-DD') : null;
+    return {
+      ...row,
+      is_current: from <= now && (to === null || to >= now),
+      is_scheduled: from > now
+    };
+  });
+};
@@ -0,0 +1,144 @@
+import jwt from 'jsonwebtoken';
+import { Server } from 'socket.io';
+import { query } from '../config/database.js';
+import { hasPermission } from '../config/permissions.js';
+import { isSessionActive } from './session.service.js';
+
+let io = null;
+
+const ADMIN_ROOM = 'admin-room';
+const ADMIN_ROOM_PERMISSION = 'events.view';
+const vendorRoom = (vendorId) => `vendor-${vendorId}`;
+// Every socket joins the room of the session it authenticated with, so
+// revoking the session can disconnect it
+const sessionRoom = (sessionId) => `session-${sessionId}`;
+
+// Sockets authenticate with the same JWT as the REST API, sent either as
+// handshake auth ({ token }) or an Authorization header.
+const authenticateSocket = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth?.token
+      || socket.handshake.headers.authorization?.replace('Bearer ', '');
+    if (!token) {
+      return next(new Error('Access denied. No token provided.'));
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const subjectType = decoded.vendorId ? 'vendor' : 'staff';
+    if (!decoded.sid || !await isSessionActive(decoded.sid, subjectType, decoded.vendorId || decoded.staffId)) {
+      return next(new Error('Invalid token.'));
+    }
+    socket.data.sessionId = decoded.sid;
+
+    if (decoded.vendorId) {
+      const result = await query('SELECT id FROM vendors WHERE id = $1 AND is_active = true', [decoded.vendorId]);
+      if (result.rows.length === 0) {
+        return next(new Error('Invalid token.'));
+      }
+      socket.data.vendorId = result.rows[0].id;
+    } else if (decoded.staffId) {
+      const result = await query('SELECT id, role FROM staff WHERE id = $1 AND is_active = true', [decoded.staffId]);
+      if (result.rows.length === 0) {
+        return next(new Error('Invalid token.'));
+      }
+      socket.data.staffId = result.rows[0].id;
+      socket.data.staffRole = result.rows[0].role;
+    } else {
+      return next(new Error('Invalid token.'));
+    }
+
+    next();
+  } catch (error) {
+    next(new Error('Invalid token.'));
+  }
+};
+
+// Sessions revoked between connecting and joining a room must not get in
+const isSocketSessionActive = (socket) => isSessionActive(
+  socket.data.sessionId,
+  socket.data.vendorId ? 'vendor' : 'staff',
+  socket.data.vendorId || socket.data.staffId
+).catch((error) => {
+  console.error('Socket session check error:', error);
+  return false;
+});
+
+export const createSocketServer = (httpServer) => {
+  io = new Server(httpServer, {
+    cors: {
+      origin: process.env.FRONTEND_URL || "http://localhost:3000",
+      methods: ["GET", "POST"]
+    }
+  });
+
+  io.use(authenticateSocket);
+
+  io.on('connection', (socket) => {
+    console.log('Client connected:', socket.id);
+    socket.join(sessionRoom(socket.data.sessionId));
+
+    // Vendors can only ever join their own room, whatever ID they send
+    socket.on('join-vendor', async (vendorId) => {
+      if (!socket.data.vendorId || String(vendorId ?? socket.data.vendorId) !== String(socket.data.vendorId)) {
+        socket.emit('error', { error: 'Not allowed to join this vendor room' });
+        return;
+      }
+      if (!await isSocketSessionActive(socket)) {
+        socket.disconnect(true);
+        return;
+      }
+      socket.join(vendorRoom(socket.data.vendorId));
+      console.log(`Vendor ${socket.data.vendorId} joined their room`);
+    });
+
+    // The admin room carries every vendor's orders and stock levels
+    socket.on('join-admin', async () => {
+      if (!socket.data.staffId || !hasPermission(socket.data.staffRole, ADMIN_ROOM_PERMISSION)) {
+        socket.emit('error', { error: 'Not allowed to join the admin room' });
+        return;
+      }
+      if (!await isSocketSessionActive(socket)) {
+        socket.disconnect(true);
+        return;
+      }
+      socket.join(ADMIN_ROOM);
+      console.log('Admin joined admin room');
+    });
+
+    socket.on('disconnect', () => {
+      console.log('Client disconnected:', socket.id);
+    });
+  });
+
+  return io;
+};
+
+// Emitting is best effort: before the socket server exists (scripts,
+// tests) these are no-ops.
+export const emitToVendor = (vendorId, event, payload) => {
+  if (io) {
+    io.to(vendorRoom(vendorId)).emit(event, payload);
+  }
+};
+
+export const emitToAdmins = (event, payload) => {
+  if (io) {
+    io.to(ADMIN_ROOM).emit(event, payload);
+  }
+};
+
+// Disconnect the sockets of revoked sessions (logout, password change,
+// deactivation) so they stop receiving events
+export const disconnectSessions = (sessionIds) => {
+  if (io) {
+    for (const sessionId of sessionIds) {
+      io.in(sessionRoom(sessionId)).disconnectSockets(true);
+    }
+  }
+};
+
+export const emitOrderStatusChanged = (order) => {
+  const payload = { order_id: order.id, status: order.status, order_date: order.order_date, updated_at: order.updated_at };
+  emitToVendor(order.vendor_id, 'order:status-updated', payload);
+  emitToAdmins('order:status-updated', { ...payload, vendor_id: order.vendor_id });
+};
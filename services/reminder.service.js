@@ -0,0 +1,51 @@
+import { query } from '../config/database.js';
+import { emitToVendor } from './realtime.service.js';
+import { renderForVendor } from './template.service.js';
+
+// Notify every vendor with an open order on the given date. Orders that
+// already have a reminder are skipped, so re-running the job (even on a
+// later day) does not spam anyone.
+export const sendOrderReminders = async (orderDate) => {
+  const ordersResult = await query(`
+    SELECT o.id, o.vendor_id, o.total_amount, v.name, v.phone, v.language,
+           (
+             SELECT STRING_AGG(p.name || ' ' || oi.quantity || ' ' || p.unit, ', ' ORDER BY p.name)
+             FROM order_items oi
+             JOIN products p ON oi.product_id = p.id
+             WHERE oi.order_id = o.id
+           ) as product_list
+    FROM orders o
+    JOIN vendors v ON o.vendor_id = v.id
+    WHERE o.order_date = $1
+      AND o.status IN ('pending', 'processing')
+      AND v.is_active = true
+      AND NOT EXISTS (
+        SELECT 1 FROM notifications n
+        WHERE n.order_id = o.id AND n.type = 'order_reminder'
+      )
+  `, [orderDate]);
+
+  const reminders = [];
+  for (const order of ordersResult.rows) {
+    const content = await renderForVendor('order_reminder', order, {
+      order_id: order.id,
+      order_total: order.total_amount,
+      date: orderDate,
+      product_list: order.product_list
+    }) || {
+      title: 'Order arriving today',
+      message: `Your order #${order.id} worth ₹${order.total_amount} is scheduled for delivery on ${orderDate}.`
+    };
+
+    const result = await query(`
+      INSERT INTO notifications (vendor_id, order_id, type, title, message, sent_via)
+      VALUES ($1, $2, 'order_reminder', $3, $4, 'app')
+      RETURNING *
+    `, [order.vendor_id, order.id, content.title, content.message]);
+
+    emitToVendor(order.vendor_id, 'notification:new', result.rows[0]);
+    reminders.push(result.rows[0]);
+  }
+
+  return reminders;
+};
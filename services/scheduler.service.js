@@ -0,0 +1,205 @@
+import { CronJob } from 'cron';
+import { query } from '../config/database.js';
+import { businessDate } from '../utils/dates.js';
+import { AppError } from '../utils/errors.js';
+import { generateDailyOrders } from './order-generation.service.js';
+import { sendOrderReminders } from './reminder.service.js';
+import { processDueDeliveries } from './notification-delivery.service.js';
+import { syncCurrentPrices } from './product-price.service.js';
+
+// Convert an "HH:mm" setting into a daily cron expression
+const toCronTime = (time, fallback) => {
+  const [hour, minute] = (time || fallback).split(':').map((part) => parseInt(part));
+  if (Number.isNaN(hour) || Number.isNaN(minute)) {
+    return toCronTime(fallback, fallback);
+  }
+  return `${minute} ${hour} * * *`;
+};
+
+// Each job returns { processed_count, success_count, failure_count, details }
+const jobDefinitions = {
+  'daily-order-generation': {
+    description: 'Generate the next day\'s orders from vendor daily needs',
+    cronTime: toCronTime(process.env.DAILY_ORDER_GENERATION_TIME, '21:00'),
+    run: async ({ target_date } = {}) => {
+      const orderDate = target_date || businessDate(1);
+      const report = await generateDailyOrders(orderDate);
+      return {
+        processed_count: report.created.length + report.already_present.length + report.held.length + report.skipped.length + report.failed.length,
+        success_count: report.created.length,
+        failure_count: report.failed.length,
+        details: report
+      };
+    }
+  },
+  'morning-reminders': {
+    description: 'Remind vendors about the orders being delivered today',
+    cronTime: toCronTime(process.env.REMINDER_TIME, '08:00'),
+    run: async ({ target_date } = {}) => {
+      const orderDate = target_date || businessDate();
+      const reminders = await sendOrderReminders(orderDate);
+      return {
+        processed_count: reminders.length,
+        success_count: reminders.length,
+        failure_count: 0,
+        details: { order_date: orderDate, notification_ids: reminders.map((n) => n.id) }
+      };
+    }
+  },
+  'price-updates': {
+    description: 'Switch products to prices scheduled to start today',
+    cronTime: toCronTime(process.env.PRICE_UPDATE_TIME, '00:05'),
+    run: async () => {
+      const updated = await syncCurrentPrices();
+      return {
+        processed_count: updated.length,
+        success_count: updated.length,
+        failure_count: 0,
+        details: { products: updated }
+      };
+    }
+  },
+  'notification-retries': {
+    description: 'Retry email, SMS and WhatsApp deliveries whose backoff has elapsed',
+    cronTime: process.env.NOTIFICATION_RETRY_CRON || '*/5 * * * *',
+    run: async () => {
+      const results = await processDueDeliveries();
+      const sent = results.filter((delivery) => delivery.status === 'sent').length;
+      return {
+        processed_count: results.length,
+        success_count: sent,
+        failure_count: results.length - sent,
+        details: { delivery_ids: results.map((delivery) => delivery.id) }
+      };
+    }
+  }
+};
+
+const cronJobs = {};
+const runningJobs = new Set();
+
+const getJobDefinition = (jobName) => {
+  const definition = jobDefinitions[jobName];
+  if (!definition) {
+    throw new AppError(`Unknown job: ${jobName}`, 404);
+  }
+  return definition;
+};
+
+const isJobPaused = async (jobName) => {
+  const result = await query('SELECT is_paused FROM scheduled_jobs WHERE job_name = $1', [jobName]);
+  return result.rows.length > 0 && result.rows[0].is_paused;
+};
+
+// Execute a job and record the run. Scheduled runs respect the paused
+// flag; manual runs always execute. Only one run per job at a time.
+export const runJob = async (jobName, { trigger = 'schedule', staffId = null, params = {} } = {}) => {
+  const definition = getJobDefinition(jobName);
+
+  if (trigger === 'schedule' && await isJobPaused(jobName)) {
+    console.log(`⏸️ Skipping paused job ${jobName}`);
+    return null;
+  }
+
+  if (runningJobs.has(jobName)) {
+    throw new AppError(`Job ${jobName} is already running`, 409);
+  }
+  runningJobs.add(jobName);
+
+  try {
+    const runResult = await query(`
+      INSERT INTO job_runs (job_name, trigger, status, triggered_by)
+      VALUES ($1, $2, 'running', $3)
+      RETURNING *
+    `, [jobName, trigger, staffId]);
+    const runId = runResult.rows[0].id;
+
+    try {
+      const outcome = await definition.run(params);
+
+      const finished = await query(`
+        UPDATE job_runs
+        SET status = 'completed', processed_count = $1, success_count = $2, failure_count = $3,
+            details = $4, finished_at = CURRENT_TIMESTAMP
+        WHERE id = $5
+        RETURNING *
+      `, [outcome.processed_count, outcome.success_count, outcome.failure_count, JSON.stringify(outcome.details || {}), runId]);
+
+      return finished.rows[0];
+    } catch (error) {
+      console.error(`❌ Job ${jobName} failed:`, error);
+      const failed = await query(`
+        UPDATE job_runs
+        SET status = 'failed', error_message = $1, finished_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+        RETURNING *
+      `, [error.message, runId]);
+
+      return failed.rows[0];
+    }
+  } finally {
+    runningJobs.delete(jobName);
+  }
+};
+
+export const setJobPaused = async (jobName, isPaused, staffId) => {
+  getJobDefinition(jobName);
+
+  const result = await query(`
+    INSERT INTO scheduled_jobs (job_name, is_paused, updated_by, updated_at)
+    VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+    ON CONFLICT (job_name) DO UPDATE
+    SET is_paused = EXCLUDED.is_paused, updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP
+    RETURNING *
+  `, [jobName, isPaused, staffId]);
+
+  return result.rows[0];
+};
+
+export const listJobs = async () => {
+  const stateResult = await query('SELECT * FROM scheduled_jobs');
+  const lastRunResult = await query(`
+    SELECT DISTINCT ON (job_name) *
+    FROM job_runs
+    ORDER BY job_name, started_at DESC
+  `);
+
+  return Object.entries(jobDefinitions).map(([name, definition]) => {
+    const state = stateResult.rows.find((row) => row.job_name === name);
+    const cronJob = cronJobs[name];
+    return {
+      name,
+      description: definition.description,
+      cron_time: definition.cronTime,
+      is_paused: state ? state.is_paused : false,
+      is_running: runningJobs.has(name),
+      next_run_at: cronJob ? cronJob.nextDate().toISO() : null,
+      last_run: lastRunResult.rows.find((row) => row.job_name === name) || null
+    };
+  });
+};
+
+export const startScheduler = () => {
+  const timeZone = process.env.CRON_TIMEZONE || undefined;
+
+  for (const [name, definition] of Object.entries(jobDefinitions)) {
+    if (cronJobs[name]) {
+      continue;
+    }
+
+    cronJobs[name] = CronJob.from({
+      cronTime: definition.cronTime,
+      onTick: () => runJob(name).catch((error) => console.error(`❌ Scheduled job ${name} error:`, error)),
+      start: true,
+      timeZone
+    });
+    console.log(`⏰ Scheduled ${name} at "${definition.cronTime}"`);
+  }
+};
+
+export const stopScheduler = () => {
+  for (const name of Object.keys(cronJobs)) {
+    cronJobs[name].stop();
+    delete cronJobs[name];
+  }
+};
@@ -0,0 +1,130 @@
+import jwt from 'jsonwebtoken';
+import { v4 as uuidv4 } from 'uuid';
+import { query, withTransaction } from '../config/database.js';
+import { AppError } from '../utils/errors.js';
+import { generateToken, hashToken } from '../utils/password.js';
+import { disconnectSessions } from './realtime.service.js';
+
+// A session is one login on one device. Access tokens are short-lived
+// JWTs carrying the session id (sid), so revoking the session cuts them
+// off immediately. Refresh tokens are opaque, stored hashed, and rotate
+// on every use; presenting an already-used refresh token means it was
+// copied, and the whole session is revoked. Revoking a session also
+// disconnects its sockets.
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+const CLAIM_BY_SUBJECT = {
+  vendor: 'vendorId',
+  staff: 'staffId'
+};
+
+const signAccessToken = (session) => jwt.sign(
+  { [CLAIM_BY_SUBJECT[session.subject_type]]: session.subject_id, sid: session.id },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+);
+
+const issueRefreshToken = async (client, sessionId) => {
+  const refreshToken = generateToken();
+  await client.query(`
+    INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+    VALUES ($1, $2, CURRENT_TIMESTAMP + $3 * INTERVAL '1 day')
+  `, [sessionId, hashToken(refreshToken), REFRESH_TOKEN_EXPIRES_DAYS]);
+  return refreshToken;
+};
+
+// Start a session after a successful login
+export const createSession = (subjectType, subjectId, { userAgent, ip } = {}) => withTransaction(async (client) => {
+  const sessionResult = await client.query(`
+    INSERT INTO auth_sessions (id, subject_type, subject_id, user_agent, ip_address)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING *
+  `, [uuidv4(), subjectType, subjectId, userAgent, ip]);
+
+  const session = sessionResult.rows[0];
+  const refreshToken = await issueRefreshToken(client, session.id);
+
+  return {
+    token: signAccessToken(session),
+    refresh_token: refreshToken,
+    expires_in: ACCESS_TOKEN_EXPIRES_IN
+  };
+});
+
+// Exchange a refresh token for a new access and refresh token pair
+export const refreshSession = (refreshToken, subjectType) => withTransaction(async (client) => {
+  const tokenResult = await client.query(`
+    SELECT rt.*, s.subject_type, s.subject_id, s.revoked_at as session_revoked_at
+    FROM refresh_tokens rt
+    JOIN auth_sessions s ON rt.session_id = s.id
+    WHERE rt.token_hash = $1
+    FOR UPDATE OF rt
+  `, [hashToken(refreshToken)]);
+
+  const stored = tokenResult.rows[0];
+  if (!stored || stored.subject_type !== subjectType || stored.session_revoked_at) {
+    throw new AppError('Invalid refresh token', 401);
+  }
+
+  if (stored.used_at) {
+    await client.query(`
+      UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'refresh_token_reuse'
+      WHERE id = $1
+    `, [stored.session_id]);
+    return { reused: true, sessionId: stored.session_id };
+  }
+
+  if (new Date(stored.expires_at) <= new Date()) {
+    throw new AppError('Refresh token has expired. Please log in again', 401);
+  }
+
+  await client.query('UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = $1', [stored.id]);
+  await client.query('UPDATE auth_sessions SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1', [stored.session_id]);
+
+  const newRefreshToken = await issueRefreshToken(client, stored.session_id);
+
+  return {
+    token: signAccessToken({ id: stored.session_id, subject_type: stored.subject_type, subject_id: stored.subject_id }),
+    refresh_token: newRefreshToken,
+    expires_in: ACCESS_TOKEN_EXPIRES_IN,
+    subject_id: stored.subject_id
+  };
+}).then((result) => {
+  // Revocation above has to commit, so the error is raised afterwards
+  if (result.reused) {
+    disconnectSessions([result.sessionId]);
+    throw new AppError('Refresh token has already been used. Please log in again', 401);
+  }
+  return result;
+});
+
+export const revokeSession = async (sessionId, reason = 'logout') => {
+  await query(`
+    UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+    WHERE id = $1 AND revoked_at IS NULL
+  `, [sessionId, reason]);
+  disconnectSessions([sessionId]);
+};
+
+// Log a vendor or staff member out everywhere, optionally keeping one
+// session (the caller's own). Returns how many sessions ended.
+export const revokeAllSessions = async (subjectType, subjectId, reason = 'logout_all', exceptSessionId = null) => {
+  const result = await query(`
+    UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $3
+    WHERE subject_type = $1 AND subject_id = $2 AND revoked_at IS NULL
+      AND ($4::UUID IS NULL OR id <> $4::UUID)
+    RETURNING id
+  `, [subjectType, subjectId, reason, exceptSessionId]);
+  disconnectSessions(result.rows.map((row) => row.id));
+  return result.rowCount;
+};
+
+export const isSessionActive = async (sessionId, subjectType, subjectId) => {
+  const result = await query(`
+    SELECT 1 FROM auth_sessions
+    WHERE id = $1 AND subject_type = $2 AND subject_id = $3 AND revoked_at IS NULL
+  `, [sessionId, subjectType, subjectId]);
+  return result.rows.length > 0;
+};
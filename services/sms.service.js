@@ -0,0 +1,45 @@
+import { AppError } from '../utils/errors.js';
+import { getProvider } from './notification-providers.js';
+
+// Pluggable SMS sender used for OTPs. Messages go through the SMS
+// delivery provider (see notification-providers.js), so without Twilio
+// settings sending fails rather than printing the code. Tests can swap
+// the sender with setSmsSender(), e.g. for consoleSmsSender.
+
+const consoleSmsSender = {
+  name: 'console',
+  async send(phone, message) {
+    console.log(`📱 [SMS to ${phone}] ${message}`);
+    return { provider: 'console', delivered: true };
+  }
+};
+
+const providerSmsSender = {
+  name: 'provider',
+  async send(phone, message) {
+    try {
+      const result = await getProvider('sms').send({ to: phone, message });
+      return { provider: getProvider('sms').name, delivered: true, ...result };
+    } catch (error) {
+      console.error('Send SMS error:', error.message);
+      throw new AppError('Could not send the SMS. Please try again later', 503);
+    }
+  }
+};
+
+let activeSender = providerSmsSender;
+
+export const setSmsSender = (sender) => {
+  if (!sender || typeof sender.send !== 'function') {
+    throw new Error('SMS sender must implement send(phone, message)');
+  }
+  activeSender = sender;
+};
+
+export const resetSmsSender = () => {
+  activeSender = providerSmsSender;
+};
+
+export const sendSms = (phone, message) => activeSender.send(phone, message);
+
+export { consoleSmsSender };
@@ -0,0 +1,72 @@
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+
+// Where uploaded files live. Files are addressed by a key (a relative
+// path such as "delivery-proofs/<uuid>.jpg") that is stored in the
+// database, so moving to another backend only means providing the same
+// saveFile / openFile / deleteFile functions.
+
+const UPLOAD_ROOT = path.resolve(process.env.UPLOAD_PATH || './uploads');
+
+// Keys come from our own database, but never let one escape the upload root
+const resolveKey = (key) => {
+  const filePath = path.resolve(UPLOAD_ROOT, key);
+  if (!filePath.startsWith(UPLOAD_ROOT + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+// Save a buffer under a folder and return its key
+export const saveFile = async (folder, buffer, extension) => {
+  const key = path.posix.join(folder, `${uuidv4()}${extension}`);
+  const filePath = resolveKey(key);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, buffer);
+  return key;
+};
+
+// Open a stored file for streaming, or null if it no longer exists
+export const openFile = async (key) => {
+  const filePath = resolveKey(key);
+  try {
+    const stats = await fs.stat(filePath);
+    return { stream: createReadStream(filePath), size: stats.size };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+export const deleteFile = async (key) => {
+  try {
+    await fs.unlink(resolveKey(key));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+};
+
+// Stream a stored file as the response, or 404 when it is missing
+export const sendStoredFile = async (res, key, { mimetype, cacheControl = 'private, max-age=86400' }) => {
+  const file = key ? await openFile(key) : null;
+  if (!file) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+
+  res.set({
+    'Content-Type': mimetype,
+    'Content-Length': file.size,
+    'Cache-Control': cacheControl
+  });
+  file.stream.on('error', (error) => {
+    console.error('Stream stored file error:', error);
+    res.destroy(error);
+  });
+  file.stream.pipe(res);
+};
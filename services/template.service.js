@@ -0,0 +1,59 @@
+import { query } from '../config/database.js';
+
+export const TEMPLATE_LANGUAGES = ['en', 'hi', 'mr', 'ta', 'bn'];
+const FALLBACK_LANGUAGE = 'en';
+
+// notifications.title is VARCHAR(100)
+const TITLE_MAX_LENGTH = 100;
+
+// Replace {{placeholder}} tokens with values from variables. Unknown
+// placeholders render as an empty string rather than leaking braces.
+export const renderText = (text, variables = {}) => text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+  const value = variables[name];
+  return value === undefined || value === null ? '' : String(value);
+});
+
+// Shorten a rendered title that would not fit the notifications table,
+// e.g. one with a long product or vendor name. Counts characters rather
+// than UTF-16 code units, as Postgres does.
+export const fitTitle = (title) => {
+  const characters = Array.from(title);
+  return characters.length > TITLE_MAX_LENGTH
+    ? `${characters.slice(0, TITLE_MAX_LENGTH - 1).join('')}…`
+    : title;
+};
+
+// Find the template for a type in the requested language, falling back
+// to English. Returns null when neither exists.
+export const findTemplate = async (type, language) => {
+  const result = await query(`
+    SELECT * FROM notification_templates
+    WHERE type = $1 AND language = ANY($2::VARCHAR[]) AND is_active = true
+    ORDER BY CASE WHEN language = $3 THEN 0 ELSE 1 END
+    LIMIT 1
+  `, [type, [language || FALLBACK_LANGUAGE, FALLBACK_LANGUAGE], language || FALLBACK_LANGUAGE]);
+
+  return result.rows[0] || null;
+};
+
+// Render a notification for a vendor in their language. Vendor fields
+// are available to every template as {{vendor_name}} and {{vendor_phone}}.
+export const renderForVendor = async (type, vendor, variables = {}) => {
+  const template = await findTemplate(type, vendor.language);
+  if (!template) {
+    return null;
+  }
+
+  const allVariables = {
+    vendor_name: vendor.name,
+    vendor_phone: vendor.phone,
+    ...variables
+  };
+
+  return {
+    template_id: template.id,
+    language: template.language,
+    title: fitTitle(renderText(template.title, allVariables)),
+    message: renderText(template.body, allVariables)
+  };
+};
@@ -0,0 +1,98 @@
+import moment from 'moment';
+import { query } from '../config/database.js';
+import { businessDate } from '../utils/dates.js';
+import { AppError } from '../utils/errors.js';
+import { closeOrderStop } from './delivery.service.js';
+import { applyOrderStatusChange } from './order-status.service.js';
+
+// Vendors pause deliveries for a date range (holidays, festivals, repairs).
+// A paused day is skipped by order generation and the packing list, the
+// same as a day cancelled through cancelled_orders.
+
+export const getPausedVendorIds = async (date) => {
+  const result = await query(`
+    SELECT vendor_id FROM vendor_pauses
+    WHERE cancelled_at IS NULL AND start_date <= $1 AND end_date >= $1
+  `, [date]);
+  return new Set(result.rows.map((row) => row.vendor_id));
+};
+
+// Orders already generated for the skipped days are cancelled, as long as
+// packing has not started on them.
+export const cancelOrdersInRange = async (client, vendorId, startDate, endDate, reason) => {
+  const ordersResult = await client.query(`
+    SELECT * FROM orders
+    WHERE vendor_id = $1 AND order_date BETWEEN $2 AND $3
+      AND order_type = 'daily' AND status IN ('pending', 'on_hold')
+    FOR UPDATE
+  `, [vendorId, startDate, endDate]);
+
+  const cancelled = [];
+  for (const order of ordersResult.rows) {
+    const updated = await applyOrderStatusChange(client, order, 'cancelled', { reason });
+    await closeOrderStop(client, updated);
+    cancelled.push(updated);
+  }
+
+  return cancelled;
+};
+
+export const createPause = async (client, vendorId, { startDate, endDate, reason }) => {
+  const overlapResult = await client.query(`
+    SELECT id, start_date, end_date FROM vendor_pauses
+    WHERE vendor_id = $1 AND cancelled_at IS NULL
+      AND start_date <= $3 AND end_date >= $2
+    LIMIT 1
+  `, [vendorId, startDate, endDate]);
+
+  if (overlapResult.rows.length > 0) {
+    throw new AppError('This pause overlaps an existing pause', 400, overlapResult.rows[0]);
+  }
+
+  const result = await client.query(`
+    INSERT INTO vendor_pauses (vendor_id, start_date, end_date, reason)
+    VALUES ($1, $2, $3, $4)
+    RETURNING *
+  `, [vendorId, startDate, endDate, reason]);
+
+  const cancelledOrders = await cancelOrdersInRange(client, vendorId, startDate, endDate, 'Vendor paused deliveries');
+
+  return { pause: result.rows[0], cancelled_orders: cancelledOrders };
+};
+
+// End a pause early. A pause that has not started yet is cancelled
+// outright; one in progress ends today, so deliveries resume tomorrow.
+export const endPause = async (client, vendorId, pauseId) => {
+  const pauseResult = await client.query(`
+    SELECT * FROM vendor_pauses
+    WHERE id = $1 AND vendor_id = $2 AND cancelled_at IS NULL
+    FOR UPDATE
+  `, [pauseId, vendorId]);
+
+  if (pauseResult.rows.length === 0) {
+    throw new AppError('Pause not found', 404);
+  }
+
+  const pause = pauseResult.rows[0];
+  const today = businessDate();
+
+  if (moment(pause.end_date).format('YYYY-MM-DD') < today) {
+    throw new AppError('This pause has already ended', 400);
+  }
+
+  if (moment(pause.start_date).format('YYYY-MM-DD') > today) {
+    const result = await client.query(`
+      UPDATE vendor_pauses SET cancelled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [pauseId]);
+    return result.rows[0];
+  }
+
+  const result = await client.query(`
+    UPDATE vendor_pauses SET end_date = $1, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $2
+    RETURNING *
+  `, [today, pauseId]);
+  return result.rows[0];
+};
@@ -0,0 +1,40 @@
+import { jest } from '@jest/globals';
+
+// A stand-in for a pg client. Statements are routed to handlers by their
+// verb and the table they work on ("SELECT orders", "INSERT order_items"),
+// so rewording a query does not change which handler answers it. A
+// statement without a handler fails the test instead of quietly returning
+// no rows.
+
+export const statementKey = (sql) => {
+  const text = sql.replace(/\s+/g, ' ').trim();
+  const verb = text.split(' ')[0].toUpperCase();
+  const target = {
+    SELECT: /\bFROM (\w+)/i,
+    INSERT: /^INSERT INTO (\w+)/i,
+    UPDATE: /^UPDATE (\w+)/i,
+    DELETE: /^DELETE FROM (\w+)/i
+  }[verb]?.exec(text)
+    // A SELECT without a table, e.g. SELECT pg_advisory_xact_lock(...)
+    || (verb === 'SELECT' ? /^SELECT (\w+)/i.exec(text) : null);
+
+  return target ? `${verb} ${target[1]}` : verb;
+};
+
+export const fakeClient = (handlers = {}) => {
+  const client = {
+    query: jest.fn(async (sql, params = []) => {
+      const key = statementKey(sql);
+      if (!handlers[key]) {
+        throw new Error(`Unexpected query (${key}): ${sql}`);
+      }
+      return (await handlers[key](params, sql)) || { rows: [] };
+    }),
+    // Parameters of every statement sent with the given key, in order
+    paramsOf: (key) => client.query.mock.calls
+      .filter(([sql]) => statementKey(sql) === key)
+      .map(([, params]) => params)
+  };
+
+  return client;
+};
@@ -0,0 +1,185 @@
+import { jest } from '@jest/globals';
+import { fakeClient } from './helpers/fake-client.js';
+
+// An in-memory stand-in for the tables generateDailyOrders reads and
+// writes. INSERT INTO orders honours the unique daily order per vendor
+// and date the same way ON CONFLICT DO NOTHING does.
+const db = {
+  vendors: [],
+  orders: [],
+  orderItems: [],
+  cancelledOrders: [],
+  // Run before an order insert, to simulate another run getting there first
+  beforeOrderInsert: null
+};
+
+const findDailyOrder = (vendorId, orderDate) => db.orders
+  .find((order) => order.vendor_id === vendorId && order.order_date === orderDate && order.order_type === 'daily');
+
+const client = fakeClient({
+  'SELECT vendors': () => ({ rows: db.vendors }),
+  'SELECT orders': ([orderDate]) => ({
+    rows: db.orders.filter((order) => order.order_date === orderDate && order.order_type === 'daily')
+  }),
+  'SELECT cancelled_orders': ([vendorId, cancelDate]) => ({
+    rows: db.cancelledOrders.filter((row) => row.vendor_id === vendorId && row.cancel_date === cancelDate)
+  }),
+  'SELECT extra_orders': () => ({ rows: [] }),
+  'INSERT orders': ([vendorId, orderDate, totalAmount, status, deliveryAddress]) => {
+    db.beforeOrderInsert?.(vendorId, orderDate);
+    if (findDailyOrder(vendorId, orderDate)) {
+      return { rows: [] };
+    }
+    const order = { id: db.orders.length + 1, vendor_id: vendorId, order_date: orderDate, total_amount: totalAmount, status, delivery_address: deliveryAddress, order_type: 'daily' };
+    db.orders.push(order);
+    return { rows: [order] };
+  },
+  'INSERT order_items': ([orderId, productId, quantity, unitPrice, totalPrice]) => {
+    db.orderItems.push({ order_id: orderId, product_id: productId, quantity, unit_price: unitPrice, total_price: totalPrice });
+  }
+});
+
+jest.unstable_mockModule('../config/database.js', () => ({
+  pool: client,
+  query: client.query,
+  withTransaction: (callback) => callback(client)
+}));
+
+const checkCredit = jest.fn();
+const debitOrder = jest.fn();
+jest.unstable_mockModule('../services/ledger.service.js', () => ({ checkCredit, debitOrder, CREDIT_LIMIT_ACTION: 'hold' }));
+
+const reserveOrderStock = jest.fn(async () => []);
+jest.unstable_mockModule('../services/inventory.service.js', () => ({ reserveOrderStock }));
+
+jest.unstable_mockModule('../services/realtime.service.js', () => ({
+  emitToAdmins: jest.fn(),
+  emitToVendor: jest.fn()
+}));
+
+const recordStatusHistory = jest.fn();
+jest.unstable_mockModule('../services/order-status.service.js', () => ({ recordStatusHistory }));
+
+const needs = new Map();
+jest.unstable_mockModule('../services/daily-needs.service.js', () => ({
+  getScheduledNeeds: jest.fn(async (orderDate, { vendorId }) => needs.get(vendorId) || [])
+}));
+
+const pausedVendorIds = new Set();
+jest.unstable_mockModule('../services/vendor-pause.service.js', () => ({
+  getPausedVendorIds: jest.fn(async () => pausedVendorIds)
+}));
+
+const effectivePrices = new Map();
+jest.unstable_mockModule('../services/product-price.service.js', () => ({
+  getEffectivePrices: jest.fn(async (productIds) => new Map(productIds
+    .filter((productId) => effectivePrices.has(productId))
+    .map((productId) => [productId, effectivePrices.get(productId)])))
+}));
+
+const { generateDailyOrders } = await import('../services/order-generation.service.js');
+
+const ORDER_DATE = '2026-10-19';
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.vendors = [
+    { id: 1, name: 'Tea stall', address: 'MG Road' },
+    { id: 2, name: 'Chaat corner', address: 'Park Street' }
+  ];
+  db.orders = [];
+  db.orderItems = [];
+  db.cancelledOrders = [];
+  db.beforeOrderInsert = null;
+  needs.clear();
+  needs.set(1, [{ product_id: 11, quantity: 2, price: '40.00' }]);
+  needs.set(2, [{ product_id: 12, quantity: 5, price: '10.00' }, { product_id: 11, quantity: 1, price: '40.00' }]);
+  pausedVendorIds.clear();
+  effectivePrices.clear();
+  checkCredit.mockResolvedValue({ within_limit: true, available_credit: 1000 });
+});
+
+describe('generateDailyOrders', () => {
+  test('creates one pending order per vendor with its daily needs', async () => {
+    const report = await generateDailyOrders(ORDER_DATE);
+
+    expect(report.created.map((entry) => entry.vendor_id)).toEqual([1, 2]);
+    expect(db.orders).toHaveLength(2);
+    expect(db.orders.every((order) => order.status === 'pending')).toBe(true);
+    expect(db.orderItems.filter((item) => item.order_id === db.orders[1].id)).toHaveLength(2);
+    expect(debitOrder).toHaveBeenCalledTimes(2);
+    expect(reserveOrderStock).toHaveBeenCalledTimes(2);
+  });
+
+  test('a second run for the same date creates nothing', async () => {
+    await generateDailyOrders(ORDER_DATE);
+    jest.clearAllMocks();
+
+    const report = await generateDailyOrders(ORDER_DATE);
+
+    expect(report.created).toEqual([]);
+    expect(report.already_present).toEqual([
+      { vendor_id: 1, vendor_name: 'Tea stall', order_id: 1 },
+      { vendor_id: 2, vendor_name: 'Chaat corner', order_id: 2 }
+    ]);
+    expect(db.orders).toHaveLength(2);
+    expect(db.orderItems).toHaveLength(3);
+    expect(debitOrder).not.toHaveBeenCalled();
+    expect(reserveOrderStock).not.toHaveBeenCalled();
+  });
+
+  test('an order created by a concurrent run is reported, not duplicated', async () => {
+    db.beforeOrderInsert = (vendorId, orderDate) => {
+      if (vendorId === 1 && !findDailyOrder(vendorId, orderDate)) {
+        db.orders.push({ id: 99, vendor_id: 1, order_date: orderDate, order_type: 'daily', status: 'pending' });
+      }
+    };
+
+    const report = await generateDailyOrders(ORDER_DATE);
+
+    expect(report.already_present).toEqual([{ vendor_id: 1, vendor_name: 'Tea stall' }]);
+    expect(report.created.map((entry) => entry.vendor_id)).toEqual([2]);
+    expect(db.orderItems.some((item) => item.order_id === 99)).toBe(false);
+    expect(debitOrder).toHaveBeenCalledTimes(1);
+  });
+
+  test('charges the price effective on the order date', async () => {
+    effectivePrices.set(11, 45);
+
+    await generateDailyOrders(ORDER_DATE);
+
+    const teaOrder = db.orders.find((order) => order.vendor_id === 1);
+    expect(teaOrder.total_amount).toBe(90);
+    expect(db.orderItems.find((item) => item.order_id === teaOrder.id)).toMatchObject({ unit_price: 45, total_price: 90 });
+
+    // Products without a price row keep their catalog price
+    const chaatItems = db.orderItems.filter((item) => item.order_id === db.orders.find((order) => order.vendor_id === 2).id);
+    expect(chaatItems.map((item) => item.unit_price)).toEqual([10, 45]);
+  });
+
+  test('skips paused vendors, cancelled days and vendors with nothing due', async () => {
+    db.vendors.push({ id: 3, name: 'Juice bar', address: 'Beach Road' });
+    pausedVendorIds.add(1);
+    db.cancelledOrders.push({ vendor_id: 2, cancel_date: ORDER_DATE });
+
+    const report = await generateDailyOrders(ORDER_DATE);
+
+    expect(report.skipped).toEqual([
+      { vendor_id: 1, vendor_name: 'Tea stall', reason: 'paused' },
+      { vendor_id: 2, vendor_name: 'Chaat corner', reason: 'cancelled' },
+      { vendor_id: 3, vendor_name: 'Juice bar', reason: 'no_active_items' }
+    ]);
+    expect(db.orders).toEqual([]);
+  });
+
+  test('holds orders over the credit limit without charging them', async () => {
+    checkCredit.mockResolvedValueOnce({ within_limit: false, available_credit: 20 });
+
+    const report = await generateDailyOrders(ORDER_DATE);
+
+    expect(report.held).toEqual([{ order_id: 1, vendor_id: 1, vendor_name: 'Tea stall', total_amount: 80, available_credit: 20 }]);
+    expect(db.orders[0].status).toBe('on_hold');
+    expect(debitOrder).toHaveBeenCalledTimes(1);
+    expect(debitOrder.mock.calls[0][1].vendor_id).toBe(2);
+  });
+});
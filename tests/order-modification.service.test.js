@@ -0,0 +1,51 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../services/inventory.service.js', () => ({
+  releaseOrderStock: jest.fn(),
+  reserveOrderStock: jest.fn()
+}));
+jest.unstable_mockModule('../services/ledger.service.js', () => ({
+  checkCredit: jest.fn(),
+  postLedgerEntry: jest.fn()
+}));
+jest.unstable_mockModule('../services/product-price.service.js', () => ({ getEffectivePrices: jest.fn() }));
+
+const { getModificationCutoff, isBeforeCutoff } = await import('../services/order-modification.service.js');
+const moment = (await import('moment')).default;
+
+const originalTimeZone = process.env.CRON_TIMEZONE;
+
+beforeEach(() => {
+  process.env.CRON_TIMEZONE = 'Asia/Kolkata';
+});
+
+afterEach(() => {
+  if (originalTimeZone === undefined) {
+    delete process.env.CRON_TIMEZONE;
+  } else {
+    process.env.CRON_TIMEZONE = originalTimeZone;
+  }
+});
+
+describe('getModificationCutoff', () => {
+  test('falls at the cutoff time in CRON_TIMEZONE on the day before the order', () => {
+    // 23:00 in India is 17:30 UTC
+    expect(getModificationCutoff('2026-10-19').toISOString()).toBe('2026-10-18T17:30:00.000Z');
+  });
+
+  test('follows daylight saving time in CRON_TIMEZONE', () => {
+    process.env.CRON_TIMEZONE = 'Europe/London';
+
+    expect(getModificationCutoff('2026-07-02').toISOString()).toBe('2026-07-01T22:00:00.000Z');
+    expect(getModificationCutoff('2026-12-02').toISOString()).toBe('2026-12-01T23:00:00.000Z');
+  });
+});
+
+describe('isBeforeCutoff', () => {
+  test('compares against the cutoff in CRON_TIMEZONE', () => {
+    expect(isBeforeCutoff('2026-10-19', moment('2026-10-18T17:29:00Z'))).toBe(true);
+    expect(isBeforeCutoff('2026-10-19', moment('2026-10-18T17:30:00Z'))).toBe(false);
+    // 23:00 UTC is already the delivery day in India
+    expect(isBeforeCutoff('2026-10-19', moment('2026-10-18T23:00:00Z'))).toBe(false);
+  });
+});
@@ -0,0 +1,116 @@
+import { jest } from '@jest/globals';
+import { fakeClient } from './helpers/fake-client.js';
+
+const applyOrderStatusToStock = jest.fn();
+const reverseOrderCharges = jest.fn();
+const createInvoiceForOrder = jest.fn();
+
+jest.unstable_mockModule('../services/inventory.service.js', () => ({ applyOrderStatusToStock }));
+jest.unstable_mockModule('../services/ledger.service.js', () => ({ reverseOrderCharges }));
+jest.unstable_mockModule('../services/invoice.service.js', () => ({ createInvoiceForOrder }));
+
+const {
+  ORDER_STATUSES,
+  applyOrderStatusChange,
+  assertTransition,
+  canTransition
+} = await import('../services/order-status.service.js');
+const { AppError } = await import('../utils/errors.js');
+
+// Answers the status update with the order in its new status
+const statusClient = () => fakeClient({
+  'UPDATE orders': ([status, orderId]) => ({ rows: [{ id: orderId, status }] }),
+  'INSERT order_status_history': () => ({ rows: [] })
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('order status transitions', () => {
+  test.each([
+    ['on_hold', 'pending'],
+    ['on_hold', 'cancelled'],
+    ['pending', 'processing'],
+    ['pending', 'cancelled'],
+    ['processing', 'out_for_delivery'],
+    ['processing', 'cancelled'],
+    ['out_for_delivery', 'delivered'],
+    ['out_for_delivery', 'cancelled']
+  ])('allows %s to %s', (from, to) => {
+    expect(canTransition(from, to)).toBe(true);
+    expect(() => assertTransition(from, to)).not.toThrow();
+  });
+
+  test.each([
+    ['pending', 'delivered'],
+    ['pending', 'out_for_delivery'],
+    ['processing', 'pending'],
+    ['out_for_delivery', 'processing'],
+    ['pending', 'on_hold'],
+    ['delivered', 'cancelled'],
+    ['cancelled', 'pending']
+  ])('refuses %s to %s', (from, to) => {
+    expect(canTransition(from, to)).toBe(false);
+    expect(() => assertTransition(from, to)).toThrow(AppError);
+  });
+
+  test('delivered and cancelled are final', () => {
+    for (const status of ORDER_STATUSES) {
+      expect(canTransition('delivered', status)).toBe(false);
+      expect(canTransition('cancelled', status)).toBe(false);
+    }
+  });
+
+  test('unknown statuses cannot move anywhere', () => {
+    expect(canTransition('lost', 'pending')).toBe(false);
+  });
+
+  test('reports the allowed next statuses', () => {
+    let error;
+    try {
+      assertTransition('pending', 'delivered');
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toMatchObject({
+      status: 400,
+      message: 'Cannot change order status from pending to delivered',
+      details: { from: 'pending', to: 'delivered', allowed: ['processing', 'cancelled'] }
+    });
+  });
+
+  test('says when the order is already in the status', () => {
+    expect(() => assertTransition('processing', 'processing')).toThrow('Order is already processing');
+  });
+});
+
+describe('applyOrderStatusChange', () => {
+  test('invoices a delivered order and records the change', async () => {
+    const client = statusClient();
+    const updated = await applyOrderStatusChange(client, { id: 7, status: 'out_for_delivery' }, 'delivered', { staffId: 3, reason: 'Handed over' });
+
+    expect(updated).toEqual({ id: 7, status: 'delivered' });
+    expect(applyOrderStatusToStock).toHaveBeenCalledWith(client, { id: 7, status: 'out_for_delivery' }, 'delivered', 3);
+    expect(createInvoiceForOrder).toHaveBeenCalledWith(client, 7, 3);
+    expect(reverseOrderCharges).not.toHaveBeenCalled();
+    expect(client.paramsOf('INSERT order_status_history')).toEqual([[7, 'out_for_delivery', 'delivered', 3, 'Handed over']]);
+  });
+
+  test('reverses the charges of a cancelled order', async () => {
+    const client = statusClient();
+    await applyOrderStatusChange(client, { id: 8, status: 'pending' }, 'cancelled', { staffId: 3 });
+
+    expect(reverseOrderCharges).toHaveBeenCalledWith(client, 8, 3);
+    expect(createInvoiceForOrder).not.toHaveBeenCalled();
+  });
+
+  test('changes nothing when the transition is not allowed', async () => {
+    const client = statusClient();
+    await expect(applyOrderStatusChange(client, { id: 9, status: 'delivered' }, 'cancelled')).rejects.toThrow(AppError);
+
+    expect(applyOrderStatusToStock).not.toHaveBeenCalled();
+    expect(client.query).not.toHaveBeenCalled();
+  });
+});
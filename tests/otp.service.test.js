@@ -0,0 +1,180 @@
+import { jest } from '@jest/globals';
+import { fakeClient } from './helpers/fake-client.js';
+
+// vendor_otps rows, kept in memory. A transaction that fails is rolled
+// back by restoring the rows it started with.
+let otps = [];
+let nextId = 1;
+
+const latestUnused = (phone, purpose) => otps
+  .filter((otp) => otp.phone === phone && otp.purpose === purpose && !otp.consumed_at)
+  .sort((a, b) => b.created_at - a.created_at)[0];
+
+const client = fakeClient({
+  'SELECT pg_advisory_xact_lock': () => ({ rows: [] }),
+  'SELECT vendor_otps': ([phone, purpose]) => {
+    const otp = latestUnused(phone, purpose);
+    return { rows: otp ? [{ ...otp, is_expired: otp.expires_at < new Date() }] : [] };
+  },
+  'DELETE vendor_otps': ([phone, purpose]) => {
+    otps = otps.filter((otp) => otp.phone !== phone || otp.purpose !== purpose || otp.consumed_at);
+  },
+  'INSERT vendor_otps': ([phone, purpose, codeHash, expiryMinutes]) => {
+    const now = new Date();
+    otps.push({
+      id: nextId++,
+      phone,
+      purpose,
+      code_hash: codeHash,
+      attempts: 0,
+      created_at: now,
+      expires_at: new Date(now.getTime() + expiryMinutes * 60 * 1000),
+      consumed_at: null
+    });
+  },
+  'UPDATE vendor_otps': ([id], sql) => {
+    const otp = otps.find((row) => row.id === id);
+    if (/consumed_at =/.test(sql)) {
+      otp.consumed_at = new Date();
+      return { rows: [] };
+    }
+    otp.attempts += 1;
+    return { rows: [{ attempts: otp.attempts }] };
+  }
+});
+
+jest.unstable_mockModule('../config/database.js', () => ({
+  withTransaction: async (callback) => {
+    const snapshot = otps.map((otp) => ({ ...otp }));
+    try {
+      return await callback(client);
+    } catch (error) {
+      otps = snapshot;
+      throw error;
+    }
+  }
+}));
+
+const { requestOtp, verifyOtp } = await import('../services/otp.service.js');
+const { resetSmsSender, setSmsSender } = await import('../services/sms.service.js');
+
+const PHONE = '9876543210';
+
+// A local SMS sender that keeps the messages instead of sending them
+let sent = [];
+const stubSender = {
+  name: 'stub',
+  async send(phone, message) {
+    sent.push({ phone, message });
+    return { provider: 'stub', delivered: true };
+  }
+};
+
+const lastCode = () => /\d{6}/.exec(sent[sent.length - 1].message)[0];
+const wrongCode = () => (lastCode() === '000000' ? '111111' : '000000');
+
+// Move the latest OTP back in time, as if it had been sent earlier
+const ageLatestOtp = (seconds) => {
+  const otp = latestUnused(PHONE, 'login');
+  otp.created_at = new Date(otp.created_at.getTime() - seconds * 1000);
+  otp.expires_at = new Date(otp.expires_at.getTime() - seconds * 1000);
+};
+
+beforeEach(() => {
+  otps = [];
+  sent = [];
+  client.query.mockClear();
+  setSmsSender(stubSender);
+});
+
+afterEach(() => {
+  resetSmsSender();
+});
+
+describe('requestOtp', () => {
+  test('sends a code by SMS and keeps only its hash', async () => {
+    const result = await requestOtp(PHONE, 'login');
+
+    expect(result).toEqual({ expires_in_seconds: 300, resend_after_seconds: 60 });
+    expect(sent).toHaveLength(1);
+    expect(sent[0].phone).toBe(PHONE);
+    expect(otps).toHaveLength(1);
+    expect(otps[0].code_hash).not.toContain(lastCode());
+  });
+
+  test('refuses another code within the resend cooldown', async () => {
+    await requestOtp(PHONE, 'login');
+    ageLatestOtp(20);
+
+    await expect(requestOtp(PHONE, 'login')).rejects.toMatchObject({
+      status: 429,
+      details: { retry_after_seconds: 40 }
+    });
+    expect(sent).toHaveLength(1);
+  });
+
+  test('replaces the earlier code once the cooldown has passed', async () => {
+    await requestOtp(PHONE, 'login');
+    const firstCode = lastCode();
+    ageLatestOtp(61);
+
+    await requestOtp(PHONE, 'login');
+
+    expect(otps).toHaveLength(1);
+    if (firstCode !== lastCode()) {
+      await expect(verifyOtp(PHONE, 'login', firstCode)).rejects.toThrow('Invalid OTP');
+    }
+    await expect(verifyOtp(PHONE, 'login', lastCode())).resolves.toBe(true);
+  });
+
+  test('keeps the earlier code when the SMS cannot be sent', async () => {
+    await requestOtp(PHONE, 'login');
+    const firstCode = lastCode();
+    ageLatestOtp(61);
+    setSmsSender({
+      async send() {
+        throw new Error('Gateway down');
+      }
+    });
+
+    await expect(requestOtp(PHONE, 'login')).rejects.toThrow('Gateway down');
+    await expect(verifyOtp(PHONE, 'login', firstCode)).resolves.toBe(true);
+  });
+});
+
+describe('verifyOtp', () => {
+  test('accepts the code once', async () => {
+    await requestOtp(PHONE, 'login');
+    const code = lastCode();
+
+    await expect(verifyOtp(PHONE, 'login', code)).resolves.toBe(true);
+    await expect(verifyOtp(PHONE, 'login', code)).rejects.toThrow('No active OTP for this phone number');
+  });
+
+  test('does not accept a code sent for another purpose', async () => {
+    await requestOtp(PHONE, 'register');
+
+    await expect(verifyOtp(PHONE, 'login', lastCode())).rejects.toMatchObject({ status: 400 });
+  });
+
+  test('refuses an expired code', async () => {
+    await requestOtp(PHONE, 'login');
+    ageLatestOtp(301);
+
+    await expect(verifyOtp(PHONE, 'login', lastCode())).rejects.toThrow('OTP has expired');
+  });
+
+  test('counts wrong guesses and locks the code after the maximum attempts', async () => {
+    await requestOtp(PHONE, 'login');
+
+    for (let remaining = 4; remaining >= 0; remaining--) {
+      await expect(verifyOtp(PHONE, 'login', wrongCode())).rejects.toMatchObject({
+        status: 400,
+        details: { attempts_remaining: remaining }
+      });
+    }
+
+    await expect(verifyOtp(PHONE, 'login', lastCode())).rejects.toMatchObject({ status: 429 });
+    expect(otps[0].consumed_at).toBeNull();
+  });
+});
@@ -0,0 +1,172 @@
+import { jest } from '@jest/globals';
+import { fakeClient } from './helpers/fake-client.js';
+
+const postLedgerEntry = jest.fn();
+jest.unstable_mockModule('../services/ledger.service.js', () => ({ postLedgerEntry }));
+
+const { allocatePayment, completePayment, planAllocations } = await import('../services/payment.service.js');
+const { AppError } = await import('../utils/errors.js');
+
+// A vendor's outstanding orders, oldest first, as getOutstandingOrders returns them
+const outstanding = () => [
+  { id: 1, order_date: '2026-10-01', amount_paid: 0, amount_billed: 100, amount_due: '100.00', invoice_number: 'INV-1' },
+  { id: 2, order_date: '2026-10-02', amount_paid: 0, amount_billed: 250, amount_due: '250.00', invoice_number: 'INV-2' },
+  { id: 3, order_date: '2026-10-03', amount_paid: 0, amount_billed: 80, amount_due: '80.00', invoice_number: null }
+];
+
+const planned = (plan) => plan.allocations.map(({ order, amount }) => ({ order_id: order.id, amount }));
+
+describe('planAllocations', () => {
+  test('pays off the oldest orders first', () => {
+    const plan = planAllocations(outstanding(), '300');
+
+    expect(planned(plan)).toEqual([
+      { order_id: 1, amount: 100 },
+      { order_id: 2, amount: 200 }
+    ]);
+    expect(plan.unallocated_amount).toBe(0);
+  });
+
+  test('keeps what is left over as an advance', () => {
+    const plan = planAllocations(outstanding(), 500);
+
+    expect(planned(plan).map((allocation) => allocation.amount)).toEqual([100, 250, 80]);
+    expect(plan.unallocated_amount).toBe(70);
+  });
+
+  test('applies explicit allocations to the orders named', () => {
+    const plan = planAllocations(outstanding(), 100, [
+      { order_id: 3, amount: 80 },
+      { order_id: '2', amount: '20' }
+    ]);
+
+    expect(planned(plan)).toEqual([
+      { order_id: 3, amount: 80 },
+      { order_id: 2, amount: 20 }
+    ]);
+    expect(plan.unallocated_amount).toBe(0);
+  });
+
+  test('refuses explicit allocations larger than the payment', () => {
+    expect(() => planAllocations(outstanding(), 50, [{ order_id: 1, amount: 60 }]))
+      .toThrow('Allocations exceed the payment amount');
+  });
+
+  test('refuses an order with nothing outstanding', () => {
+    expect(() => planAllocations(outstanding(), 50, [{ order_id: 99, amount: 50 }])).toThrow(AppError);
+  });
+
+  test('refuses an allocation above the amount due', () => {
+    expect(() => planAllocations(outstanding(), 150, [{ order_id: 1, amount: 150 }]))
+      .toThrow('Allocation for order 1 exceeds the amount due (100)');
+  });
+
+  test('counts earlier allocations to the same order against its amount due', () => {
+    expect(() => planAllocations(outstanding(), 160, [
+      { order_id: 1, amount: 80 },
+      { order_id: 1, amount: 80 }
+    ])).toThrow('Allocation for order 1 exceeds the amount due (20)');
+  });
+
+  test('leaves the orders it was given unchanged', () => {
+    const orders = outstanding();
+    planAllocations(orders, 100, [{ order_id: 1, amount: 60 }]);
+
+    expect(orders[0].amount_due).toBe('100.00');
+  });
+});
+
+// Orders keep their amount paid, so the update reports whether they are
+// paid in full. Updating a payment's amount answers with the payment.
+const clientFor = (orders, payment = null) => fakeClient({
+  'SELECT orders': () => ({ rows: orders.filter((order) => order.amount_paid < order.amount_billed) }),
+  'INSERT payment_allocations': () => ({ rows: [] }),
+  'UPDATE orders': ([amount, billed, orderId]) => {
+    const order = orders.find((row) => row.id === orderId);
+    order.amount_paid += amount;
+    order.amount_due = order.amount_billed - order.amount_paid;
+    return { rows: [{ payment_status: order.amount_paid >= billed ? 'paid' : 'partial' }] };
+  },
+  'UPDATE payments': (params, sql) => (/SET amount =/.test(sql)
+    ? { rows: [{ ...payment, amount: params[0] }] }
+    : { rows: [] })
+});
+
+beforeEach(() => {
+  postLedgerEntry.mockClear();
+});
+
+describe('allocatePayment', () => {
+  test('records each allocation and settles the invoice payment of orders paid in full', async () => {
+    const client = clientFor(outstanding());
+
+    const result = await allocatePayment(client, { id: 10, vendor_id: 5, amount: 120 });
+
+    expect(result.allocations).toEqual([
+      { order_id: 1, invoice_number: 'INV-1', amount: 100 },
+      { order_id: 2, invoice_number: 'INV-2', amount: 20 }
+    ]);
+    expect(client.paramsOf('INSERT payment_allocations')).toEqual([[10, 1, 100], [10, 2, 20]]);
+    expect(client.paramsOf('UPDATE payments')).toEqual([[1]]);
+  });
+
+  test('writes nothing when an explicit allocation is refused', async () => {
+    const client = clientFor(outstanding());
+
+    await expect(allocatePayment(client, { id: 10, vendor_id: 5, amount: 100 }, [
+      { order_id: 1, amount: 50 },
+      { order_id: 99, amount: 50 }
+    ])).rejects.toThrow(AppError);
+    expect(client.paramsOf('INSERT payment_allocations')).toEqual([]);
+  });
+});
+
+describe('completePayment', () => {
+  // Invoice INV-2 is for 250, of which 100 was already paid by an advance
+  const partlyPaid = () => {
+    const orders = outstanding();
+    Object.assign(orders[1], { amount_paid: 100, amount_due: '150.00' });
+    return orders;
+  };
+  const invoicePayment = { id: 20, vendor_id: 5, order_id: 2, invoice_id: 7, amount: '250.00', payment_status: 'completed' };
+
+  test('credits and allocates only what is still due on a partly paid order', async () => {
+    const client = clientFor(partlyPaid(), invoicePayment);
+
+    const completed = await completePayment(client, invoicePayment, 3);
+
+    expect(completed.amount).toBe(150);
+    expect(postLedgerEntry).toHaveBeenCalledTimes(1);
+    expect(postLedgerEntry.mock.calls[0][1]).toMatchObject({ entryType: 'credit', amount: 150, paymentId: 20 });
+    expect(client.paramsOf('INSERT payment_allocations')).toEqual([[20, 2, 150]]);
+  });
+
+  test('credits the full invoice when nothing has been paid yet', async () => {
+    const client = clientFor(outstanding(), invoicePayment);
+
+    const completed = await completePayment(client, invoicePayment, 3);
+
+    expect(completed).toBe(invoicePayment);
+    expect(postLedgerEntry.mock.calls[0][1].amount).toBe('250.00');
+    expect(client.paramsOf('INSERT payment_allocations')).toEqual([[20, 2, 250]]);
+  });
+
+  test('refuses an invoice payment for an order that is already paid', async () => {
+    const orders = outstanding();
+    Object.assign(orders[1], { amount_paid: 250, amount_due: '0.00' });
+    const client = clientFor(orders, invoicePayment);
+
+    await expect(completePayment(client, invoicePayment, 3)).rejects.toMatchObject({ status: 400 });
+    expect(postLedgerEntry).not.toHaveBeenCalled();
+  });
+
+  test('keeps what is left of other payments as an advance', async () => {
+    const payment = { id: 21, vendor_id: 5, order_id: 2, invoice_id: null, amount: '400.00' };
+    const client = clientFor(partlyPaid(), payment);
+
+    await completePayment(client, payment, 3);
+
+    expect(postLedgerEntry.mock.calls[0][1].amount).toBe('400.00');
+    expect(client.paramsOf('INSERT payment_allocations')).toEqual([[21, 2, 150]]);
+  });
+});
@@ -0,0 +1,131 @@
+import { jest } from '@jest/globals';
+import {
+  cancelScheduledPrice,
+  getEffectivePrices,
+  getPriceHistory,
+  setProductPrice
+} from '../services/product-price.service.js';
+import { businessDate } from '../utils/dates.js';
+import { fakeClient } from './helpers/fake-client.js';
+
+// 20:00 UTC on 18 October is already 19 October in India
+const NOW = new Date('2026-10-18T20:00:00Z');
+
+const originalTimeZone = process.env.CRON_TIMEZONE;
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: NOW });
+  process.env.CRON_TIMEZONE = 'Asia/Kolkata';
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  if (originalTimeZone === undefined) {
+    delete process.env.CRON_TIMEZONE;
+  } else {
+    process.env.CRON_TIMEZONE = originalTimeZone;
+  }
+});
+
+describe('businessDate', () => {
+  test('follows CRON_TIMEZONE rather than UTC', () => {
+    expect(businessDate()).toBe('2026-10-19');
+    expect(businessDate(1)).toBe('2026-10-20');
+    expect(businessDate(-1)).toBe('2026-10-18');
+
+    process.env.CRON_TIMEZONE = 'UTC';
+    expect(businessDate()).toBe('2026-10-18');
+  });
+});
+
+describe('getEffectivePrices', () => {
+  test('returns prices by product ID as numbers', async () => {
+    const client = fakeClient({
+      'SELECT products': () => ({ rows: [{ id: 1, price: '42.50' }, { id: 2, price: '10.00' }] })
+    });
+
+    const prices = await getEffectivePrices(['1', 2], '2026-10-19', client);
+
+    expect(prices).toEqual(new Map([[1, 42.5], [2, 10]]));
+    expect(client.paramsOf('SELECT products')).toEqual([[[1, 2], '2026-10-19']]);
+  });
+
+  test('does not query for an empty list', async () => {
+    const client = fakeClient();
+
+    expect(await getEffectivePrices([], '2026-10-19', client)).toEqual(new Map());
+    expect(client.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('setProductPrice', () => {
+  const priceClient = () => fakeClient({
+    'INSERT product_prices': () => ({ rows: [{ id: 5 }] }),
+    'UPDATE products': () => ({ rows: [] })
+  });
+
+  test('starts today in CRON_TIMEZONE by default and refreshes the current price', async () => {
+    const client = priceClient();
+
+    await setProductPrice(client, 7, 30, { staffId: 2, reason: 'Supplier increase' });
+
+    expect(client.paramsOf('INSERT product_prices')).toEqual([[7, 30, '2026-10-19', 'Supplier increase', 2]]);
+    expect(client.paramsOf('UPDATE products')).toEqual([['2026-10-19', 7]]);
+  });
+
+  test('keeps an explicit effective date', async () => {
+    const client = priceClient();
+
+    await setProductPrice(client, 7, 30, { effectiveFrom: '2026-11-01' });
+
+    expect(client.paramsOf('INSERT product_prices')[0][2]).toBe('2026-11-01');
+  });
+});
+
+describe('cancelScheduledPrice', () => {
+  const priceRow = (effectiveFrom) => fakeClient({
+    'SELECT product_prices': () => ({ rows: effectiveFrom ? [{ id: 3, product_id: 7, price: '30.00', effective_from: effectiveFrom }] : [] }),
+    'DELETE product_prices': () => ({ rows: [] })
+  });
+
+  test('drops a price that starts after today', async () => {
+    const client = priceRow('2026-10-20');
+
+    await cancelScheduledPrice(client, 7, 3);
+
+    expect(client.paramsOf('DELETE product_prices')).toEqual([[3]]);
+  });
+
+  test('refuses a price that has taken effect today in CRON_TIMEZONE', async () => {
+    const client = priceRow('2026-10-19');
+
+    await expect(cancelScheduledPrice(client, 7, 3)).rejects.toThrow('Only prices that have not taken effect yet can be cancelled');
+    expect(client.paramsOf('DELETE product_prices')).toEqual([]);
+  });
+
+  test('reports a missing price', async () => {
+    await expect(cancelScheduledPrice(priceRow(null), 7, 3)).rejects.toMatchObject({ status: 404 });
+  });
+});
+
+describe('getPriceHistory', () => {
+  test('marks the current price and scheduled ones', async () => {
+    const client = fakeClient({
+      'SELECT product_prices': () => ({
+        rows: [
+          { id: 3, price: '35.00', effective_from: '2026-10-20', effective_to: null },
+          { id: 2, price: '32.00', effective_from: '2026-10-19', effective_to: '2026-10-19' },
+          { id: 1, price: '30.00', effective_from: '2026-10-01', effective_to: '2026-10-18' }
+        ]
+      })
+    });
+
+    const history = await getPriceHistory(7, {}, client);
+
+    expect(history.map(({ id, is_current, is_scheduled }) => ({ id, is_current, is_scheduled }))).toEqual([
+      { id: 3, is_current: false, is_scheduled: true },
+      { id: 2, is_current: true, is_scheduled: false },
+      { id: 1, is_current: false, is_scheduled: false }
+    ]);
+  });
+});
@@ -0,0 +1,42 @@
+import { jest } from '@jest/globals';
+import { fakeClient } from './helpers/fake-client.js';
+
+const template = { id: 4, language: 'hi', title: '{{product_name}} का स्टॉक कम है', body: 'नमस्ते {{vendor_name}}, {{product_name}} {{missing}}' };
+const client = fakeClient({
+  'SELECT notification_templates': () => ({ rows: [template] })
+});
+jest.unstable_mockModule('../config/database.js', () => ({ query: client.query }));
+
+const { fitTitle, renderForVendor, renderText } = await import('../services/template.service.js');
+
+describe('renderText', () => {
+  test('fills placeholders and drops unknown ones', () => {
+    expect(renderText('Hi {{ name }}, order {{id}}{{unknown}}', { name: 'Asha', id: 12 })).toBe('Hi Asha, order 12');
+  });
+});
+
+describe('fitTitle', () => {
+  test('keeps titles that fit', () => {
+    expect(fitTitle('a'.repeat(100))).toBe('a'.repeat(100));
+  });
+
+  test('shortens longer titles to 100 characters', () => {
+    const title = fitTitle('😀'.repeat(120));
+
+    expect(Array.from(title)).toHaveLength(100);
+    expect(title.endsWith('😀…')).toBe(true);
+  });
+});
+
+describe('renderForVendor', () => {
+  test('renders the vendor language template with a title that fits', async () => {
+    const rendered = await renderForVendor('low_stock', { name: 'Asha', phone: '9876543210', language: 'hi' }, {
+      product_name: 'ब'.repeat(150)
+    });
+
+    expect(rendered).toMatchObject({ template_id: 4, language: 'hi' });
+    expect(Array.from(rendered.title)).toHaveLength(100);
+    expect(rendered.message).toBe(`नमस्ते Asha, ${'ब'.repeat(150)} `);
+    expect(client.paramsOf('SELECT notification_templates')).toEqual([['low_stock', ['hi', 'en'], 'hi']]);
+  });
+});
@@ -0,0 +1,82 @@
+// Minimal RFC 4180 CSV reader and writer. For writing, columns are
+// { key, header } pairs; a column may also provide value(row) to compute
+// the cell.
+
+// Spreadsheet apps run a cell starting with = + - @ (or a tab or carriage
+// return) as a formula. Such text gets a leading apostrophe so it shows as
+// typed; plain numbers such as -12.50 are left alone.
+const FORMULA_START = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^[+-]?\d+(\.\d+)?$/;
+
+export const guardFormula = (text) => (FORMULA_START.test(text) && !PLAIN_NUMBER.test(text) ? `'${text}` : text);
+
+// Undo guardFormula() on a cell read back from an exported file
+export const unguardFormula = (text) => (text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text);
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = guardFormula(value instanceof Date ? value.toISOString() : String(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (columns, rows) => {
+  const lines = [columns.map((column) => escapeCell(column.header)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((column) => escapeCell(column.value ? column.value(row) : row[column.key])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+// Parse CSV text into an array of rows, each an array of cell strings.
+// Handles quoted cells with commas, quotes and line breaks, CRLF or LF
+// line endings and a leading byte order mark. Blank lines are skipped.
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
@@ -0,0 +1,56 @@
+import moment from 'moment';
+
+// Calendar dates in the business's time zone. The scheduled jobs run in
+// CRON_TIMEZONE, so anything that decides what "today" is (prices taking
+// effect, which orders to generate or remind about) has to agree with them
+// rather than with the server's local clock.
+
+// The wall-clock date and time of an instant in CRON_TIMEZONE
+const zonedParts = (instant) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: process.env.CRON_TIMEZONE || undefined,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(instant);
+  const part = (type) => Number(parts.find((entry) => entry.type === type).value);
+
+  return {
+    year: part('year'),
+    month: part('month'),
+    day: part('day'),
+    hour: part('hour'),
+    minute: part('minute'),
+    second: part('second')
+  };
+};
+
+// Minutes CRON_TIMEZONE is ahead of UTC at the given instant
+const zoneOffsetMinutes = (instant) => {
+  const { year, month, day, hour, minute, second } = zonedParts(instant);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  return Math.round((wallClock - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+};
+
+// Today plus the given number of days as YYYY-MM-DD
+export const businessDate = (days = 0) => {
+  const { year, month, day } = zonedParts(new Date());
+
+  return moment.utc([year, month - 1, day])
+    .add(days, 'day')
+    .format('YYYY-MM-DD');
+};
+
+// The moment a wall-clock time (HH:mm) on a date (YYYY-MM-DD) comes round
+// in CRON_TIMEZONE, e.g. an order cutoff. The offset is looked up twice so
+// times just after a daylight saving change land on the right side of it.
+export const businessMoment = (date, time) => {
+  const wallClock = moment.utc(`${date} ${time}`, 'YYYY-MM-DD HH:mm').valueOf();
+  const firstGuess = wallClock - zoneOffsetMinutes(new Date(wallClock)) * 60000;
+
+  return moment(wallClock - zoneOffsetMinutes(new Date(firstGuess)) * 60000);
+};
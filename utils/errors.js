@@ -0,0 +1,25 @@
+// Error carrying an HTTP status so route handlers can map
+// service failures to a response without string matching.
+export class AppError extends Error {
+  constructor(message, status = 400, details) {
+    super(message);
+    this.name = 'AppError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Shared catch-block helper: known AppErrors become their own status,
+// everything else is logged and reported as a 500.
+export const handleRouteError = (res, error, label) => {
+  if (error instanceof AppError) {
+    const payload = { error: error.message };
+    if (error.details) {
+      payload.details = error.details;
+    }
+    return res.status(error.status).json(payload);
+  }
+
+  console.error(`${label}:`, error);
+  return res.status(500).json({ error: 'Internal server error' });
+};
@@ -0,0 +1,36 @@
+import crypto from 'crypto';
+import { body } from 'express-validator';
+
+export const PASSWORD_MIN_LENGTH = 8;
+
+// Returns the list of rules the password breaks; empty when it is acceptable
+export const checkPasswordRules = (password) => {
+  const problems = [];
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    problems.push(`at least ${PASSWORD_MIN_LENGTH} characters`);
+  }
+  if (!/[a-z]/.test(password || '')) {
+    problems.push('a lowercase letter');
+  }
+  if (!/[A-Z]/.test(password || '')) {
+    problems.push('an uppercase letter');
+  }
+  if (!/[0-9]/.test(password || '')) {
+    problems.push('a number');
+  }
+  return problems;
+};
+
+// express-validator chain enforcing the password rules on a body field
+export const passwordRule = (field) => body(field).custom((value) => {
+  const problems = checkPasswordRules(value);
+  if (problems.length > 0) {
+    throw new Error(`Password must contain ${problems.join(', ')}`);
+  }
+  return true;
+});
+
+// Single-use tokens are handed out in plain text and stored hashed
+export const generateToken = () => crypto.randomBytes(32).toString('hex');
+
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');